@@ -0,0 +1,281 @@
+/**
+ * Auth for the mock API: file-backed users, scrypt password hashes, signed access tokens, opaque refresh tokens.
+ *
+ * Why this exists:
+ * - The shell used to accept any email/password and invent a user in the browser, so QA couldn't exercise
+ *   wrong-password or duplicate-email paths. These endpoints answer the way a production auth service would.
+ *
+ * Design:
+ * - Node built-ins only (same as `server.mjs`).
+ * - Access token: HS256 JWT, short-lived, verified statelessly (`verifyAccessToken`).
+ * - Refresh token: random opaque string; only its SHA-256 is stored, so the store file never holds a usable token.
+ * - Store: one JSON file (`jsonStore.mjs`).
+ * - Roles: every signup is a `customer`; internal roles come from `roleAssignments` (by email), so staff accounts
+ *   can be set up without an admin UI. The user object carries `roles` and the derived `permissions`.
+ */
+
+import { createHash, createHmac, randomBytes, randomUUID, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+
+import { ServiceError } from './errors.mjs';
+import { createJsonStore } from './jsonStore.mjs';
+
+const scryptAsync = promisify(scrypt);
+
+const DEFAULT_ACCESS_TOKEN_TTL_SEC = 15 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL_SEC = 7 * 24 * 60 * 60;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Source of truth for what each role may do; the shell only checks `user.permissions`.
+export const ROLE_PERMISSIONS = {
+  customer: ['orders:read', 'account:manage'],
+  support: ['orders:read', 'orders:read:any', 'users:read', 'diagnostics:access'],
+  admin: ['orders:read', 'orders:read:any', 'users:read', 'users:manage', 'diagnostics:access'],
+};
+const DEFAULT_ROLE = 'customer';
+
+export class AuthError extends ServiceError {
+  constructor(status, code, message) {
+    super(status, code, message);
+    this.name = 'AuthError';
+  }
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const key = await scryptAsync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const key = await scryptAsync(password, Buffer.from(salt, 'base64'), SCRYPT_KEY_LENGTH);
+  const expectedKey = Buffer.from(expected, 'base64');
+  return expectedKey.length === key.length && timingSafeEqual(expectedKey, key);
+}
+
+function permissionsFor(roles) {
+  return [...new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] ?? []))];
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// Reason: same rules and wording as the shell's client-side checks, so errors read the same either way.
+function validateCredentials({ email, password }) {
+  if (!email || !password) throw new AuthError(400, 'validation_failed', 'Email and password are required');
+  // Reason: JSON bodies can carry numbers or objects; scrypt only hashes strings (anything else would be a 500).
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    throw new AuthError(400, 'validation_failed', 'Email and password must be text');
+  }
+  if (!email.includes('@')) throw new AuthError(400, 'validation_failed', 'Please enter a valid email address');
+  if (password.length < 6) {
+    throw new AuthError(400, 'validation_failed', 'Password must be at least 6 characters long');
+  }
+}
+
+/**
+ * @param {{
+ *   storePath: string|URL,
+ *   secret?: string,
+ *   accessTokenTtlSec?: number,
+ *   refreshTokenTtlSec?: number,
+ *   roleAssignments?: Record<string, string>,
+ *   log?: (event: string, fields?: object) => void,
+ * }} options  TTLs can be shortened to test silent refresh and session expiry in the shell.
+ *   `roleAssignments`: email → role (`support`, `admin`) replacing the default `customer`; applied at every login.
+ */
+export function createAuthService({
+  storePath,
+  secret,
+  accessTokenTtlSec = DEFAULT_ACCESS_TOKEN_TTL_SEC,
+  refreshTokenTtlSec = DEFAULT_REFRESH_TOKEN_TTL_SEC,
+  roleAssignments = {},
+  log = () => {},
+}) {
+  const authStore = createJsonStore(storePath, () => ({ users: [], refreshTokens: [] }));
+  const signingSecret = secret || randomBytes(32).toString('hex');
+  if (!secret) {
+    // Reason: fine for local dev; access tokens simply stop verifying after a restart (refresh tokens still work).
+    log('auth_ephemeral_secret', { hint: 'set SHOPHUB_AUTH_SECRET to keep access tokens valid across restarts' });
+  }
+
+  // Reason: scrypt on a dummy hash for unknown emails, so response time doesn't reveal which emails exist.
+  const dummyHashPromise = hashPassword(randomBytes(16).toString('hex'));
+
+  for (const [email, role] of Object.entries(roleAssignments)) {
+    if (!ROLE_PERMISSIONS[role]) log('auth_unknown_role', { email, role });
+  }
+
+  function rolesFor(user) {
+    const assigned = roleAssignments[user.email];
+    return ROLE_PERMISSIONS[assigned] ? [assigned] : [DEFAULT_ROLE];
+  }
+
+  function publicUser(user) {
+    const roles = rolesFor(user);
+    return {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      createdAt: user.createdAt,
+      roles,
+      permissions: permissionsFor(roles),
+    };
+  }
+
+  const readStore = () => authStore.read();
+
+  // Every write also drops expired refresh tokens.
+  function updateStore(mutate) {
+    return authStore.update(async (data) => {
+      const result = await mutate(data);
+      const now = Date.now();
+      data.refreshTokens = data.refreshTokens.filter((t) => t.expiresAt > now);
+      return result;
+    });
+  }
+
+  function signAccessToken(user) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(
+      JSON.stringify({
+        sub: user.id,
+        email: user.email,
+        name: user.name,
+        roles: rolesFor(user),
+        iat: issuedAt,
+        exp: issuedAt + accessTokenTtlSec,
+      }),
+    );
+    const signature = createHmac('sha256', signingSecret).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  // Issues a token pair and records the refresh token (hash only) in `store`.
+  // `sessionExpiresAt` carries the original expiry through refreshes, so a session has a fixed lifetime.
+  function issueTokens(store, user, sessionExpiresAt = Date.now() + refreshTokenTtlSec * 1000) {
+    const refreshToken = randomBytes(32).toString('base64url');
+    store.refreshTokens.push({ tokenHash: sha256(refreshToken), userId: user.id, expiresAt: sessionExpiresAt });
+    return {
+      user: publicUser(user),
+      accessToken: signAccessToken(user),
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: accessTokenTtlSec,
+      refreshExpiresIn: Math.max(0, Math.floor((sessionExpiresAt - Date.now()) / 1000)),
+    };
+  }
+
+  return {
+    async signup(body) {
+      const name = typeof body?.name === 'string' ? body.name.trim() : '';
+      const email = normalizeEmail(body?.email);
+      const password = body?.password;
+
+      if (!name || !email || !password || !body?.confirmPassword) {
+        throw new AuthError(400, 'validation_failed', 'All fields are required');
+      }
+      if (name.length < 2) throw new AuthError(400, 'validation_failed', 'Name must be at least 2 characters long');
+      validateCredentials({ email, password });
+      if (password !== body.confirmPassword) throw new AuthError(400, 'validation_failed', 'Passwords do not match');
+
+      const passwordHash = await hashPassword(password);
+
+      return updateStore((store) => {
+        if (store.users.some((u) => u.email === email)) {
+          throw new AuthError(409, 'email_taken', 'User with this email already exists');
+        }
+        const user = { id: randomUUID(), name, email, passwordHash, createdAt: new Date().toISOString() };
+        store.users.push(user);
+        log('auth_signup', { userId: user.id });
+        return issueTokens(store, user);
+      });
+    },
+
+    async login(body) {
+      const email = normalizeEmail(body?.email);
+      const password = body?.password;
+      validateCredentials({ email, password });
+
+      const { users } = await readStore();
+      const user = users.find((u) => u.email === email);
+      const valid = await verifyPassword(password, user?.passwordHash ?? (await dummyHashPromise));
+      if (!user || !valid) {
+        log('auth_login_failed', { reason: user ? 'wrong_password' : 'unknown_email' });
+        // Reason: one message for both cases so the endpoint can't be used to probe which emails exist.
+        throw new AuthError(401, 'invalid_credentials', 'Invalid email or password');
+      }
+
+      return updateStore((store) => {
+        log('auth_login', { userId: user.id });
+        return issueTokens(store, user);
+      });
+    },
+
+    // Rotates the refresh token: the old one stops working as soon as a new pair is issued.
+    async refresh(body) {
+      const refreshToken = typeof body?.refreshToken === 'string' ? body.refreshToken : null;
+      if (!refreshToken) throw new AuthError(400, 'validation_failed', 'Refresh token is required');
+      const tokenHash = sha256(refreshToken);
+
+      return updateStore((store) => {
+        const record = store.refreshTokens.find((t) => t.tokenHash === tokenHash);
+        const user = record && store.users.find((u) => u.id === record.userId);
+        if (!record || record.expiresAt <= Date.now() || !user) {
+          throw new AuthError(401, 'invalid_refresh_token', 'Your session has expired. Please sign in again.');
+        }
+        store.refreshTokens = store.refreshTokens.filter((t) => t !== record);
+        return issueTokens(store, user, record.expiresAt);
+      });
+    },
+
+    // Revokes the refresh token; always succeeds (logging out twice is not an error).
+    async logout(body) {
+      const refreshToken = typeof body?.refreshToken === 'string' ? body.refreshToken : null;
+      if (!refreshToken) return;
+      const tokenHash = sha256(refreshToken);
+      await updateStore((store) => {
+        store.refreshTokens = store.refreshTokens.filter((t) => t.tokenHash !== tokenHash);
+      });
+    },
+
+    /**
+     * @param {string|undefined} authorization  `Authorization` request header.
+     * @returns {{ sub: string, email: string, name: string, roles: string[], exp: number }} token claims
+     */
+    verifyAccessToken(authorization) {
+      const match = /^Bearer (.+)$/i.exec(authorization ?? '');
+      if (!match) throw new AuthError(401, 'unauthorized', 'Missing bearer token');
+
+      const [header, payload, signature] = match[1].split('.');
+      const expected = createHmac('sha256', signingSecret).update(`${header}.${payload}`).digest();
+      const actual = Buffer.from(signature ?? '', 'base64url');
+      if (!payload || actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+        throw new AuthError(401, 'invalid_token', 'Invalid access token');
+      }
+
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (claims.exp * 1000 <= Date.now()) throw new AuthError(401, 'token_expired', 'Access token expired');
+      return claims;
+    },
+
+    async getUser(id) {
+      const { users } = await readStore();
+      const user = users.find((u) => u.id === id);
+      if (!user) throw new AuthError(401, 'invalid_token', 'User no longer exists');
+      return publicUser(user);
+    },
+  };
+}
@@ -0,0 +1,222 @@
+/**
+ * Server-side carts for the mock API: one cart per signed-in user, so a cart follows the user across devices.
+ *
+ * Design:
+ * - A line snapshots the product (`id`, `title`, `price`, `image`, `category`) when it is added. The mock has no
+ *   catalog, so it trusts the client's product data; a real cart service would look prices up itself.
+ * - Every call returns the whole cart, and the shell replaces its copy with it (the server is the source of truth).
+ * - `version` goes up with every change, which makes stale responses easy to spot when debugging.
+ * - Stock (`inventory.mjs`): after every change, and whenever the cart is read, lines are clamped to what is
+ *   available (sold-out lines are removed). What was changed is listed in the response's `adjustments`, and every
+ *   line carries the current `stock`.
+ * - Store: one JSON file (`jsonStore.mjs`), keyed by user id.
+ */
+
+import { ServiceError } from './errors.mjs';
+import { createJsonStore } from './jsonStore.mjs';
+
+const MAX_QUANTITY = 99;
+const MAX_LINES = 100;
+
+export class CartError extends ServiceError {
+  constructor(status, code, message) {
+    super(status, code, message);
+    this.name = 'CartError';
+  }
+}
+
+// Product snapshot for a cart line (also used for shared wishlists, `shares.mjs`).
+export function sanitizeProduct(product) {
+  const id = product?.id;
+  if ((typeof id !== 'number' && typeof id !== 'string') || id === '') {
+    throw new CartError(400, 'validation_failed', 'Product id is required');
+  }
+  if (typeof product.title !== 'string' || !product.title.trim()) {
+    throw new CartError(400, 'validation_failed', 'Product title is required');
+  }
+  if (typeof product.price !== 'number' || !Number.isFinite(product.price) || product.price < 0) {
+    throw new CartError(400, 'validation_failed', 'Product price must be a non-negative number');
+  }
+  return {
+    id,
+    title: product.title.trim(),
+    price: product.price,
+    image: typeof product.image === 'string' ? product.image : null,
+    category: typeof product.category === 'string' ? product.category : null,
+  };
+}
+
+function parseQuantity(value, { min }) {
+  if (!Number.isInteger(value) || value < min || value > MAX_QUANTITY) {
+    throw new CartError(400, 'validation_failed', `Quantity must be a whole number from ${min} to ${MAX_QUANTITY}`);
+  }
+  return value;
+}
+
+function emptyCart() {
+  return { items: [], version: 0, updatedAt: null };
+}
+
+function toResponse(cart, { stock = {}, adjustments = [] } = {}) {
+  const itemCount = cart.items.reduce((count, line) => count + line.quantity, 0);
+  const subtotal = cart.items.reduce((total, line) => total + line.price * line.quantity, 0);
+  return {
+    items: cart.items.map((line) => ({ ...line, stock: stock[String(line.id)] ?? null })),
+    itemCount,
+    subtotal: Math.round(subtotal * 100) / 100,
+    version: cart.version,
+    updatedAt: cart.updatedAt,
+    adjustments,
+  };
+}
+
+// Clamp lines to `stock`; returns `{ id, title, requested, quantity, available }` per changed line (quantity 0 = removed).
+function enforceStock(cart, stock) {
+  const adjustments = [];
+  cart.items = cart.items.filter((line) => {
+    const available = stock[String(line.id)] ?? 0;
+    if (line.quantity <= available) return true;
+    adjustments.push({ id: line.id, title: line.title, requested: line.quantity, quantity: available, available });
+    line.quantity = available;
+    return available > 0;
+  });
+  return adjustments;
+}
+
+/**
+ * @param {{
+ *   storePath: string|URL,
+ *   inventory: { getStock: (ids: Array<string|number>) => Promise<Record<string, number>> },
+ *   log?: (event: string, fields?: object) => void,
+ * }} options
+ */
+export function createCartService({ storePath, inventory, log = () => {} }) {
+  const cartStore = createJsonStore(storePath, () => ({ carts: {} }));
+
+  function update(userId, change) {
+    return cartStore.update(async (data) => {
+      const cart = data.carts[userId] ?? emptyCart();
+      change(cart);
+      // Every line, not just the changed one: stock may have run out since the last change.
+      const stock = await inventory.getStock(cart.items.map((line) => line.id));
+      const adjustments = enforceStock(cart, stock);
+      if (adjustments.length) log('cart_stock_adjusted', { userId, adjustments: adjustments.length });
+      cart.version += 1;
+      cart.updatedAt = new Date().toISOString();
+      data.carts[userId] = cart;
+      return toResponse(cart, { stock, adjustments });
+    });
+  }
+
+  // Reason: ids arrive as numbers in bodies and as strings in URLs (`/api/cart/items/7`).
+  const findLine = (cart, productId) => cart.items.find((line) => String(line.id) === String(productId));
+
+  return {
+    // Re-validates the lines against current stock (and saves the result if anything had to change).
+    async get(userId) {
+      const { carts } = await cartStore.read();
+      const cart = carts[userId] ?? emptyCart();
+      const stock = await inventory.getStock(cart.items.map((line) => line.id));
+      const exceeded = cart.items.some((line) => line.quantity > (stock[String(line.id)] ?? 0));
+      return exceeded ? update(userId, () => {}) : toResponse(cart, { stock });
+    },
+
+    // Adds `quantity` to the line (creating it if needed) and refreshes the product snapshot.
+    // More than is in stock is clamped (see `adjustments`); a sold-out product is refused.
+    async addItem(userId, body) {
+      const product = sanitizeProduct(body?.product);
+      const quantity = parseQuantity(body?.quantity ?? 1, { min: 1 });
+      const stock = await inventory.getStock([product.id]);
+      if (!stock[String(product.id)]) {
+        throw new CartError(409, 'out_of_stock', `${product.title} is out of stock`);
+      }
+
+      return update(userId, (cart) => {
+        const line = findLine(cart, product.id);
+        if (line) {
+          Object.assign(line, product, { quantity: Math.min(MAX_QUANTITY, line.quantity + quantity) });
+          return;
+        }
+        if (cart.items.length >= MAX_LINES) {
+          throw new CartError(409, 'cart_full', `A cart can hold at most ${MAX_LINES} different products`);
+        }
+        cart.items.push({ ...product, quantity, addedAt: new Date().toISOString() });
+        log('cart_item_added', { userId, productId: product.id });
+      });
+    },
+
+    /**
+     * Merge a guest cart into the user's cart after login, in one write.
+     * Same product: quantities are summed (capped at 99). Invalid entries are skipped, not fatal: the guest cart
+     * came from the browser's storage.
+     * @returns {{ cart: object, merge: { added: number, updated: number, capped: number, skipped: number } }}
+     */
+    async mergeItems(userId, body) {
+      if (!Array.isArray(body?.items)) throw new CartError(400, 'validation_failed', 'items must be an array');
+      const merge = { added: 0, updated: 0, capped: 0, skipped: 0 };
+
+      const incoming = [];
+      for (const entry of body.items) {
+        try {
+          const product = sanitizeProduct(entry?.product);
+          // Note: no upper bound here; an oversized guest quantity is capped below instead of dropped.
+          const quantity = entry?.quantity;
+          if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new CartError(400, 'validation_failed', 'Quantity must be a positive whole number');
+          }
+          const duplicate = incoming.find((line) => String(line.product.id) === String(product.id));
+          if (duplicate) duplicate.quantity += quantity;
+          else incoming.push({ product, quantity });
+        } catch (error) {
+          if (!(error instanceof CartError)) throw error;
+          merge.skipped += 1;
+        }
+      }
+
+      const cart = await update(userId, (current) => {
+        for (const { product, quantity } of incoming) {
+          const line = findLine(current, product.id);
+          const total = (line?.quantity ?? 0) + quantity;
+          if (total > MAX_QUANTITY) merge.capped += 1;
+
+          if (line) {
+            Object.assign(line, product, { quantity: Math.min(MAX_QUANTITY, total) });
+            merge.updated += 1;
+          } else if (current.items.length < MAX_LINES) {
+            current.items.push({ ...product, quantity: Math.min(MAX_QUANTITY, total), addedAt: new Date().toISOString() });
+            merge.added += 1;
+          } else {
+            merge.skipped += 1;
+          }
+        }
+      });
+      log('cart_merged', { userId, ...merge });
+      return { cart, merge };
+    },
+
+    // `quantity: 0` removes the line; more than is in stock is clamped (see `adjustments`).
+    setQuantity(userId, productId, body) {
+      const quantity = parseQuantity(body?.quantity, { min: 0 });
+
+      return update(userId, (cart) => {
+        const line = findLine(cart, productId);
+        if (!line) throw new CartError(404, 'item_not_found', 'This item is no longer in your cart');
+        if (quantity === 0) cart.items = cart.items.filter((l) => l !== line);
+        else line.quantity = quantity;
+      });
+    },
+
+    // Removing a line that isn't there is not an error (e.g. removed on another device already).
+    removeItem(userId, productId) {
+      return update(userId, (cart) => {
+        cart.items = cart.items.filter((line) => String(line.id) !== String(productId));
+      });
+    },
+
+    clear(userId) {
+      return update(userId, (cart) => {
+        cart.items = [];
+      });
+    },
+  };
+}
@@ -0,0 +1,17 @@
+/**
+ * Stock a product has when no override says otherwise, derived from its id.
+ *
+ * Shared by the mock API (`inventory.mjs`) and the shell (`src/services/api.js`, used when the inventory API is
+ * unreachable), so both report the same numbers. Reason: a separate module without Node built-ins, so the shell's
+ * webpack build can import it.
+ */
+
+// FNV-1a over the id, mapped to 0..49.
+export function defaultStock(productId) {
+  let hash = 0x811c9dc5;
+  for (const char of String(productId)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % 50;
+}
@@ -0,0 +1,12 @@
+/**
+ * Errors the mock API turns into JSON responses: `{ error: code, message, requestId }` with `status`.
+ * Reason: one base class lets `server.mjs` tell expected client errors from bugs (which stay 500s).
+ */
+export class ServiceError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.code = code;
+  }
+}
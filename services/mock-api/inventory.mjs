@@ -0,0 +1,50 @@
+/**
+ * Stock levels for the mock API.
+ *
+ * Why this exists:
+ * - The product source (fakestoreapi) has no stock, and the shell used to invent a random number per page view.
+ *
+ * Design:
+ * - Stock is derived from the product id (`defaultStock.mjs`), so it's the same on every call and every machine.
+ *   The shell imports the same module for when this service is unreachable (`src/services/api.js`).
+ * - Overrides per product id come from a JSON file (`{ "7": 0, "12": 3 }`), re-read on every call so QA can
+ *   sell a product out without a restart.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+import { defaultStock } from './defaultStock.mjs';
+
+/**
+ * @param {{ overridesPath: string|URL, log?: (event: string, fields?: object) => void }} options
+ */
+export function createInventory({ overridesPath, log = () => {} }) {
+  const filePath = overridesPath instanceof URL ? fileURLToPath(overridesPath) : overridesPath;
+
+  async function readOverrides() {
+    try {
+      const overrides = JSON.parse(await readFile(filePath, 'utf8'));
+      return overrides && typeof overrides === 'object' ? overrides : {};
+    } catch (error) {
+      if (error?.code !== 'ENOENT') log('inventory_overrides_invalid', { error: String(error?.message ?? error) });
+      return {};
+    }
+  }
+
+  return {
+    /**
+     * @param {Array<string|number>} productIds
+     * @returns {Promise<Record<string, number>>} available units per product id
+     */
+    async getStock(productIds) {
+      const overrides = await readOverrides();
+      return Object.fromEntries(
+        productIds.map((id) => {
+          const override = overrides[String(id)];
+          return [String(id), Number.isInteger(override) && override >= 0 ? override : defaultStock(id)];
+        }),
+      );
+    },
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * One JSON file as a tiny database for the mock API (auth users, carts, ...).
+ *
+ * Design:
+ * - Rewritten atomically (write temp file + rename), so a crash never leaves half a file.
+ * - Read-modify-write cycles are serialized in-process, so concurrent requests can't overwrite each other.
+ * - A missing file reads as `createEmpty()`; delete the file to reset the data.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * @param {string|URL} storePath
+ * @param {() => object} createEmpty  shape of a new store; also fills keys missing from older files.
+ */
+export function createJsonStore(storePath, createEmpty) {
+  const filePath = storePath instanceof URL ? fileURLToPath(storePath) : storePath;
+  let writeChain = Promise.resolve();
+
+  async function read() {
+    try {
+      return { ...createEmpty(), ...JSON.parse(await readFile(filePath, 'utf8')) };
+    } catch (error) {
+      if (error?.code === 'ENOENT') return createEmpty();
+      throw error;
+    }
+  }
+
+  /**
+   * @param {(data: object) => any} mutate  changes `data` in place; its return value is passed through.
+   *   A throw aborts the write.
+   */
+  function update(mutate) {
+    const run = writeChain.then(async () => {
+      const data = await read();
+      const result = await mutate(data);
+      await mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await writeFile(tempPath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+      await rename(tempPath, filePath);
+      return result;
+    });
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  return { read, update };
+}
@@ -0,0 +1,129 @@
+/**
+ * Promotion definitions for the mock API: automatic promotions and coupon codes.
+ *
+ * Why this exists:
+ * - The shell prices the cart with its promotion engine (`src/pricing/promotions.js`); this service only says which
+ *   promotions exist. Automatic ones are listed publicly, coupons are looked up by code (so codes can't be listed).
+ *
+ * Design:
+ * - `DEFAULT_PROMOTIONS` below; a JSON file (`[{ ...promotion }]`) replaces them, re-read on every call so QA can
+ *   add or expire a coupon without a restart.
+ * - Definition: `{ id, code?, label, type, value?, buy?, get?, appliesTo?, minSubtotal?, stackable?, startsAt?,
+ *   endsAt? }`; see the services README for the fields.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+import { ServiceError } from './errors.mjs';
+
+const TYPES = ['percentage', 'fixed', 'buy_x_get_y'];
+
+export const DEFAULT_PROMOTIONS = [
+  {
+    id: 'electronics-5',
+    label: '5% off electronics',
+    type: 'percentage',
+    value: 5,
+    appliesTo: { categories: ['electronics'] },
+  },
+  {
+    id: 'jewelery-3-for-2',
+    label: 'Jewelry: buy 2, get 1 free',
+    type: 'buy_x_get_y',
+    buy: 2,
+    get: 1,
+    appliesTo: { categories: ['jewelery'] },
+  },
+  { id: 'welcome-10', code: 'WELCOME10', label: '10% off your order', type: 'percentage', value: 10 },
+  {
+    id: 'save-15',
+    code: 'SAVE15',
+    label: '$15 off orders of $100 or more',
+    type: 'fixed',
+    value: 15,
+    minSubtotal: 100,
+  },
+  {
+    id: 'flash-25',
+    code: 'FLASH25',
+    label: '25% off (cannot be combined)',
+    type: 'percentage',
+    value: 25,
+    stackable: false,
+  },
+];
+
+export class PromotionError extends ServiceError {
+  constructor(status, code, message) {
+    super(status, code, message);
+    this.name = 'PromotionError';
+  }
+}
+
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+function isValidDefinition(promotion) {
+  if (!promotion || typeof promotion.id !== 'string' || typeof promotion.label !== 'string') return false;
+  if (!TYPES.includes(promotion.type)) return false;
+  if (promotion.type === 'buy_x_get_y') {
+    return Number.isInteger(promotion.buy) && promotion.buy > 0 && Number.isInteger(promotion.get) && promotion.get > 0;
+  }
+  return typeof promotion.value === 'number' && promotion.value > 0;
+}
+
+function isActive(promotion, now) {
+  if (promotion.startsAt && Date.parse(promotion.startsAt) > now) return false;
+  if (promotion.endsAt && Date.parse(promotion.endsAt) <= now) return false;
+  return true;
+}
+
+/**
+ * @param {{ overridesPath: string|URL, log?: (event: string, fields?: object) => void }} options
+ */
+export function createPromotions({ overridesPath, log = () => {} }) {
+  const filePath = overridesPath instanceof URL ? fileURLToPath(overridesPath) : overridesPath;
+
+  async function readPromotions() {
+    let promotions = DEFAULT_PROMOTIONS;
+    try {
+      const overrides = JSON.parse(await readFile(filePath, 'utf8'));
+      if (Array.isArray(overrides)) promotions = overrides;
+      else log('promotions_overrides_invalid', { error: 'expected an array of promotions' });
+    } catch (error) {
+      if (error?.code !== 'ENOENT') log('promotions_overrides_invalid', { error: String(error?.message ?? error) });
+    }
+
+    return promotions.filter((promotion) => {
+      const valid = isValidDefinition(promotion);
+      if (!valid) log('promotion_invalid', { id: promotion?.id ?? null });
+      return valid;
+    });
+  }
+
+  return {
+    // Automatic promotions that are currently running (no code needed).
+    async listAutomatic() {
+      const now = Date.now();
+      return (await readPromotions()).filter((promotion) => !promotion.code && isActive(promotion, now));
+    },
+
+    async findCoupon(code) {
+      const normalized = normalizeCode(code);
+      if (!normalized) throw new PromotionError(400, 'validation_failed', 'Coupon code is required');
+
+      const coupon = (await readPromotions()).find((promotion) => normalizeCode(promotion.code) === normalized);
+      const now = Date.now();
+      if (coupon?.endsAt && Date.parse(coupon.endsAt) <= now) {
+        throw new PromotionError(410, 'coupon_expired', `Coupon code ${normalized} has expired`);
+      }
+      // Reason: a coupon that hasn't started yet answers like an unknown one, so upcoming codes don't leak.
+      if (!coupon || !isActive(coupon, now)) {
+        throw new PromotionError(404, 'invalid_coupon', `Coupon code ${normalized} is not valid`);
+      }
+      return { ...coupon, code: normalized };
+    },
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Shipping, tax and exchange rate tables for the mock API.
+ *
+ * Why this exists:
+ * - Checkout only knew the cart total. The shell now quotes shipping and tax (`src/pricing/orderQuote.js`) from
+ *   these tables, so the totals checkout shows come from one place.
+ *
+ * Design:
+ * - `DEFAULT_RATES` below; a JSON file with the same shape replaces them, re-read on every call so QA can change a
+ *   rate without a restart. An invalid file is logged and the defaults are served.
+ * - Amounts are in `currency` (major units); tax rates are percentages.
+ * - `exchangeRates`: units of each display currency per 1 `currency` (the shell converts prices for display only;
+ *   charges stay in `currency`).
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+export const DEFAULT_RATES = {
+  currency: 'USD',
+  shipping: {
+    // ISO 3166-1 alpha-2 codes we ship to
+    countries: ['US', 'CA'],
+    methods: [
+      // `freeOver`: free when the cart total after discounts reaches it. `amountByCountry` overrides `amount`.
+      {
+        id: 'standard',
+        label: 'Standard',
+        amount: 5.99,
+        estimatedDays: [5, 7],
+        freeOver: 50,
+        amountByCountry: { CA: 9.99 },
+      },
+      { id: 'express', label: 'Express', amount: 14.99, estimatedDays: [1, 2], amountByCountry: { CA: 24.99 } },
+    ],
+  },
+  tax: {
+    // Per country: default `rate`, `regions` (state/province code → rate replacing it), whether shipping is taxed.
+    US: { rate: 0, taxShipping: false, regions: { CA: 7.25, NY: 4, TX: 6.25, WA: 6.5, FL: 6, IL: 6.25 } },
+    CA: { rate: 5, taxShipping: true, regions: { ON: 13, QC: 14.975, BC: 12, NS: 15 } },
+  },
+  exchangeRates: { EUR: 0.92, GBP: 0.79, CAD: 1.37, JPY: 151.2, INR: 83.4 },
+};
+
+function isValidRates(rates) {
+  return (
+    typeof rates?.currency === 'string' &&
+    Array.isArray(rates.shipping?.countries) &&
+    Array.isArray(rates.shipping?.methods) &&
+    rates.shipping.methods.every((method) => typeof method?.id === 'string' && typeof method.amount === 'number') &&
+    rates.tax !== null &&
+    typeof rates.tax === 'object' &&
+    (rates.exchangeRates === undefined ||
+      Object.values(rates.exchangeRates).every((rate) => typeof rate === 'number' && rate > 0))
+  );
+}
+
+/**
+ * @param {{ overridesPath: string|URL, log?: (event: string, fields?: object) => void }} options
+ */
+export function createRates({ overridesPath, log = () => {} }) {
+  const filePath = overridesPath instanceof URL ? fileURLToPath(overridesPath) : overridesPath;
+
+  return {
+    async get() {
+      try {
+        const rates = JSON.parse(await readFile(filePath, 'utf8'));
+        if (isValidRates(rates)) return rates;
+        log('rates_overrides_invalid', { error: 'expected { currency, shipping: { countries, methods }, tax }' });
+      } catch (error) {
+        if (error?.code !== 'ENOENT') log('rates_overrides_invalid', { error: String(error?.message ?? error) });
+      }
+      return DEFAULT_RATES;
+    },
+  };
+}
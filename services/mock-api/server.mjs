@@ -13,8 +13,18 @@
 
 import http from 'node:http';
 import { randomUUID } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
 import process from 'node:process';
-import { URL } from 'node:url';
+import { fileURLToPath, URL } from 'node:url';
+
+import { createAuthService } from './auth.mjs';
+import { createCartService } from './cart.mjs';
+import { ServiceError } from './errors.mjs';
+import { createInventory } from './inventory.mjs';
+import { createPromotions } from './promotions.mjs';
+import { createRates } from './rates.mjs';
+import { createShareService } from './shares.mjs';
 
 const PORT = Number.parseInt(process.env.PORT ?? '4000', 10);
 
@@ -24,6 +34,26 @@ if (!Number.isFinite(PORT) || PORT <= 0) {
   process.exit(1);
 }
 
+// Reason: paths from the environment are relative to this file, like the defaults (see services/README.md), not to
+// the directory the server happens to be started from.
+function configPath(envValue, defaultPath) {
+  return path.resolve(path.dirname(fileURLToPath(import.meta.url)), envValue || defaultPath);
+}
+
+// Reason: serve the same manifest the shell ships in `public/`, so there is a single file to edit.
+const REMOTE_MANIFEST_PATH = configPath(
+  process.env.SHOPHUB_REMOTE_MANIFEST_PATH,
+  '../../public/remotes.manifest.json',
+);
+
+// Reason: runtime data (hashed credentials, refresh token hashes); git-ignored, safe to delete to reset users.
+const AUTH_STORE_PATH = configPath(process.env.SHOPHUB_AUTH_STORE_PATH, 'data/auth-store.json');
+const INVENTORY_PATH = configPath(process.env.SHOPHUB_INVENTORY_PATH, 'data/inventory.json');
+const PROMOTIONS_PATH = configPath(process.env.SHOPHUB_PROMOTIONS_PATH, 'data/promotions.json');
+const RATES_PATH = configPath(process.env.SHOPHUB_RATES_PATH, 'data/rates.json');
+const CART_STORE_PATH = configPath(process.env.SHOPHUB_CART_STORE_PATH, 'data/cart-store.json');
+const SHARE_STORE_PATH = configPath(process.env.SHOPHUB_SHARE_STORE_PATH, 'data/share-store.json');
+
 /**
  * Minimal structured logger.
  * Reason: easy to grep in a shared terminal (dev:all prefixes stdout anyway).
@@ -63,7 +93,7 @@ function applyCors(req, res) {
   // If you want to lock this down, replace '*' with an allowlist of localhost origins.
   res.setHeader('access-control-allow-origin', '*');
   res.setHeader('access-control-allow-methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
-  res.setHeader('access-control-allow-headers', 'content-type, x-request-id');
+  res.setHeader('access-control-allow-headers', 'content-type, x-request-id, authorization');
   res.setHeader('access-control-max-age', '600');
 
   if (req.method === 'OPTIONS') {
@@ -93,6 +123,103 @@ async function readJsonBody(req, { maxBytes = 1_000_000 } = {}) {
   return JSON.parse(raw);
 }
 
+// `SHOPHUB_AUTH_ROLES=alice@example.com=admin,bob@example.com=support`
+function parseRoleAssignments(value) {
+  return Object.fromEntries(
+    (value ?? '')
+      .split(',')
+      .map((pair) => pair.split('=').map((part) => part.trim()))
+      .filter(([email, role]) => email && role)
+      .map(([email, role]) => [email.toLowerCase(), role]),
+  );
+}
+
+const auth = createAuthService({
+  storePath: AUTH_STORE_PATH,
+  secret: process.env.SHOPHUB_AUTH_SECRET,
+  accessTokenTtlSec: Number.parseInt(process.env.SHOPHUB_AUTH_ACCESS_TTL_SEC ?? '', 10) || undefined,
+  refreshTokenTtlSec: Number.parseInt(process.env.SHOPHUB_AUTH_REFRESH_TTL_SEC ?? '', 10) || undefined,
+  roleAssignments: parseRoleAssignments(process.env.SHOPHUB_AUTH_ROLES),
+  log,
+});
+
+const inventory = createInventory({ overridesPath: INVENTORY_PATH, log });
+const carts = createCartService({ storePath: CART_STORE_PATH, inventory, log });
+const promotions = createPromotions({ overridesPath: PROMOTIONS_PATH, log });
+const rates = createRates({ overridesPath: RATES_PATH, log });
+const shares = createShareService({ storePath: SHARE_STORE_PATH, log });
+// Upper bound for `GET /api/inventory?ids=`; a catalog page asks for ~20.
+const MAX_INVENTORY_IDS = 200;
+
+// Expected client errors (bad body, auth, cart rules) → JSON error response; anything else is a bug (500).
+function toServiceError(e) {
+  if (e instanceof ServiceError) return e;
+  if (e instanceof SyntaxError || e?.message === 'body_too_large') {
+    return new ServiceError(400, 'invalid_json', 'Invalid request body');
+  }
+  throw e;
+}
+
+function sendServiceError(res, error, requestId) {
+  // Reason: the shell shows `message` as-is; `error` is a stable code for QA assertions.
+  const headers = error.status === 401 ? { 'www-authenticate': 'Bearer' } : {};
+  sendJson(res, error.status, { error: error.code, message: error.message, requestId }, headers);
+}
+
+// Cart routes; all of them act on the signed-in user's cart. Returns `[status, body]`, or null for no match.
+async function routeCart(req, pathname, userId) {
+  const itemMatch = /^\/api\/cart\/items\/([^/]+)$/.exec(pathname);
+  const productId = itemMatch ? decodeURIComponent(itemMatch[1]) : null;
+
+  if (pathname === '/api/cart' && req.method === 'GET') return [200, { cart: await carts.get(userId) }];
+  if (pathname === '/api/cart' && req.method === 'DELETE') return [200, { cart: await carts.clear(userId) }];
+  if (pathname === '/api/cart/items' && req.method === 'POST') {
+    return [200, { cart: await carts.addItem(userId, await readJsonBody(req)) }];
+  }
+  if (pathname === '/api/cart/merge' && req.method === 'POST') {
+    return [200, await carts.mergeItems(userId, await readJsonBody(req))];
+  }
+  if (productId && req.method === 'PUT') {
+    return [200, { cart: await carts.setQuantity(userId, productId, await readJsonBody(req)) }];
+  }
+  if (productId && req.method === 'DELETE') return [200, { cart: await carts.removeItem(userId, productId) }];
+  return null;
+}
+
+// Shared wishlist routes. Reading a share is public; publishing, updating and revoking need the owner's token.
+// Returns `[status, body]`, or null for no match.
+async function routeShares(req, pathname) {
+  const tokenMatch = /^\/api\/wishlist\/shares\/([^/]+)$/.exec(pathname);
+  const token = tokenMatch ? decodeURIComponent(tokenMatch[1]) : null;
+
+  if (token && req.method === 'GET') return [200, { share: await shares.get(token) }];
+
+  const owner = () => {
+    const claims = auth.verifyAccessToken(req.headers.authorization);
+    return { id: claims.sub, name: claims.name };
+  };
+  if (pathname === '/api/wishlist/shares' && req.method === 'POST') {
+    const user = owner();
+    return [201, { share: await shares.publish(user, await readJsonBody(req)) }];
+  }
+  if (token && req.method === 'PUT') {
+    const user = owner();
+    return [200, { share: await shares.update(user, token, await readJsonBody(req)) }];
+  }
+  if (token && req.method === 'DELETE') {
+    await shares.revoke(owner().id, token);
+    return [204, null];
+  }
+  return null;
+}
+
+const AUTH_ROUTES = {
+  '/api/auth/signup': (body) => auth.signup(body).then((session) => [201, session]),
+  '/api/auth/login': (body) => auth.login(body).then((session) => [200, session]),
+  '/api/auth/refresh': (body) => auth.refresh(body).then((session) => [200, session]),
+  '/api/auth/logout': (body) => auth.logout(body).then(() => [204, null]),
+};
+
 const server = http.createServer(async (req, res) => {
   const requestId = req.headers['x-request-id']?.toString() ?? randomUUID();
   res.setHeader('x-request-id', requestId);
@@ -118,6 +245,126 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
+    if (req.method === 'GET' && url.pathname === '/api/remotes/manifest') {
+      // Reason: lets the shell repoint remotes at runtime (`SHOPHUB_REMOTE_MANIFEST_URL`) without a rebuild.
+      const manifest = JSON.parse(await readFile(REMOTE_MANIFEST_PATH, 'utf8'));
+      sendJson(res, 200, manifest);
+      log('request', { requestId, method: req.method, path: url.pathname, status: 200, ms: Date.now() - startedAt });
+      return;
+    }
+
+    if (req.method === 'POST' && AUTH_ROUTES[url.pathname]) {
+      let status;
+      try {
+        const body = await readJsonBody(req);
+        const [okStatus, payload] = await AUTH_ROUTES[url.pathname](body);
+        status = okStatus;
+        if (payload === null) {
+          res.writeHead(status, { 'cache-control': 'no-store' });
+          res.end();
+        } else {
+          sendJson(res, status, payload);
+        }
+      } catch (e) {
+        const error = toServiceError(e);
+        status = error.status;
+        sendServiceError(res, error, requestId);
+      }
+      log('request', { requestId, method: req.method, path: url.pathname, status, ms: Date.now() - startedAt });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/auth/me') {
+      let status = 200;
+      try {
+        const claims = auth.verifyAccessToken(req.headers.authorization);
+        sendJson(res, status, { user: await auth.getUser(claims.sub) });
+      } catch (e) {
+        const error = toServiceError(e);
+        status = error.status;
+        sendServiceError(res, error, requestId);
+      }
+      log('request', { requestId, method: req.method, path: url.pathname, status, ms: Date.now() - startedAt });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/inventory') {
+      const ids = (url.searchParams.get('ids') ?? '').split(',').map((id) => id.trim()).filter(Boolean);
+      const status = ids.length && ids.length <= MAX_INVENTORY_IDS ? 200 : 400;
+      if (status === 200) {
+        sendJson(res, status, { stock: await inventory.getStock(ids) });
+      } else {
+        const message = `ids must list 1 to ${MAX_INVENTORY_IDS} product ids, e.g. ?ids=1,2,3`;
+        sendJson(res, status, { error: 'validation_failed', message, requestId });
+      }
+      log('request', { requestId, method: req.method, path: url.pathname, status, ms: Date.now() - startedAt });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/pricing/rates') {
+      sendJson(res, 200, { rates: await rates.get() });
+      log('request', { requestId, method: req.method, path: url.pathname, status: 200, ms: Date.now() - startedAt });
+      return;
+    }
+
+    // Public: automatic promotions are shown to guests too, and a coupon lookup reveals nothing but that coupon.
+    const couponMatch = /^\/api\/promotions\/coupons\/([^/]+)$/.exec(url.pathname);
+    if (req.method === 'GET' && (url.pathname === '/api/promotions' || couponMatch)) {
+      let status = 200;
+      try {
+        const payload = couponMatch
+          ? { promotion: await promotions.findCoupon(decodeURIComponent(couponMatch[1])) }
+          : { promotions: await promotions.listAutomatic() };
+        sendJson(res, status, payload);
+      } catch (e) {
+        const error = toServiceError(e);
+        status = error.status;
+        sendServiceError(res, error, requestId);
+      }
+      log('request', { requestId, method: req.method, path: url.pathname, status, ms: Date.now() - startedAt });
+      return;
+    }
+
+    if (url.pathname === '/api/wishlist/shares' || url.pathname.startsWith('/api/wishlist/shares/')) {
+      let status;
+      try {
+        const result = await routeShares(req, url.pathname);
+        if (!result) throw new ServiceError(404, 'not_found', `No share route for ${req.method} ${url.pathname}`);
+        const [okStatus, payload] = result;
+        status = okStatus;
+        if (payload === null) {
+          res.writeHead(status, { 'cache-control': 'no-store' });
+          res.end();
+        } else {
+          sendJson(res, status, payload);
+        }
+      } catch (e) {
+        const error = toServiceError(e);
+        status = error.status;
+        sendServiceError(res, error, requestId);
+      }
+      log('request', { requestId, method: req.method, path: url.pathname, status, ms: Date.now() - startedAt });
+      return;
+    }
+
+    if (url.pathname === '/api/cart' || url.pathname.startsWith('/api/cart/')) {
+      let status;
+      try {
+        const claims = auth.verifyAccessToken(req.headers.authorization);
+        const result = await routeCart(req, url.pathname, claims.sub);
+        if (!result) throw new ServiceError(404, 'not_found', `No cart route for ${req.method} ${url.pathname}`);
+        const [okStatus, payload] = result;
+        status = okStatus;
+        sendJson(res, status, payload);
+      } catch (e) {
+        const error = toServiceError(e);
+        status = error.status;
+        sendServiceError(res, error, requestId);
+      }
+      log('request', { requestId, method: req.method, path: url.pathname, status, ms: Date.now() - startedAt });
+      return;
+    }
+
     if (req.method === 'POST' && url.pathname === '/api/echo') {
       const body = await readJsonBody(req).catch((e) => {
         if (e?.message === 'body_too_large') return { __error: 'body_too_large' };
@@ -0,0 +1,123 @@
+/**
+ * Shared wishlists for the mock API: a signed-in user publishes a snapshot of one list and gets a share token;
+ * anyone with the link (`/wishlist/shared/:token` in the shell) can read it, without signing in.
+ *
+ * Design:
+ * - A share is a snapshot: later changes to the list show up only when the owner publishes again (`update`, same
+ *   token, so the link keeps working).
+ * - Tokens are 128-bit random strings, so links can't be guessed. Revoking deletes the share; the link then 404s.
+ * - Only the owner's first name is exposed ("Alex's wishlist"), never the email.
+ * - Store: one JSON file (`jsonStore.mjs`), keyed by token.
+ */
+
+import { randomBytes } from 'node:crypto';
+
+import { sanitizeProduct } from './cart.mjs';
+import { ServiceError } from './errors.mjs';
+import { createJsonStore } from './jsonStore.mjs';
+
+const MAX_ITEMS = 200;
+const MAX_NAME_LENGTH = 40;
+const MAX_SHARES_PER_USER = 50;
+
+export class ShareError extends ServiceError {
+  constructor(status, code, message) {
+    super(status, code, message);
+    this.name = 'ShareError';
+  }
+}
+
+function parseSnapshot(body) {
+  const name = typeof body?.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new ShareError(400, 'validation_failed', `List name must be 1 to ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!Array.isArray(body.items) || body.items.length > MAX_ITEMS) {
+    throw new ShareError(400, 'validation_failed', `items must be an array of at most ${MAX_ITEMS} products`);
+  }
+  return { name, items: body.items.map(sanitizeProduct) };
+}
+
+function firstName(name) {
+  return typeof name === 'string' ? name.trim().split(/\s+/)[0] || null : null;
+}
+
+function ownerSummary(share) {
+  return {
+    token: share.token,
+    name: share.name,
+    itemCount: share.items.length,
+    createdAt: share.createdAt,
+    updatedAt: share.updatedAt,
+  };
+}
+
+// Reason: tokens come from the URL; a plain lookup would resolve `constructor` / `__proto__` to prototype members.
+function findShare(data, token) {
+  return Object.hasOwn(data.shares, token) ? data.shares[token] : null;
+}
+
+/**
+ * @param {{ storePath: string|URL, log?: (event: string, fields?: object) => void }} options
+ */
+export function createShareService({ storePath, log = () => {} }) {
+  const store = createJsonStore(storePath, () => ({ shares: {} }));
+
+  // Reason: one answer for "no such token" and "someone else's token", so tokens can't be probed via revoke.
+  function findOwned(data, userId, token) {
+    const share = findShare(data, token);
+    if (!share || share.ownerId !== userId) {
+      throw new ShareError(404, 'share_not_found', 'This shared wishlist does not exist or was revoked');
+    }
+    return share;
+  }
+
+  return {
+    async publish(owner, body) {
+      const snapshot = parseSnapshot(body);
+      return store.update((data) => {
+        const owned = Object.values(data.shares).filter((share) => share.ownerId === owner.id).length;
+        if (owned >= MAX_SHARES_PER_USER) {
+          throw new ShareError(409, 'too_many_shares', `You can share at most ${MAX_SHARES_PER_USER} lists`);
+        }
+        const now = new Date().toISOString();
+        const share = {
+          token: randomBytes(16).toString('base64url'),
+          ownerId: owner.id,
+          ownerName: firstName(owner.name),
+          ...snapshot,
+          createdAt: now,
+          updatedAt: now,
+        };
+        data.shares[share.token] = share;
+        log('wishlist_shared', { userId: owner.id, items: share.items.length });
+        return ownerSummary(share);
+      });
+    },
+
+    async update(owner, token, body) {
+      const snapshot = parseSnapshot(body);
+      return store.update((data) => {
+        const share = findOwned(data, owner.id, token);
+        Object.assign(share, snapshot, { ownerName: firstName(owner.name), updatedAt: new Date().toISOString() });
+        return ownerSummary(share);
+      });
+    },
+
+    async revoke(userId, token) {
+      await store.update((data) => {
+        findOwned(data, userId, token);
+        delete data.shares[token];
+        log('wishlist_share_revoked', { userId });
+      });
+    },
+
+    // Public read-only view.
+    async get(token) {
+      const share = findShare(await store.read(), token);
+      if (!share) throw new ShareError(404, 'share_not_found', 'This shared wishlist does not exist or was revoked');
+      const { ownerId: _ownerId, ...view } = share;
+      return view;
+    },
+  };
+}
@@ -1,193 +1,272 @@
-import React, { Suspense } from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import React, { Suspense, useEffect, useSyncExternalStore } from 'react';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { ThemeProvider } from '@mui/material/styles';
-import { Box, CircularProgress, CssBaseline } from '@mui/material';
+import { Box, CssBaseline } from '@mui/material';
 
 import { AuthProvider, useAuth } from './contexts/AuthContext.jsx';
 import { CartProvider, useCart } from './contexts/CartContext.jsx';
+import { CurrencyProvider } from './contexts/CurrencyContext.jsx';
 import { SnackbarProvider, useSnackbar } from './contexts/SnackbarContext.jsx';
 import { WishlistProvider, useWishlist } from './contexts/WishlistContext.jsx';
+import { WishlistAlertsProvider } from './contexts/WishlistAlertsContext.jsx';
 import { theme } from './theme/theme.js';
 import Navbar from './components/Navbar.jsx';
+import NotificationToasts from './components/NotificationToasts.jsx';
+import FullPageLoader from './components/FullPageLoader.jsx';
+import RemoteRoute from './components/RemoteRoute.jsx';
 import RemoteShowcase from './pages/RemoteShowcase.jsx';
+import RemoteHealth from './pages/RemoteHealth.jsx';
+import EventLog from './pages/EventLog.jsx';
+import NotFound from './pages/NotFound.jsx';
+import Forbidden from './pages/Forbidden.jsx';
+import SharedWishlist from './pages/SharedWishlist.jsx';
+import { lazyRemote } from './federation/lazyRemote.js';
+import { loadRemoteModule } from './federation/remoteRegistry.js';
+import { getRoutes, subscribeRoutes } from './routing/routeRegistry.js';
+import { buildLoginRedirect, clearReturnTo, resolveReturnTo } from './routing/returnTo.js';
+import { ShellApiProvider } from './shellApi/ShellApiContext.jsx';
+import { PERMISSIONS } from './utils/permissions.js';
 
 // Remote page modules (loaded at runtime).
-const Login = React.lazy(() => import('auth/Login'));
-const SignUp = React.lazy(() => import('auth/SignUp'));
+// Reason: `lazyRemote` retries failed container/chunk loads with backoff instead of failing until a reload.
+const Login = lazyRemote('auth', 'Login', () => import('auth/Login'));
+const SignUp = lazyRemote('auth', 'SignUp', () => import('auth/SignUp'));
 
-const Products = React.lazy(() => import('catalog/Products'));
-const ProductDetail = React.lazy(() => import('catalog/ProductDetail'));
-const Collections = React.lazy(() => import('catalog/Collections'));
-const About = React.lazy(() => import('catalog/About'));
+const Products = lazyRemote('catalog', 'Products', () => import('catalog/Products'));
+const ProductDetail = lazyRemote('catalog', 'ProductDetail', () => import('catalog/ProductDetail'));
+const Collections = lazyRemote('catalog', 'Collections', () => import('catalog/Collections'));
+const About = lazyRemote('catalog', 'About', () => import('catalog/About'));
 
-const Cart = React.lazy(() => import('checkout/Cart'));
-const Checkout = React.lazy(() => import('checkout/Checkout'));
-const OrderConfirmation = React.lazy(() => import('checkout/OrderConfirmation'));
+const Cart = lazyRemote('checkout', 'Cart', () => import('checkout/Cart'));
+const Checkout = lazyRemote('checkout', 'Checkout', () => import('checkout/Checkout'));
+const OrderConfirmation = lazyRemote('checkout', 'OrderConfirmation', () => import('checkout/OrderConfirmation'));
 
 // New remotes (added):
-const Wishlist = React.lazy(() => import('wishlist/Wishlist'));
-const Account = React.lazy(() => import('account/Account'));
-const Addresses = React.lazy(() => import('account/Addresses'));
+const Wishlist = lazyRemote('wishlist', 'Wishlist', () => import('wishlist/Wishlist'));
+const Account = lazyRemote('account', 'Account', () => import('account/Account'));
+const Addresses = lazyRemote('account', 'Addresses', () => import('account/Addresses'));
 
-function FullPageLoader() {
-  return (
-    <Box sx={{ minHeight: '60vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-      <CircularProgress />
-    </Box>
-  );
+// Legacy per-route props, keyed by `remote/module` (the contract before `shellApi`; see `src/shellApi/README.md`).
+const SHELL_ROUTE_PAGES = {
+  'auth/Login': { Component: Login, props: ({ login, loading }) => ({ login, loading }) },
+  'auth/SignUp': { Component: SignUp, props: ({ signup, loading }) => ({ signup, loading }) },
+  'catalog/Products': {
+    Component: Products,
+    props: ({ addToCart, showError, addToWishlist, isInWishlist }) => ({
+      addToCart,
+      showError,
+      // Reason: catalog can add products to wishlist without owning wishlist state.
+      addToWishlist,
+      isInWishlist,
+    }),
+  },
+  'catalog/ProductDetail': {
+    Component: ProductDetail,
+    props: ({ addToCart, addToWishlist, isInWishlist, cartItems, showError, showSuccess }) => ({
+      addToCart,
+      addToWishlist,
+      isInWishlist,
+      cartItems,
+      showError,
+      showSuccess,
+    }),
+  },
+  'catalog/Collections': { Component: Collections },
+  'catalog/About': { Component: About },
+  'checkout/Cart': {
+    Component: Cart,
+    props: ({ cartItems, removeFromCart, updateQuantity, getCartTotal, isCartEmpty, clearCart, showError }) => ({
+      cartItems,
+      removeFromCart,
+      updateQuantity,
+      getCartTotal,
+      isCartEmpty,
+      clearCart,
+      showError,
+    }),
+  },
+  'checkout/Checkout': {
+    Component: Checkout,
+    // Reason: a checkout remote still on these props must show and charge the same total as `shellApi`
+    // (promotions, shipping and tax), not the bare cart total.
+    props: ({ cartItems, getCartTotal, getCartBreakdown, getOrderQuote, clearCart, showError, showSuccess }) => ({
+      cartItems,
+      getCartTotal,
+      getCartBreakdown,
+      getOrderQuote,
+      clearCart,
+      showError,
+      showSuccess,
+    }),
+  },
+  'checkout/OrderConfirmation': { Component: OrderConfirmation },
+  'wishlist/Wishlist': {
+    Component: Wishlist,
+    props: ({ wishlistItems, removeFromWishlist, clearWishlist, addToCart, showError, showSuccess, user }) => ({
+      items: wishlistItems,
+      removeFromWishlist,
+      clearWishlist,
+      // Optional: let wishlist add items to cart (shell owns cart).
+      addToCart,
+      showError,
+      showSuccess,
+      currentUser: user,
+    }),
+  },
+  'account/Account': { Component: Account },
+  'account/Addresses': { Component: Addresses },
+};
+
+// Pages contributed by remote route manifests; created once per module so re-renders keep the same component.
+const contributedPages = new Map();
+
+function getRoutePage(route) {
+  const key = `${route.remote}/${route.module}`;
+  if (SHELL_ROUTE_PAGES[key]) return SHELL_ROUTE_PAGES[key];
+
+  if (!contributedPages.has(key)) {
+    // Reason: not declared in webpack, so load through the registry instead of a literal `import()`.
+    const Component = lazyRemote(route.remote, route.module, () => loadRemoteModule(route.remote, route.module));
+    contributedPages.set(key, { Component });
+  }
+  return contributedPages.get(key);
 }
 
-// Protected route component to handle authentication.
-function ProtectedRoute({ children }) {
-  const { isAuthenticated, loading } = useAuth();
+// Protected route component: login required, plus the `require`d permission(s) if given,
+// e.g. `<ProtectedRoute require="orders:read">` (see `utils/permissions.js`).
+function ProtectedRoute({ children, require }) {
+  const { isAuthenticated, loading, sessionExpired, can } = useAuth();
+  const location = useLocation();
 
   // Reason: avoid redirect flicker while session is being loaded from localStorage.
   if (loading) return <FullPageLoader />;
+  if (isAuthenticated) return can(require) ? children : <Forbidden />;
+
+  // Come back to this page once the user has signed in (see `GuestRoute` and `routing/returnTo.js`).
+  const { to, state } = buildLoginRedirect(location, sessionExpired ? { reason: 'session-expired' } : undefined);
+  return <Navigate to={to} replace state={state} />;
+}
+
+// Logged-out-only pages (login, signup): signed-in users go back where they came from, or to the shop.
+function GuestRoute({ children }) {
+  const { isAuthenticated } = useAuth();
+  const location = useLocation();
+
+  useEffect(() => {
+    if (isAuthenticated) clearReturnTo();
+  }, [isAuthenticated]);
+
+  return isAuthenticated ? <Navigate to={resolveReturnTo(location)} replace /> : children;
+}
+
+function renderRouteElement(route, shellState) {
+  const { Component, props } = getRoutePage(route);
+  const page = (
+    <RemoteRoute remote={route.remote} module={route.module}>
+      <Component {...(props ? props(shellState) : {})} />
+    </RemoteRoute>
+  );
 
-  return isAuthenticated ? children : <Navigate to="/login" replace />;
+  if (route.protection === 'protected') return <ProtectedRoute require={route.require}>{page}</ProtectedRoute>;
+  if (route.protection === 'guest') return <GuestRoute>{page}</GuestRoute>;
+  return page;
 }
 
 function AppLayout() {
   const { isAuthenticated, loading, login, signup, user } = useAuth();
   // Note: `useAuth().loading` covers auth bootstrapping; login/signup each manage their own async state.
-  const { cartItems, getCartTotal, addToCart, removeFromCart, updateQuantity, isCartEmpty, clearCart } = useCart();
+  const {
+    cartItems,
+    getCartTotal,
+    getCartBreakdown,
+    getOrderQuote,
+    addToCart,
+    removeFromCart,
+    updateQuantity,
+    isCartEmpty,
+    clearCart,
+  } = useCart();
   const { showError, showSuccess } = useSnackbar();
   const { wishlistItems, addToWishlist, removeFromWishlist, clearWishlist, isInWishlist } = useWishlist();
+  // Reason: a remote's routes can be reloaded at runtime (retry on the not-found page).
+  const routes = useSyncExternalStore(subscribeRoutes, getRoutes);
 
   if (loading) return <FullPageLoader />;
 
+  const shellState = {
+    isAuthenticated,
+    loading,
+    login,
+    signup,
+    user,
+    cartItems,
+    getCartTotal,
+    getCartBreakdown,
+    getOrderQuote,
+    addToCart,
+    removeFromCart,
+    updateQuantity,
+    isCartEmpty,
+    clearCart,
+    showError,
+    showSuccess,
+    wishlistItems,
+    addToWishlist,
+    removeFromWishlist,
+    clearWishlist,
+    isInWishlist,
+  };
+
   return (
     <Box sx={{ display: 'flex', flexDirection: 'column', minHeight: '100vh' }}>
       <Navbar />
+      <NotificationToasts />
       <Box component="main" sx={{ flexGrow: 1, pt: 0, pb: 0 }}>
+        {/* Reason: each remote route has its own boundary + Suspense (see `RemoteRoute`), so a failing
+            remote only replaces its own page with a "remote unavailable" fallback.
+            Routes come from the route registry: shell routes plus those contributed by remote manifests
+            (see `src/routing/README.md`). */}
         <Suspense fallback={<FullPageLoader />}>
           <Routes>
-            <Route
-              path="/login"
-              element={
-                !isAuthenticated ? (
-                  <Login login={login} loading={loading} />
-                ) : (
-                  <Navigate to="/products" replace />
-                )
-              }
-            />
-            <Route
-              path="/signup"
-              element={
-                !isAuthenticated ? (
-                  <SignUp signup={signup} loading={loading} />
-                ) : (
-                  <Navigate to="/products" replace />
-                )
-              }
-            />
-
-            <Route
-              path="/products"
-              element={
-                <Products
-                  addToCart={addToCart}
-                  showError={showError}
-                  // Reason: catalog can add products to wishlist without owning wishlist state.
-                  addToWishlist={addToWishlist}
-                  isInWishlist={isInWishlist}
-                />
-              }
-            />
-            <Route
-              path="/product/:id"
-              element={
-                <ProductDetail
-                  addToCart={addToCart}
-                  addToWishlist={addToWishlist}
-                  isInWishlist={isInWishlist}
-                  cartItems={cartItems}
-                  showError={showError}
-                  showSuccess={showSuccess}
-                />
-              }
-            />
-            <Route path="/collections" element={<Collections />} />
-            <Route path="/about" element={<About />} />
-
-            <Route
-              path="/cart"
-              element={
-                <Cart
-                  cartItems={cartItems}
-                  removeFromCart={removeFromCart}
-                  updateQuantity={updateQuantity}
-                  getCartTotal={getCartTotal}
-                  isCartEmpty={isCartEmpty}
-                  clearCart={clearCart}
-                  showError={showError}
-                />
-              }
-            />
+            {routes.map((route) => (
+              <Route key={route.path} path={route.path} element={renderRouteElement(route, shellState)} />
+            ))}
 
+            <Route path="/" element={<Navigate to="/products" replace />} />
+            {/* Debug/diagnostics page: render multiple remotes on one screen. Like every /debug/* page, it is for
+                internal roles only (support, admin). */}
             <Route
-              path="/checkout"
+              path="/debug/remotes"
               element={
-                <ProtectedRoute>
-                  <Checkout
-                    cartItems={cartItems}
-                    getCartTotal={getCartTotal}
-                    clearCart={clearCart}
-                    showError={showError}
-                    showSuccess={showSuccess}
-                  />
+                <ProtectedRoute require={PERMISSIONS.DIAGNOSTICS}>
+                  <RemoteShowcase />
                 </ProtectedRoute>
               }
             />
-
+            {/* Debug/diagnostics page: live probe of every remote (exportable JSON for incidents). */}
             <Route
-              path="/order-confirmation"
+              path="/debug/health"
               element={
-                <ProtectedRoute>
-                  <OrderConfirmation />
+                <ProtectedRoute require={PERMISSIONS.DIAGNOSTICS}>
+                  <RemoteHealth />
                 </ProtectedRoute>
               }
             />
-
+            {/* Debug/diagnostics page: shell event bus traffic (shell ↔ remote messages). */}
             <Route
-              path="/wishlist"
+              path="/debug/events"
               element={
-                <ProtectedRoute>
-                  <Wishlist
-                    items={wishlistItems}
-                    removeFromWishlist={removeFromWishlist}
-                    clearWishlist={clearWishlist}
-                    // Optional: let wishlist add items to cart (shell owns cart).
-                    addToCart={addToCart}
-                    showError={showError}
-                    showSuccess={showSuccess}
-                    currentUser={user}
-                  />
+                <ProtectedRoute require={PERMISSIONS.DIAGNOSTICS}>
+                  <EventLog />
                 </ProtectedRoute>
               }
             />
 
-            <Route
-              path="/account"
-              element={
-                <ProtectedRoute>
-                  <Account />
-                </ProtectedRoute>
-              }
-            />
-            <Route
-              path="/account/addresses"
-              element={
-                <ProtectedRoute>
-                  <Addresses />
-                </ProtectedRoute>
-              }
-            />
+            {/* Public, read-only: shared links must open without the wishlist remote or a login. */}
+            <Route path="/wishlist/shared/:token" element={<SharedWishlist />} />
 
-            <Route path="/" element={<Navigate to="/products" replace />} />
-            {/* Debug/diagnostics page: render multiple remotes on one screen. */}
-            <Route path="/debug/remotes" element={<RemoteShowcase />} />
+            {/* Unknown URLs: suggestions, or "remote unavailable" when the owning remote's routes failed to load. */}
+            <Route path="*" element={<NotFound />} />
           </Routes>
         </Suspense>
       </Box>
@@ -200,15 +279,21 @@ export default function App() {
     <ThemeProvider theme={theme}>
       <CssBaseline />
       <SnackbarProvider>
-        <AuthProvider>
-          <CartProvider>
-            <WishlistProvider>
-              <Router>
-                <AppLayout />
-              </Router>
-            </WishlistProvider>
-          </CartProvider>
-        </AuthProvider>
+        <CurrencyProvider>
+          <AuthProvider>
+            <CartProvider>
+              <WishlistProvider>
+                <WishlistAlertsProvider>
+                  <Router>
+                    <ShellApiProvider>
+                      <AppLayout />
+                    </ShellApiProvider>
+                  </Router>
+                </WishlistAlertsProvider>
+              </WishlistProvider>
+            </CartProvider>
+          </AuthProvider>
+        </CurrencyProvider>
       </SnackbarProvider>
     </ThemeProvider>
   );
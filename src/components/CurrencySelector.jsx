@@ -0,0 +1,36 @@
+import React from 'react';
+import { MenuItem, TextField } from '@mui/material';
+
+import { useCurrency } from '../contexts/CurrencyContext.jsx';
+
+/**
+ * CurrencySelector
+ *
+ * Purpose:
+ * - Navbar control for the display currency (desktop toolbar and mobile menu). Remotes follow the choice through
+ *   `shellApi.v1.money` / the `currency:changed` event.
+ * - Hidden while only the base currency is known (exchange rates not loaded), since there is nothing to pick.
+ */
+export default function CurrencySelector({ sx }) {
+  const { currency, currencies, setCurrency } = useCurrency();
+
+  if (currencies.length < 2) return null;
+
+  return (
+    <TextField
+      select
+      size="small"
+      value={currency}
+      onChange={(e) => setCurrency(e.target.value)}
+      // Reason: changing the display currency must work even while fail mode injects logical errors.
+      inputProps={{ 'aria-label': 'Currency', 'data-skip-logical-error': 'true' }}
+      sx={{ minWidth: 88, '& .MuiInputBase-input': { py: 0.75, fontWeight: 600 }, ...sx }}
+    >
+      {currencies.map((code) => (
+        <MenuItem key={code} value={code} data-skip-logical-error="true">
+          {code}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+}
@@ -0,0 +1,10 @@
+import React from 'react';
+import { Box, CircularProgress } from '@mui/material';
+
+export default function FullPageLoader() {
+  return (
+    <Box sx={{ minHeight: '60vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <CircularProgress />
+    </Box>
+  );
+}
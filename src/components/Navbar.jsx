@@ -32,18 +32,124 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext.jsx';
 import { useCart } from '../contexts/CartContext.jsx';
 import { useWishlist } from '../contexts/WishlistContext.jsx';
+import CurrencySelector from './CurrencySelector.jsx';
+import NotificationBell from './NotificationBell.jsx';
+import WishlistAlertsMenu from './WishlistAlertsMenu.jsx';
 import attemptTracker from '../utils/attemptTracker.js';
+import { SHELL_EVENTS } from '../events/eventBus.js';
+import { useShellEvent } from '../events/useShellEvent.js';
+import { NAV_SECTIONS } from '../navigation/navItems.js';
+import { useNavModel } from '../navigation/navModel.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+const NAV_ICONS = {
+  person: PersonIcon,
+  logout: LogoutIcon,
+};
+
+// Desktop primary links (SHOP / COLLECTIONS / ABOUT).
+const primaryLinkSx = {
+  textTransform: 'none',
+  fontSize: '1rem',
+  fontWeight: 600,
+  color: 'text.primary',
+  borderRadius: 3,
+  px: 3,
+  py: 1.5,
+  position: 'relative',
+  overflow: 'hidden',
+  transition: 'all 0.4s cubic-bezier(0.4, 0, 0.2, 1)',
+  outline: 'none',
+  '&::before': {
+    content: '""',
+    position: 'absolute',
+    top: 0,
+    left: '-100%',
+    width: '100%',
+    height: '100%',
+    background: 'linear-gradient(90deg, transparent, rgba(212, 175, 55, 0.1), transparent)',
+    transition: 'left 0.6s',
+  },
+  '&:hover': {
+    background: 'rgba(212, 175, 55, 0.08)',
+    transform: 'translateY(-2px)',
+    boxShadow: '0px 4px 12px rgba(212, 175, 55, 0.2)',
+    '&::before': {
+      left: '100%',
+    },
+  },
+  '&:active': {
+    transform: 'translateY(0)',
+    background: 'rgba(212, 175, 55, 0.12)',
+    transition: 'all 0.1s',
+  },
+  '&:focus': {
+    outline: 'none',
+    boxShadow: 'none',
+  },
+  '&:focus-visible': {
+    outline: 'none',
+    boxShadow: 'none',
+  },
+};
+
+// Mobile menu primary links.
+const mobileLinkSx = {
+  justifyContent: 'flex-start',
+  textTransform: 'none',
+  fontSize: '1.1rem',
+  fontWeight: 500,
+  color: 'text.primary',
+  py: 1.5,
+};
+
+// Flatten grouped nav items into menu children.
+// Reason: MUI `Menu` needs direct `MenuItem`/`Divider` children (no fragments) for keyboard navigation.
+function renderGroupedMenuItems(groups, onSelect) {
+  return groups.flatMap(({ group, items }, index) => [
+    ...(index > 0 ? [<Divider key={`divider-${group ?? index}`} />] : []),
+    ...items.map((item) => (
+      <MenuItem
+        key={item.id}
+        // Reason: failure-drill actions must run even while fail mode injects logical errors.
+        data-skip-logical-error={item.action ? 'true' : undefined}
+        onClick={() => onSelect(item)}
+      >
+        {group ? `${group} → ${item.label}` : item.label}
+      </MenuItem>
+    )),
+  ]);
+}
 
 const Navbar = () => {
   const navigate = useNavigate();
-  const { isAuthenticated, user, logout } = useAuth();
+  const { isAuthenticated, user, logout, loading: authLoading, can } = useAuth();
   const { getCartItemCount } = useCart();
   const { wishlistCount } = useWishlist();
+  const navModel = useNavModel();
   const [anchorEl, setAnchorEl] = useState(null);
   const [remotesAnchorEl, setRemotesAnchorEl] = useState(null);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [scrolled, setScrolled] = useState(false);
   const [failModeEnabled, setFailModeEnabled] = useState(attemptTracker.getFailMode());
+  // Fail mode is a support/QA tool: only internal roles see the checkbox.
+  const canUseFailMode = can(PERMISSIONS.DIAGNOSTICS);
+
+  // Reason: a hidden checkbox can't be unticked, so don't leave fail mode on for users who can't see it
+  // (e.g. after an admin signs out on a shared machine). Wait for the saved session to avoid resetting admins.
+  useEffect(() => {
+    if (authLoading || canUseFailMode || !attemptTracker.getFailMode()) return;
+    setFailModeEnabled(attemptTracker.setFailMode(false));
+  }, [authLoading, canUseFailMode]);
+
+  // Any remote can ask the shell to search (`search:requested`); the header owns navigation to the results.
+  useShellEvent(
+    SHELL_EVENTS.SEARCH_REQUESTED,
+    ({ query } = {}) => {
+      if (query?.trim()) navigate(`/products?q=${encodeURIComponent(query.trim())}`);
+    },
+    { replay: false },
+  );
 
   // Logical errors (shell / header).
   // Reason: if a user is interacting with the header while fail mode is enabled, the stacktrace should
@@ -128,12 +234,6 @@ const Navbar = () => {
     setRemotesAnchorEl(null);
   };
 
-  const handleRemoteNavigation = (path) => {
-    // Close menus before navigating.
-    handleRemotesMenuClose();
-    handleNavigation(path);
-  };
-
   const triggerMFMismatchedExport = () => {
     void import('catalog/__MISSING_EXPOSED_MODULE__').catch((e) => {
       if (window.zipy && typeof window.zipy.logException === 'function') {
@@ -225,6 +325,27 @@ const Navbar = () => {
     setMobileMenuOpen(!mobileMenuOpen);
   };
 
+  // Nav items with an `action` (see `navigation/navItems.js`) run one of these instead of navigating.
+  const NAV_ACTIONS = {
+    mfMismatchedExport: triggerMFMismatchedExport,
+    mfShareScopeMismatch: triggerMFShareScopeMismatch,
+    chunkLoadFailure: triggerChunkLoadFailure,
+    abortRace: triggerAbortRace,
+    networkFailure: triggerNetworkFailure,
+    logout: handleLogout,
+  };
+
+  const handleNavItem = (item) => {
+    // Close menus before navigating.
+    handleRemotesMenuClose();
+    handleUserMenuClose();
+    if (item.action) {
+      void NAV_ACTIONS[item.action]?.();
+      return;
+    }
+    handleNavigation(item.to);
+  };
+
   // Explicitly set fail mode via checkbox
   const setFailMode = (enabled) => {
     const newMode = attemptTracker.setFailMode(enabled);
@@ -281,156 +402,11 @@ const Navbar = () => {
 
             {/* Desktop Navigation Links */}
             <Box sx={{ display: { xs: 'none', md: 'flex' }, gap: 3, alignItems: 'center' }}>
-              <Button
-                color="inherit"
-                onClick={() => handleNavigation('/products')}
-                sx={{ 
-                  textTransform: 'none', 
-                  fontSize: '1rem',
-                  fontWeight: 600,
-                  color: 'text.primary',
-                  borderRadius: 3,
-                  px: 3,
-                  py: 1.5,
-                  position: 'relative',
-                  overflow: 'hidden',
-                  transition: 'all 0.4s cubic-bezier(0.4, 0, 0.2, 1)',
-                  outline: 'none',
-                  '&::before': {
-                    content: '""',
-                    position: 'absolute',
-                    top: 0,
-                    left: '-100%',
-                    width: '100%',
-                    height: '100%',
-                    background: 'linear-gradient(90deg, transparent, rgba(212, 175, 55, 0.1), transparent)',
-                    transition: 'left 0.6s',
-                  },
-                  '&:hover': {
-                    background: 'rgba(212, 175, 55, 0.08)',
-                    transform: 'translateY(-2px)',
-                    boxShadow: '0px 4px 12px rgba(212, 175, 55, 0.2)',
-                    '&::before': {
-                      left: '100%',
-                    },
-                  },
-                  '&:active': {
-                    transform: 'translateY(0)',
-                    background: 'rgba(212, 175, 55, 0.12)',
-                    transition: 'all 0.1s',
-                  },
-                  '&:focus': {
-                    outline: 'none',
-                    boxShadow: 'none',
-                  },
-                  '&:focus-visible': {
-                    outline: 'none',
-                    boxShadow: 'none',
-                  },
-                }}
-              >
-                SHOP
-              </Button>
-              <Button
-                color="inherit"
-                onClick={() => handleNavigation('/collections')}
-                sx={{ 
-                  textTransform: 'none', 
-                  fontSize: '1rem',
-                  fontWeight: 600,
-                  color: 'text.primary',
-                  borderRadius: 3,
-                  px: 3,
-                  py: 1.5,
-                  position: 'relative',
-                  overflow: 'hidden',
-                  transition: 'all 0.4s cubic-bezier(0.4, 0, 0.2, 1)',
-                  outline: 'none',
-                  '&::before': {
-                    content: '""',
-                    position: 'absolute',
-                    top: 0,
-                    left: '-100%',
-                    width: '100%',
-                    height: '100%',
-                    background: 'linear-gradient(90deg, transparent, rgba(212, 175, 55, 0.1), transparent)',
-                    transition: 'left 0.6s',
-                  },
-                  '&:hover': {
-                    background: 'rgba(212, 175, 55, 0.08)',
-                    transform: 'translateY(-2px)',
-                    boxShadow: '0px 4px 12px rgba(212, 175, 55, 0.2)',
-                    '&::before': {
-                      left: '100%',
-                    },
-                  },
-                  '&:active': {
-                    transform: 'translateY(0)',
-                    background: 'rgba(212, 175, 55, 0.12)',
-                    transition: 'all 0.1s',
-                  },
-                  '&:focus': {
-                    outline: 'none',
-                    boxShadow: 'none',
-                  },
-                  '&:focus-visible': {
-                    outline: 'none',
-                    boxShadow: 'none',
-                  },
-                }}
-              >
-                COLLECTIONS
-              </Button>
-              <Button
-                color="inherit"
-                onClick={() => handleNavigation('/about')}
-                sx={{ 
-                  textTransform: 'none', 
-                  fontSize: '1rem',
-                  fontWeight: 600,
-                  color: 'text.primary',
-                  borderRadius: 3,
-                  px: 3,
-                  py: 1.5,
-                  position: 'relative',
-                  overflow: 'hidden',
-                  transition: 'all 0.4s cubic-bezier(0.4, 0, 0.2, 1)',
-                  outline: 'none',
-                  '&::before': {
-                    content: '""',
-                    position: 'absolute',
-                    top: 0,
-                    left: '-100%',
-                    width: '100%',
-                    height: '100%',
-                    background: 'linear-gradient(90deg, transparent, rgba(212, 175, 55, 0.1), transparent)',
-                    transition: 'left 0.6s',
-                  },
-                  '&:hover': {
-                    background: 'rgba(212, 175, 55, 0.08)',
-                    transform: 'translateY(-2px)',
-                    boxShadow: '0px 4px 12px rgba(212, 175, 55, 0.2)',
-                    '&::before': {
-                      left: '100%',
-                    },
-                  },
-                  '&:active': {
-                    transform: 'translateY(0)',
-                    background: 'rgba(212, 175, 55, 0.12)',
-                    transition: 'all 0.1s',
-                  },
-                  '&:focus': {
-                    outline: 'none',
-                    boxShadow: 'none',
-                  },
-                  '&:focus-visible': {
-                    outline: 'none',
-                    boxShadow: 'none',
-                  },
-                }}
-              >
-                ABOUT
-              </Button>
+              {navModel[NAV_SECTIONS.PRIMARY].flatMap(({ items }) => items).map((item) => (
+                <Button key={item.id} color="inherit" onClick={() => handleNavItem(item)} sx={primaryLinkSx}>
+                  {item.label}
+                </Button>
+              ))}
 
               {/* Quick navigation to remote-owned pages */}
               <Button
@@ -455,105 +431,31 @@ const Navbar = () => {
                 Remotes
               </Button>
 
-              <Menu
-                anchorEl={remotesAnchorEl}
-                open={Boolean(remotesAnchorEl)}
-                onClose={handleRemotesMenuClose}
-                anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
-                transformOrigin={{ vertical: 'top', horizontal: 'right' }}
-                PaperProps={{
-                  sx: {
-                    mt: 1,
-                    minWidth: 260,
-                    borderRadius: 3,
-                    boxShadow: '0px 8px 32px rgba(0, 0, 0, 0.12)',
-                    border: '1px solid rgba(0, 0, 0, 0.08)',
-                  },
-                }}
-              >
-                <MenuItem onClick={() => handleRemoteNavigation('/login')}>Auth → Login</MenuItem>
-                <MenuItem onClick={() => handleRemoteNavigation('/signup')}>Auth → Sign up</MenuItem>
-                <Divider />
-                <MenuItem onClick={() => handleRemoteNavigation('/products')}>Catalog → Products</MenuItem>
-                <MenuItem onClick={() => handleRemoteNavigation('/collections')}>Catalog → Collections</MenuItem>
-                <MenuItem onClick={() => handleRemoteNavigation('/about')}>Catalog → About</MenuItem>
-                <Divider />
-                <MenuItem onClick={() => handleRemoteNavigation('/cart')}>Checkout → Cart</MenuItem>
-                <MenuItem onClick={() => handleRemoteNavigation('/checkout')}>Checkout → Checkout</MenuItem>
-                <Divider />
-                <MenuItem onClick={() => handleRemoteNavigation('/wishlist')}>Wishlist → Wishlist</MenuItem>
-                <Divider />
-                <MenuItem onClick={() => handleRemoteNavigation('/account')}>Account → Profile</MenuItem>
-                <MenuItem onClick={() => handleRemoteNavigation('/account/addresses')}>Account → Addresses</MenuItem>
-                <Divider />
-                <MenuItem onClick={() => handleRemoteNavigation('/debug/remotes')}>Shell → Remote Showcase</MenuItem>
-                <Divider />
-                <MenuItem
-                  data-skip-logical-error="true"
-                  onClick={() => {
-                    handleRemotesMenuClose();
-                    triggerMFMismatchedExport();
-                  }}
-                >
-                  Remote module import
-                </MenuItem>
-                <MenuItem
-                  data-skip-logical-error="true"
-                  onClick={() => {
-                    handleRemotesMenuClose();
-                    triggerMFShareScopeMismatch();
-                  }}
-                >
-                  Remote init
-                </MenuItem>
-                <MenuItem
-                  data-skip-logical-error="true"
-                  onClick={() => {
-                    handleRemotesMenuClose();
-                    triggerChunkLoadFailure();
-                  }}
-                >
-                  Open offers
-                </MenuItem>
-                <MenuItem
-                  data-skip-logical-error="true"
-                  onClick={() => {
-                    handleRemotesMenuClose();
-                    triggerAbortRace();
-                  }}
-                >
-                  Refresh prices
-                </MenuItem>
-                <MenuItem
-                  data-skip-logical-error="true"
-                  onClick={() => {
-                    handleRemotesMenuClose();
-                    triggerNetworkFailure();
-                  }}
-                >
-                  Sync account
-                </MenuItem>
-              </Menu>
             </Box>
 
             {/* Right side - Actions */}
             <Box sx={{ display: 'flex', alignItems: 'center', gap: 1,
               }}>
               {/* Fail Mode Checkbox - Desktop Only */}
-              <FormControlLabel
-                control={
-                  <Checkbox
-                    checked={failModeEnabled}
-                    onChange={(e) => setFailMode(e.target.checked)}
-                    // Reason: allow toggling fail mode OFF even when logical error injection is active.
-                    inputProps={{ 'data-skip-logical-error': 'true' }}
-                  />
-                }
-                sx={{ 
-                  ml: 1,
-                  display: { xs: 'none', md: 'flex' }, // Hide on mobile, show on desktop
-                }}
-              />
+              {canUseFailMode && (
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={failModeEnabled}
+                      onChange={(e) => setFailMode(e.target.checked)}
+                      // Reason: allow toggling fail mode OFF even when logical error injection is active.
+                      inputProps={{ 'data-skip-logical-error': 'true' }}
+                    />
+                  }
+                  sx={{ 
+                    ml: 1,
+                    display: { xs: 'none', md: 'flex' }, // Hide on mobile, show on desktop
+                  }}
+                />
+              )}
+
+              {/* Display currency - Desktop Only (mobile: in the menu) */}
+              <CurrencySelector sx={{ display: { xs: 'none', md: 'inline-flex' } }} />
 
               {/* Search Icon */}
               <IconButton
@@ -603,6 +505,12 @@ const Navbar = () => {
                 </Badge>
               </IconButton>
 
+              {/* Wishlist price / stock alerts */}
+              <WishlistAlertsMenu />
+
+              {/* Notification history */}
+              <NotificationBell />
+
               {/* Cart Icon */}
               <IconButton
                 color="inherit"
@@ -689,24 +597,18 @@ const Navbar = () => {
                       </Box>
                     </MenuItem>
                     <Divider />
-                    <MenuItem
-                      onClick={() => {
-                        // Reason: account pages live in a dedicated MFE (`shophub-account`).
-                        handleUserMenuClose();
-                        navigate('/account');
-                      }}
-                    >
-                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                        <PersonIcon fontSize="small" />
-                        <Typography>My Account</Typography>
-                      </Box>
-                    </MenuItem>
-                    <MenuItem onClick={handleLogout}>
-                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                        <LogoutIcon fontSize="small" />
-                        <Typography>Sign Out</Typography>
-                      </Box>
-                    </MenuItem>
+                    {/* Reason: account pages live in a dedicated MFE (`shophub-account`). */}
+                    {navModel[NAV_SECTIONS.USER].flatMap(({ items }) => items).map((item) => {
+                      const Icon = NAV_ICONS[item.icon] ?? PersonIcon;
+                      return (
+                        <MenuItem key={item.id} onClick={() => handleNavItem(item)}>
+                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                            <Icon fontSize="small" />
+                            <Typography>{item.label}</Typography>
+                          </Box>
+                        </MenuItem>
+                      );
+                    })}
                   </Menu>
                 </>
               ) : (
@@ -761,6 +663,27 @@ const Navbar = () => {
             </Box>
           </Toolbar>
         </Container>
+
+        {/* Remotes menu: one instance shared by the desktop button and the mobile menu.
+            Kept inside the AppBar so fail-mode click capture still sees its items. */}
+        <Menu
+          anchorEl={remotesAnchorEl}
+          open={Boolean(remotesAnchorEl)}
+          onClose={handleRemotesMenuClose}
+          anchorOrigin={{ vertical: 'bottom', horizontal: mobileMenuOpen ? 'left' : 'right' }}
+          transformOrigin={{ vertical: 'top', horizontal: mobileMenuOpen ? 'left' : 'right' }}
+          PaperProps={{
+            sx: {
+              mt: 1,
+              minWidth: 260,
+              borderRadius: 3,
+              boxShadow: '0px 8px 32px rgba(0, 0, 0, 0.12)',
+              border: '1px solid rgba(0, 0, 0, 0.08)',
+            },
+          }}
+        >
+          {renderGroupedMenuItems([...navModel[NAV_SECTIONS.REMOTES], ...navModel[NAV_SECTIONS.DIAGNOSTICS]], handleNavItem)}
+        </Menu>
       </AppBar>
 
       {/* Mobile Menu */}
@@ -798,145 +721,32 @@ const Navbar = () => {
                 REMOTES
               </Button>
 
-              <Menu
-                anchorEl={remotesAnchorEl}
-                open={Boolean(remotesAnchorEl)}
-                onClose={handleRemotesMenuClose}
-                anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
-                transformOrigin={{ vertical: 'top', horizontal: 'left' }}
-                PaperProps={{
-                  sx: {
-                    mt: 1,
-                    minWidth: 260,
-                    borderRadius: 3,
-                    boxShadow: '0px 8px 32px rgba(0, 0, 0, 0.12)',
-                    border: '1px solid rgba(0, 0, 0, 0.08)',
-                  },
-                }}
-              >
-                <MenuItem onClick={() => handleRemoteNavigation('/login')}>Auth → Login</MenuItem>
-                <MenuItem onClick={() => handleRemoteNavigation('/signup')}>Auth → Sign up</MenuItem>
-                <Divider />
-                <MenuItem onClick={() => handleRemoteNavigation('/products')}>Catalog → Products</MenuItem>
-                <MenuItem onClick={() => handleRemoteNavigation('/collections')}>Catalog → Collections</MenuItem>
-                <MenuItem onClick={() => handleRemoteNavigation('/about')}>Catalog → About</MenuItem>
-                <Divider />
-                <MenuItem onClick={() => handleRemoteNavigation('/cart')}>Checkout → Cart</MenuItem>
-                <MenuItem onClick={() => handleRemoteNavigation('/checkout')}>Checkout → Checkout</MenuItem>
-                <Divider />
-                <MenuItem onClick={() => handleRemoteNavigation('/wishlist')}>Wishlist → Wishlist</MenuItem>
-                <Divider />
-                <MenuItem onClick={() => handleRemoteNavigation('/account')}>Account → Profile</MenuItem>
-                <MenuItem onClick={() => handleRemoteNavigation('/account/addresses')}>Account → Addresses</MenuItem>
-                <Divider />
-                <MenuItem onClick={() => handleRemoteNavigation('/debug/remotes')}>Shell → Remote Showcase</MenuItem>
-                <Divider />
-                <MenuItem
-                  data-skip-logical-error="true"
-                  onClick={() => {
-                    handleRemotesMenuClose();
-                    triggerMFMismatchedExport();
-                  }}
-                >
-                  Remote module import
-                </MenuItem>
-                <MenuItem
-                  data-skip-logical-error="true"
-                  onClick={() => {
-                    handleRemotesMenuClose();
-                    triggerMFShareScopeMismatch();
-                  }}
-                >
-                  Remote init
-                </MenuItem>
-                <MenuItem
-                  data-skip-logical-error="true"
-                  onClick={() => {
-                    handleRemotesMenuClose();
-                    triggerChunkLoadFailure();
-                  }}
-                >
-                  Open offers
-                </MenuItem>
-                <MenuItem
-                  data-skip-logical-error="true"
-                  onClick={() => {
-                    handleRemotesMenuClose();
-                    triggerAbortRace();
-                  }}
-                >
-                  Refresh prices
-                </MenuItem>
-                <MenuItem
-                  data-skip-logical-error="true"
-                  onClick={() => {
-                    handleRemotesMenuClose();
-                    triggerNetworkFailure();
-                  }}
-                >
-                  Sync account
-                </MenuItem>
-              </Menu>
 
-              <Button
-                fullWidth
-                variant="text"
-                onClick={() => handleNavigation('/products')}
-                sx={{ 
-                  justifyContent: 'flex-start',
-                  textTransform: 'none',
-                  fontSize: '1.1rem',
-                  fontWeight: 500,
-                  color: 'text.primary',
-                  py: 1.5,
-                }}
-              >
-                SHOP
-              </Button>
-              <Button
-                fullWidth
-                variant="text"
-                sx={{ 
-                  justifyContent: 'flex-start',
-                  textTransform: 'none',
-                  fontSize: '1.1rem',
-                  fontWeight: 500,
-                  color: 'text.primary',
-                  py: 1.5,
-                }}
-              >
-                COLLECTIONS
-              </Button>
-              <Button
-                fullWidth
-                variant="text"
-                sx={{ 
-                  justifyContent: 'flex-start',
-                  textTransform: 'none',
-                  fontSize: '1.1rem',
-                  fontWeight: 500,
-                  color: 'text.primary',
-                  py: 1.5,
-                }}
-              >
-                ABOUT
-              </Button>
+              {navModel[NAV_SECTIONS.PRIMARY].flatMap(({ items }) => items).map((item) => (
+                <Button key={item.id} fullWidth variant="text" onClick={() => handleNavItem(item)} sx={mobileLinkSx}>
+                  {item.label}
+                </Button>
+              ))}
               
+              <CurrencySelector sx={{ mt: 2, display: { xs: 'inline-flex', md: 'none' } }} />
+
               {/* Fail Mode Checkbox for Mobile */}
-              <FormControlLabel
-                control={
-                  <Checkbox
-                    checked={failModeEnabled}
-                    onChange={(e) => setFailMode(e.target.checked)}
-                    // Reason: allow toggling fail mode OFF even when logical error injection is active.
-                    inputProps={{ 'data-skip-logical-error': 'true' }}
-                  />
-                }
-                sx={{ 
-                  mt: 2,
-                  display: { xs: 'flex', md: 'none' }, // Show on mobile, hide on desktop
-                }}
-              />
+              {canUseFailMode && (
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={failModeEnabled}
+                      onChange={(e) => setFailMode(e.target.checked)}
+                      // Reason: allow toggling fail mode OFF even when logical error injection is active.
+                      inputProps={{ 'data-skip-logical-error': 'true' }}
+                    />
+                  }
+                  sx={{ 
+                    mt: 2,
+                    display: { xs: 'flex', md: 'none' }, // Show on mobile, hide on desktop
+                  }}
+                />
+              )}
               
               {!isAuthenticated && (
                 <Box sx={{ mt: 3, display: 'flex', gap: 2 }}>
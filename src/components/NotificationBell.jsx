@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { Badge, Box, Button, Divider, IconButton, ListItemText, Menu, MenuItem, Typography } from '@mui/material';
+import { Notifications as NotificationsIcon } from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+
+import { useSnackbar } from '../contexts/SnackbarContext.jsx';
+
+const SEVERITY_COLORS = {
+  success: 'success.main',
+  error: 'error.main',
+  warning: 'warning.main',
+  info: 'info.main',
+};
+
+/**
+ * NotificationBell
+ *
+ * Purpose:
+ * - Navbar bell with the number of unread notifications and the history of what was shown (toasts disappear;
+ *   the history stays, per guest / account). Closing the list marks everything read; link actions such as
+ *   "View cart" still work from here, callbacks such as "Undo" only on the toast.
+ */
+export default function NotificationBell() {
+  const navigate = useNavigate();
+  const { history, unreadCount, markRead, clearHistory } = useSnackbar();
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const close = () => {
+    setAnchorEl(null);
+    if (unreadCount) markRead();
+  };
+
+  const openLink = (to) => {
+    close();
+    navigate(to);
+  };
+
+  return (
+    <>
+      <IconButton
+        color="inherit"
+        aria-label="Notifications"
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        sx={{
+          color: 'text.primary',
+          '&:hover': {
+            background: 'rgba(0, 0, 0, 0.04)',
+          },
+        }}
+      >
+        <Badge badgeContent={unreadCount} color="error" max={99} sx={{ '& .MuiBadge-badge': { fontWeight: 600 } }}>
+          <NotificationsIcon />
+        </Badge>
+      </IconButton>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={close}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+        PaperProps={{ sx: { width: 380, maxHeight: 520, mt: 1, borderRadius: 2 } }}
+      >
+        <Box sx={{ px: 2, py: 1, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <Typography sx={{ fontWeight: 700 }}>Notifications</Typography>
+          {!!history.length && (
+            <Button size="small" onClick={clearHistory} data-skip-logical-error="true" sx={{ textTransform: 'none' }}>
+              Clear all
+            </Button>
+          )}
+        </Box>
+        <Divider />
+
+        {!history.length && (
+          <Box sx={{ px: 2, py: 2 }}>
+            <Typography variant="body2" color="text.secondary">
+              You&apos;re all caught up.
+            </Typography>
+          </Box>
+        )}
+
+        {history.map((entry) => (
+          <MenuItem
+            key={entry.id}
+            onClick={() => markRead([entry.id])}
+            sx={{
+              alignItems: 'flex-start',
+              gap: 1.5,
+              whiteSpace: 'normal',
+              bgcolor: entry.read ? undefined : 'action.hover',
+            }}
+          >
+            <Box
+              sx={{
+                width: 8,
+                height: 8,
+                mt: 1,
+                borderRadius: '50%',
+                flexShrink: 0,
+                bgcolor: SEVERITY_COLORS[entry.severity] ?? 'info.main',
+              }}
+            />
+            <ListItemText
+              primary={entry.message}
+              secondary={
+                <>
+                  {new Date(entry.createdAt).toLocaleString()}
+                  {entry.actions.map((action) => (
+                    <Button
+                      key={action.to}
+                      size="small"
+                      onClick={(e) => {
+                        // Reason: the row itself only marks the entry read.
+                        e.stopPropagation();
+                        openLink(action.to);
+                      }}
+                      sx={{ ml: 1, minWidth: 0, p: 0, textTransform: 'none', fontWeight: 600 }}
+                    >
+                      {action.label}
+                    </Button>
+                  ))}
+                </>
+              }
+              primaryTypographyProps={{ variant: 'body2', fontWeight: entry.read ? 400 : 600 }}
+              secondaryTypographyProps={{ component: 'div' }}
+            />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+}
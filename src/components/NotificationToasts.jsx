@@ -0,0 +1,109 @@
+import React from 'react';
+import { Alert, Box, Button, IconButton } from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+
+import { useSnackbar } from '../contexts/SnackbarContext.jsx';
+
+// Filled alerts in the shell's palette (what the single global snackbar used to look like).
+const alertSx = {
+  width: '100%',
+  borderRadius: 2,
+  fontWeight: 500,
+  boxShadow: '0px 6px 20px rgba(0, 0, 0, 0.18)',
+  '& .MuiAlert-message': {
+    fontSize: '0.9rem',
+  },
+  '&.MuiAlert-filledError': {
+    background: 'linear-gradient(135deg, #d32f2f 0%, #c62828 100%)',
+  },
+  '&.MuiAlert-filledSuccess': {
+    background: 'linear-gradient(135deg, #2e7d32 0%, #1b5e20 100%)',
+  },
+  '&.MuiAlert-filledWarning': {
+    background: 'linear-gradient(135deg, #ed6c02 0%, #e65100 100%)',
+  },
+  '&.MuiAlert-filledInfo': {
+    background: 'linear-gradient(135deg, #0288d1 0%, #01579b 100%)',
+  },
+};
+
+/**
+ * NotificationToasts
+ *
+ * Purpose:
+ * - Renders the toast stack from `SnackbarContext` (bottom right, oldest on top, "+N more" while others wait).
+ * - Lives inside the Router (unlike the provider) so `{ label, to }` actions such as "View cart" can navigate.
+ */
+export default function NotificationToasts() {
+  const navigate = useNavigate();
+  const { toasts, queuedCount, dismiss } = useSnackbar();
+
+  if (!toasts.length) return null;
+
+  const runAction = (toast, action) => {
+    dismiss(toast.id);
+    action.onClick?.();
+    if (action.to) navigate(action.to);
+  };
+
+  return (
+    <Box
+      role="region"
+      aria-label="Notifications"
+      sx={{
+        position: 'fixed',
+        right: { xs: 8, sm: 24 },
+        bottom: { xs: 8, sm: 24 },
+        zIndex: 9999,
+        width: { xs: 'calc(100% - 16px)', sm: 380 },
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 1,
+      }}
+    >
+      {toasts.map((toast) => (
+        <Alert
+          key={toast.id}
+          severity={toast.severity}
+          variant="filled"
+          onClose={() => dismiss(toast.id)}
+          action={
+            toast.actions.length ? (
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                {toast.actions.map((action) => (
+                  <Button
+                    key={action.label}
+                    color="inherit"
+                    size="small"
+                    onClick={() => runAction(toast, action)}
+                    sx={{ fontWeight: 700, textTransform: 'none' }}
+                  >
+                    {action.label}
+                  </Button>
+                ))}
+                {/* Reason: a custom `action` replaces the Alert's own close button. */}
+                <IconButton color="inherit" size="small" aria-label="Close" onClick={() => dismiss(toast.id)}>
+                  <CloseIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            ) : undefined
+          }
+          sx={alertSx}
+        >
+          {toast.message}
+          {toast.count > 1 && (
+            <Box component="span" sx={{ ml: 1, fontWeight: 700 }}>
+              ×{toast.count}
+            </Box>
+          )}
+        </Alert>
+      ))}
+      {queuedCount > 0 && (
+        <Box sx={{ alignSelf: 'flex-end', fontSize: '0.8rem', color: 'text.secondary', pr: 1 }}>
+          +{queuedCount} more
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,63 @@
+import React from 'react';
+
+import RemoteUnavailable from './RemoteUnavailable.jsx';
+import { reportRemoteError } from '../utils/remoteErrors.js';
+
+/**
+ * Error boundary around a single remote (microfrontend) module.
+ *
+ * Reason:
+ * - A crashing remote should only take down its own slot, never the Navbar or the rest of the shell.
+ * - Errors are reported with the remote + exposed module name so on-call knows which MFE broke.
+ *
+ * Props:
+ * - `remote` / `module`: e.g. `catalog` / `Products` (used for reporting and the fallback UI).
+ * - `resetKey`: when it changes (e.g. the route), a failed boundary clears itself.
+ * - `variant`: forwarded to `RemoteUnavailable` (`page` | `inline`).
+ */
+export default class RemoteErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null, attempt: 0 };
+    this.handleRetry = this.handleRetry.bind(this);
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    reportRemoteError({
+      remote: this.props.remote,
+      module: this.props.module,
+      error,
+      componentStack: info?.componentStack,
+    });
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+      this.handleRetry();
+    }
+  }
+
+  handleRetry() {
+    // Reason: bump `attempt` so the subtree remounts instead of re-rendering stale component state.
+    this.setState((prev) => ({ error: null, attempt: prev.attempt + 1 }));
+  }
+
+  render() {
+    if (this.state.error) {
+      return (
+        <RemoteUnavailable
+          remote={this.props.remote}
+          module={this.props.module}
+          error={this.state.error}
+          onRetry={this.handleRetry}
+          variant={this.props.variant}
+        />
+      );
+    }
+    return <React.Fragment key={this.state.attempt}>{this.props.children}</React.Fragment>;
+  }
+}
@@ -0,0 +1,38 @@
+import React from 'react';
+import { Box, CircularProgress, Typography } from '@mui/material';
+
+import FullPageLoader from './FullPageLoader.jsx';
+import { useRemoteLoadStatus } from '../federation/remoteLoadStatus.js';
+
+/**
+ * Suspense fallback for a remote module: a plain spinner, or "Reconnecting to <remote>…" while `lazyRemote` retries.
+ */
+export default function RemoteLoader({ remote, module, variant = 'page' }) {
+  const status = useRemoteLoadStatus(remote, module);
+  const retrying = status?.state === 'retrying';
+
+  if (!retrying && variant === 'page') return <FullPageLoader />;
+
+  return (
+    <Box
+      sx={{
+        minHeight: variant === 'page' ? '60vh' : 200,
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 2,
+      }}
+    >
+      <CircularProgress size={variant === 'page' ? 40 : 28} />
+      {retrying && (
+        <Box sx={{ textAlign: 'center' }} role="status" aria-live="polite">
+          <Typography sx={{ fontWeight: 600 }}>Reconnecting to {remote}…</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Attempt {status.attempt + 1} of {status.maxAttempts}
+          </Typography>
+        </Box>
+      )}
+    </Box>
+  );
+}
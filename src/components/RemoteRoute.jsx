@@ -0,0 +1,25 @@
+import React, { Suspense } from 'react';
+import { useLocation } from 'react-router-dom';
+
+import RemoteErrorBoundary from './RemoteErrorBoundary.jsx';
+import RemoteLoader from './RemoteLoader.jsx';
+import { useShellApi } from '../shellApi/ShellApiContext.jsx';
+
+/**
+ * Wraps a routed remote page in its own error boundary + Suspense.
+ * Reason: one failing remote route must not blank the whole shell (Navbar included).
+ *
+ * Also hands the versioned `shellApi` prop to the remote element, so every remote page receives it the same way.
+ */
+export default function RemoteRoute({ remote, module, children }) {
+  const location = useLocation();
+  const shellApi = useShellApi();
+
+  return (
+    <RemoteErrorBoundary remote={remote} module={module} resetKey={location.pathname}>
+      <Suspense fallback={<RemoteLoader remote={remote} module={module} />}>
+        {React.cloneElement(children, { shellApi })}
+      </Suspense>
+    </RemoteErrorBoundary>
+  );
+}
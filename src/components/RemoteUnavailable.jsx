@@ -0,0 +1,67 @@
+import React from 'react';
+import { Box, Button, Container, Paper, Typography } from '@mui/material';
+import { Refresh as RefreshIcon, CloudOff as CloudOffIcon } from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+
+/**
+ * Fallback UI shown when a remote page fails to load or render.
+ *
+ * Variants:
+ * - `page`: routed pages; takes over the main area but keeps the Navbar usable.
+ * - `inline`: diagnostics pages that render several remotes side by side.
+ */
+export default function RemoteUnavailable({ remote, module, error, onRetry, variant = 'page' }) {
+  const navigate = useNavigate();
+  const details = String(error?.message ?? error ?? '');
+
+  if (variant === 'inline') {
+    return (
+      <Paper sx={{ p: 3, border: '1px solid rgba(0,0,0,0.08)' }}>
+        <Typography variant="h6" sx={{ fontWeight: 800, mb: 1 }}>
+          {remote}/{module} failed to render
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ fontFamily: 'monospace', mb: 2 }}>
+          {details}
+        </Typography>
+        {onRetry && (
+          <Button size="small" variant="outlined" startIcon={<RefreshIcon />} onClick={onRetry}>
+            Retry
+          </Button>
+        )}
+      </Paper>
+    );
+  }
+
+  return (
+    <Container maxWidth="sm">
+      <Box sx={{ minHeight: '60vh', display: 'flex', flexDirection: 'column', justifyContent: 'center', py: 6 }}>
+        <Paper
+          elevation={0}
+          sx={{ p: { xs: 3, md: 5 }, borderRadius: 3, border: '1px solid rgba(0,0,0,0.08)', textAlign: 'center' }}
+        >
+          <CloudOffIcon sx={{ fontSize: 48, color: 'text.secondary', mb: 2 }} />
+          <Typography variant="h5" sx={{ fontWeight: 800, mb: 1 }}>
+            This part of the store is temporarily unavailable
+          </Typography>
+          <Typography color="text.secondary" sx={{ mb: 3 }}>
+            We couldn&apos;t load this page. The rest of the store still works; please try again in a moment.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center', mb: 3 }}>
+            {onRetry && (
+              <Button variant="contained" startIcon={<RefreshIcon />} onClick={onRetry} sx={{ textTransform: 'none' }}>
+                Try again
+              </Button>
+            )}
+            <Button variant="outlined" onClick={() => navigate('/products')} sx={{ textTransform: 'none' }}>
+              Back to shop
+            </Button>
+          </Box>
+          <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'monospace', display: 'block' }}>
+            {remote}/{module}
+            {details ? ` — ${details}` : ''}
+          </Typography>
+        </Paper>
+      </Box>
+    </Container>
+  );
+}
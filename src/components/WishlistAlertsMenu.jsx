@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import {
+  Avatar,
+  Badge,
+  Box,
+  Button,
+  Divider,
+  IconButton,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Typography,
+} from '@mui/material';
+import { LocalOffer as LocalOfferIcon } from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+
+import { useCurrency } from '../contexts/CurrencyContext.jsx';
+import { useWishlistAlerts } from '../contexts/WishlistAlertsContext.jsx';
+import { describeAlert } from '../utils/wishlistAlerts.js';
+
+/**
+ * WishlistAlertsMenu
+ *
+ * Purpose:
+ * - Navbar badge with the number of unread wishlist alerts (price drops, target prices, restocks), and the list
+ *   of recent alerts. Opening the list marks them read; picking one opens the product.
+ */
+export default function WishlistAlertsMenu() {
+  const navigate = useNavigate();
+  const { formatPrice } = useCurrency();
+  const { alerts, unreadCount, lastCheckedAt, checking, checkPrices, markAlertsRead, clearAlerts } =
+    useWishlistAlerts();
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const close = () => {
+    setAnchorEl(null);
+    if (unreadCount) markAlertsRead();
+  };
+
+  const openProduct = (alert) => {
+    close();
+    navigate(`/product/${alert.productId}`);
+  };
+
+  return (
+    <>
+      <IconButton
+        color="inherit"
+        aria-label="Wishlist alerts"
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        sx={{
+          color: 'text.primary',
+          '&:hover': {
+            background: 'rgba(0, 0, 0, 0.04)',
+          },
+        }}
+      >
+        <Badge badgeContent={unreadCount} color="error" sx={{ '& .MuiBadge-badge': { fontWeight: 600 } }}>
+          <LocalOfferIcon />
+        </Badge>
+      </IconButton>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={close}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+        PaperProps={{ sx: { width: 360, maxHeight: 480, mt: 1, borderRadius: 2 } }}
+      >
+        <Box sx={{ px: 2, py: 1, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <Typography sx={{ fontWeight: 700 }}>Wishlist alerts</Typography>
+          <Button
+            size="small"
+            disabled={checking}
+            onClick={() => checkPrices({ force: true })}
+            // Reason: checking prices is read-only, so it stays usable while fail mode injects logical errors.
+            data-skip-logical-error="true"
+            sx={{ textTransform: 'none' }}
+          >
+            {checking ? 'Checking…' : 'Check now'}
+          </Button>
+        </Box>
+        <Divider />
+
+        {!alerts.length && (
+          <Box sx={{ px: 2, py: 2 }}>
+            <Typography variant="body2" color="text.secondary">
+              No alerts yet. We let you know here when a wishlisted product gets cheaper, reaches your target price
+              or is back in stock.
+            </Typography>
+          </Box>
+        )}
+
+        {alerts.map((alert) => (
+          <MenuItem
+            key={alert.id}
+            onClick={() => openProduct(alert)}
+            sx={{
+              alignItems: 'flex-start',
+              gap: 1.5,
+              whiteSpace: 'normal',
+              bgcolor: alert.read ? undefined : 'action.hover',
+            }}
+          >
+            <Avatar
+              src={alert.image}
+              alt={alert.title}
+              variant="rounded"
+              sx={{ width: 40, height: 40, bgcolor: 'white' }}
+            />
+            <ListItemText
+              primary={describeAlert(alert, formatPrice)}
+              secondary={new Date(alert.createdAt).toLocaleString()}
+              primaryTypographyProps={{ variant: 'body2', fontWeight: alert.read ? 400 : 600 }}
+            />
+          </MenuItem>
+        ))}
+
+        {!!alerts.length && <Divider />}
+        <Box sx={{ px: 2, py: 1, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <Typography variant="caption" color="text.secondary">
+            {lastCheckedAt ? `Checked ${new Date(lastCheckedAt).toLocaleTimeString()}` : 'Not checked yet'}
+          </Typography>
+          {!!alerts.length && (
+            <Button size="small" onClick={clearAlerts} data-skip-logical-error="true" sx={{ textTransform: 'none' }}>
+              Clear all
+            </Button>
+          )}
+        </Box>
+      </Menu>
+    </>
+  );
+}
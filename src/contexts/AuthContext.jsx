@@ -1,6 +1,17 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import attemptTracker from '../utils/attemptTracker';
 import { useSnackbar } from './SnackbarContext';
+import { publish, SHELL_EVENTS } from '../events/eventBus';
+import { authAPI } from '../services/api';
+import { clearSession, getSession, setSession, subscribeSession } from '../services/authSession';
+import { refreshSession } from '../services/httpClient';
+import { hasPermission } from '../utils/permissions';
+
+// Refresh this long before the access token expires, so API calls rarely have to wait for a refresh.
+const REFRESH_AHEAD_MS = 60 * 1000;
+// Retry delay when a background refresh fails for network reasons (the session itself is still valid).
+const REFRESH_RETRY_MS = 30 * 1000;
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
 
 // Create authentication context for managing user state
 const AuthContext = createContext();
@@ -19,24 +30,152 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [loading, setLoading] = useState(true);
-  const { showSuccess, showError } = useSnackbar();
+  // Hard end of the session (refresh token expiry, epoch ms); null when logged out.
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
+  // True after the session ended on its own (not via logout); `ProtectedRoute` uses it to explain the redirect.
+  const [sessionExpired, setSessionExpired] = useState(false);
+  // How the current session started: 'restored' (saved session), 'login' (login/signup in this tab), 'other-tab'.
+  // Reason: only the tab the user logged in from merges the guest cart/wishlist into the account.
+  const [sessionSource, setSessionSource] = useState(null);
+  const { showSuccess, showError, showWarning, showInfo } = useSnackbar();
+  // Reason: the session subscription below is registered once and needs the current values.
+  const latestRef = useRef({ isAuthenticated, sessionExpiresAt, showWarning, showInfo });
+  latestRef.current = { isAuthenticated, sessionExpiresAt, showWarning, showInfo };
 
   // Check for existing user session on app load
   useEffect(() => {
     const savedUser = localStorage.getItem('ecommerce_user');
-    if (savedUser) {
+    const session = getSession();
+    // Reason: users saved before token auth have no tokens; treat them as logged out instead of faking a session.
+    if (savedUser && !session) {
+      localStorage.removeItem('ecommerce_user');
+    } else if (savedUser && session.refreshExpiresAt && session.refreshExpiresAt <= Date.now()) {
+      // Session ran out while the app was closed
+      localStorage.removeItem('ecommerce_user');
+      clearSession({ reason: 'expired' });
+      setSessionExpired(true);
+    } else if (savedUser) {
       try {
         const userData = JSON.parse(savedUser);
         setUser(userData);
         setIsAuthenticated(true);
+        setSessionExpiresAt(session.refreshExpiresAt);
+        setSessionSource('restored');
+
+        // Reason: roles can change between visits (and profiles saved before roles existed have none).
+        authAPI
+          .me()
+          .then(({ user: freshUser }) => {
+            if (!getSession()) return; // logged out meanwhile
+            localStorage.setItem('ecommerce_user', JSON.stringify(freshUser));
+            setUser(freshUser);
+          })
+          .catch((error) => console.warn('[Auth] Could not refresh the user profile:', error));
       } catch (error) {
         console.error('Error parsing saved user data:', error);
         localStorage.removeItem('ecommerce_user');
+        clearSession();
       }
     }
     setLoading(false);
   }, []);
 
+  // Persist a session returned by the auth API (tokens + profile)
+  const startSession = (userData, tokens) => {
+    setSession(tokens);
+    localStorage.setItem('ecommerce_user', JSON.stringify(userData));
+    setUser(userData);
+    setIsAuthenticated(true);
+    setSessionExpired(false);
+    setSessionSource('login');
+  };
+
+  const endSession = () => {
+    clearSession();
+    localStorage.removeItem('ecommerce_user');
+    setUser(null);
+    setIsAuthenticated(false);
+  };
+
+  // Follow token changes made outside this component: refreshes in `httpClient`, server-side expiry, other tabs
+  useEffect(
+    () =>
+      subscribeSession((change) => {
+        const { isAuthenticated: wasAuthenticated, sessionExpiresAt: expiresAt } = latestRef.current;
+
+        if (change.type === 'updated') {
+          setSessionExpiresAt(change.session.refreshExpiresAt);
+          // Logged in (or signed up) in another tab: adopt the profile it saved next to the tokens.
+          if (change.external && !wasAuthenticated) {
+            try {
+              const savedUser = JSON.parse(localStorage.getItem('ecommerce_user') || 'null');
+              if (savedUser) {
+                setUser(savedUser);
+                setIsAuthenticated(true);
+                setSessionExpired(false);
+                setSessionSource('other-tab');
+              }
+            } catch (error) {
+              console.error('Error parsing saved user data:', error);
+            }
+          }
+          return;
+        }
+
+        setSessionExpiresAt(null);
+        if (!wasAuthenticated && change.reason !== 'expired') return;
+
+        // Note: another tab clearing the session at its hard expiry counts as expiry here too.
+        const expired = change.reason === 'expired' || (change.external && expiresAt && expiresAt <= Date.now());
+        localStorage.removeItem('ecommerce_user');
+        setUser(null);
+        setIsAuthenticated(false);
+        setSessionExpired(expired);
+        if (expired) latestRef.current.showWarning('Your session has expired. Please sign in again.');
+        else if (change.external) latestRef.current.showInfo('You were signed out in another tab.');
+      }),
+    [],
+  );
+
+  // Keep the access token fresh in the background and end the session at its hard expiry
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    let refreshTimerId;
+    const scheduleRefresh = () => {
+      const session = getSession();
+      if (!session) return;
+      const delay = Math.max(0, session.accessExpiresAt - Date.now() - REFRESH_AHEAD_MS);
+      refreshTimerId = setTimeout(() => {
+        refreshSession()
+          .then(scheduleRefresh)
+          .catch((error) => {
+            // Note: a 401 already ended the session (see the subscription above); anything else is retried.
+            if (error?.status !== 401) refreshTimerId = setTimeout(scheduleRefresh, REFRESH_RETRY_MS);
+          });
+      }, delay);
+    };
+    scheduleRefresh();
+
+    // Reason: an idle tab makes no API calls, so nothing else would notice the refresh token running out.
+    // Note: setTimeout can't wait longer than ~24.8 days; longer sessions get their timer after a later refresh.
+    const expiryTimerId =
+      sessionExpiresAt && sessionExpiresAt - Date.now() < MAX_TIMER_DELAY_MS
+        ? setTimeout(() => clearSession({ reason: 'expired' }), Math.max(0, sessionExpiresAt - Date.now()))
+        : null;
+
+    return () => {
+      clearTimeout(refreshTimerId);
+      clearTimeout(expiryTimerId);
+    };
+  }, [isAuthenticated, sessionExpiresAt]);
+
+  // Broadcast session changes on the shell event bus once the saved session has been read
+  useEffect(() => {
+    if (loading) return;
+    publish(SHELL_EVENTS.AUTH_CHANGED, { user, isAuthenticated });
+  }, [user, isAuthenticated, loading]);
+
   // Login function with realistic validation and error handling - implements fail/success pattern
   const login = async (email, password) => {
     try {
@@ -47,9 +186,6 @@ export const AuthProvider = ({ children }) => {
       // Added detailed log to trace login flow and fail mode state for debugging network issues.
       console.log('[Auth][Login] Starting login', { failModeEnabled });
 
-      // Simulate API call delay for realistic UX
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
       // Basic validation
       if (!email || !password) {
         throw new Error('Email and password are required');
@@ -114,20 +250,9 @@ export const AuthProvider = ({ children }) => {
         throw new Error(`Login failed. Please try again.`);
       }
 
-      // For demo purposes, accept any valid email/password combination
-      // In a real app, this would be an API call to your backend
-      const userData = {
-        id: Date.now(),
-        email,
-        name: email.split('@')[0], // Use email prefix as name for demo
-        createdAt: new Date().toISOString(),
-      };
-
-      // Save user data to localStorage for persistence
-      localStorage.setItem('ecommerce_user', JSON.stringify(userData));
-      
-      setUser(userData);
-      setIsAuthenticated(true);
+      // Wrong password / unknown email come back as an `ApiError` with the server's message
+      const { user: userData, ...tokens } = await authAPI.login(email, password);
+      startSession(userData, tokens);
 
       // Show success message only if we reach here (fail mode is disabled)
       showSuccess(`Login successful! Welcome back.`);
@@ -152,9 +277,6 @@ export const AuthProvider = ({ children }) => {
       // Added log to trace signup flow and fail mode state for debugging network issues.
       console.log('[Auth][Signup] Starting signup', { failModeEnabled });
 
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1500));
-
       // Comprehensive validation
       if (!name || !email || !password || !confirmPassword) {
         throw new Error('All fields are required');
@@ -227,28 +349,9 @@ export const AuthProvider = ({ children }) => {
         throw new Error(`Signup failed. Please try again.`);
       }
 
-      // Check if user already exists (simulate database check)
-      const existingUser = localStorage.getItem('ecommerce_user');
-      if (existingUser) {
-        const parsedUser = JSON.parse(existingUser);
-        if (parsedUser.email === email) {
-          throw new Error('User with this email already exists');
-        }
-      }
-
-      // Create new user
-      const userData = {
-        id: Date.now(),
-        name,
-        email,
-        createdAt: new Date().toISOString(),
-      };
-
-      // Save user data
-      localStorage.setItem('ecommerce_user', JSON.stringify(userData));
-      
-      setUser(userData);
-      setIsAuthenticated(true);
+      // Duplicate emails are rejected by the server (409 `email_taken`)
+      const { user: userData, ...tokens } = await authAPI.signup(name, email, password, confirmPassword);
+      startSession(userData, tokens);
       
       // Show success message only if we reach here (fail mode is disabled)
       showSuccess(`Account created successfully! Welcome ${name}.`);
@@ -321,9 +424,16 @@ export const AuthProvider = ({ children }) => {
     }
 
     // Success - logout (only reaches here if fail mode is disabled)
-    localStorage.removeItem('ecommerce_user');
-    setUser(null);
-    setIsAuthenticated(false);
+    const refreshToken = getSession()?.refreshToken;
+    if (refreshToken) {
+      try {
+        await authAPI.logout(refreshToken);
+      } catch (error) {
+        // Reason: the local session is cleared either way; an unrevoked refresh token simply expires.
+        console.warn('[Auth][Logout] Could not revoke refresh token:', error);
+      }
+    }
+    endSession();
     
     // Show success message
     showSuccess('Logged out successfully!');
@@ -334,6 +444,11 @@ export const AuthProvider = ({ children }) => {
     user,
     isAuthenticated,
     loading,
+    sessionExpiresAt,
+    sessionExpired,
+    sessionSource,
+    // `can('orders:read')` / `can(['users:read', 'orders:read:any'])`: permissions granted by the user's roles
+    can: (permission) => hasPermission(user, permission),
     login,
     signup,
     logout,
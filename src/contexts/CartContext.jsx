@@ -1,6 +1,52 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useCallback, useContext, useState, useEffect, useMemo, useRef } from 'react';
 import attemptTracker from '../utils/attemptTracker';
 import { useSnackbar } from './SnackbarContext';
+import { useAuth } from './AuthContext';
+import { useCurrency } from './CurrencyContext';
+import { publish, SHELL_EVENTS } from '../events/eventBus';
+import { cartAPI, inventoryAPI, promotionsAPI } from '../services/api';
+import { priceCart } from '../pricing/promotions';
+import { computeQuote } from '../pricing/orderQuote';
+import { loadRates } from '../pricing/rates';
+import { createCartSync } from '../services/cartSync';
+import { broadcast, subscribeTabs } from '../sync/tabSync';
+import { reportGuestMerge } from '../utils/guestMergeSummary';
+import { useTabSyncedList } from '../sync/useTabSyncedList';
+
+// Tab message after a signed-in tab changed the server cart; other tabs re-read it.
+const SERVER_CART_CHANGED_TOPIC = 'cart:server-changed';
+
+// Coupon codes the user entered on this device; definitions are re-fetched on load (they may have expired)
+const COUPONS_STORAGE_KEY = 'shophub:coupons:v1';
+
+// Snackbar text for a coupon that was accepted but doesn't lower the current cart (see `priceCart`'s `notApplied`)
+function describeNotApplied({ code, reason, amountNeeded }, formatPrice) {
+  if (reason === 'min_subtotal') return `Add ${formatPrice(amountNeeded)} more to your cart to use ${code}.`;
+  if (reason === 'not_combinable') return `${code} can't be combined with your other discounts; the better deal applies.`;
+  return `${code} doesn't apply to the items in your cart yet.`;
+}
+
+// Snackbar text for a line the stock check changed (same shape as the server cart's `adjustments`).
+function describeAdjustment({ title, quantity, available }) {
+  if (quantity === 0) return `${title} is sold out and was removed from your cart.`;
+  return `Only ${available} of ${title} available; quantity set to ${quantity}.`;
+}
+
+// Guest cart: clamp every line to the current stock (sold-out lines are dropped).
+// Returns `{ items, adjustments }` like the server does on `GET /api/cart`.
+function enforceStock(items, stock) {
+  const adjustments = [];
+  const nextItems = [];
+  for (const item of items) {
+    const available = stock[String(item.id)] ?? item.stock ?? item.quantity;
+    const quantity = Math.min(item.quantity, available);
+    if (quantity < item.quantity) {
+      adjustments.push({ id: item.id, title: item.title, requested: item.quantity, quantity, available });
+    }
+    if (quantity > 0) nextItems.push({ ...item, quantity, stock: available });
+  }
+  return { items: nextItems, adjustments };
+}
 
 // Create cart context for managing shopping cart state
 const CartContext = createContext();
@@ -19,7 +65,75 @@ export const useCart = () => {
 export const CartProvider = ({ children }) => {
   const [cartItems, setCartItems] = useState([]);
   const [loading, _SET_LOADING] = useState(false); // setter intentionally unused
-  const { showSuccess, showError } = useSnackbar();
+  // True once the saved cart has been read; before that, the empty initial state must not be saved or synced.
+  const [hydrated, setHydrated] = useState(false);
+  const { showSuccess, showError, showInfo, showWarning } = useSnackbar();
+  const { isAuthenticated, loading: authLoading, sessionSource } = useAuth();
+  const { formatPrice } = useCurrency();
+  // Signed-in users keep their cart on the server (follows them across devices); guests keep it on this device.
+  const serverCartEnabled = isAuthenticated && !authLoading;
+  const cartSyncRef = useRef(null);
+  if (!cartSyncRef.current) cartSyncRef.current = createCartSync({ onChange: setCartItems });
+  const cartSync = cartSyncRef.current;
+  const hadServerCartRef = useRef(false);
+  const cartItemsRef = useRef(cartItems);
+  cartItemsRef.current = cartItems;
+  // Reason: read when the login effect runs; a later change of source alone must not reload the cart.
+  const sessionSourceRef = useRef(sessionSource);
+  sessionSourceRef.current = sessionSource;
+  const [automaticPromotions, setAutomaticPromotions] = useState([]);
+  const [coupons, setCoupons] = useState([]); // coupon definitions, in the order they were entered
+  const [couponsLoaded, setCouponsLoaded] = useState(false);
+  // Saved codes that couldn't be checked (API unreachable); kept in storage for the next visit
+  const uncheckedCodesRef = useRef([]);
+
+  // Load running promotions and re-check the saved coupon codes
+  useEffect(() => {
+    promotionsAPI
+      .list()
+      .then(({ promotions }) => setAutomaticPromotions(promotions))
+      .catch((error) => console.warn('[Cart] Could not load promotions:', error));
+
+    let savedCodes = [];
+    try {
+      savedCodes = JSON.parse(localStorage.getItem(COUPONS_STORAGE_KEY) ?? '[]');
+    } catch {
+      localStorage.removeItem(COUPONS_STORAGE_KEY);
+    }
+    Promise.all(
+      savedCodes.map((code) =>
+        promotionsAPI.getCoupon(code).then(
+          ({ promotion }) => promotion,
+          (error) => {
+            // Reason: only drop codes the server rejected; if it is unreachable, keep them for the next visit.
+            if (error.status === 404 || error.status === 410) {
+              showWarning(`Coupon ${code} is no longer valid and was removed.`);
+              return null;
+            }
+            console.warn(`[Cart] Could not check coupon ${code}:`, error);
+            uncheckedCodesRef.current.push(code);
+            return null;
+          },
+        ),
+      ),
+    ).then((results) => {
+      setCoupons(results.filter(Boolean));
+      setCouponsLoaded(true);
+    });
+  }, [showWarning]);
+
+  useEffect(() => {
+    if (!couponsLoaded) return;
+    const codes = coupons.map((coupon) => coupon.code);
+    const unchecked = uncheckedCodesRef.current.filter((code) => !codes.includes(code));
+    localStorage.setItem(COUPONS_STORAGE_KEY, JSON.stringify([...codes, ...unchecked]));
+  }, [coupons, couponsLoaded]);
+
+  // Line-level prices after promotions; what checkout renders and charges
+  const cartBreakdown = useMemo(
+    () => priceCart(cartItems, [...automaticPromotions, ...coupons]),
+    [cartItems, automaticPromotions, coupons],
+  );
 
   // Load cart from localStorage on app initialization
   useEffect(() => {
@@ -33,15 +147,139 @@ export const CartProvider = ({ children }) => {
         localStorage.removeItem('ecommerce_cart');
       }
     }
+    setHydrated(true);
   }, []);
 
-  // Save cart to localStorage whenever it changes
+  // Guests: re-check the restored cart against current stock (it may have been saved days ago)
+  useEffect(() => {
+    if (!hydrated || authLoading || isAuthenticated) return undefined;
+    const ids = cartItemsRef.current.map((item) => item.id);
+    if (!ids.length) return undefined;
+
+    let cancelled = false;
+    inventoryAPI.getStock(ids).then((stock) => {
+      if (cancelled) return;
+      const { items, adjustments } = enforceStock(cartItemsRef.current, stock);
+      setCartItems(items);
+      adjustments.forEach((adjustment) => showWarning(describeAdjustment(adjustment)));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [hydrated, authLoading, isAuthenticated, showWarning]);
+
+  // Save the guest cart to localStorage whenever it changes (a signed-in user's cart lives on the server)
   useEffect(() => {
+    if (!hydrated || serverCartEnabled) return;
     localStorage.setItem('ecommerce_cart', JSON.stringify(cartItems));
-  }, [cartItems]);
+  }, [cartItems, hydrated, serverCartEnabled]);
+
+  // Load the account's cart on login; on logout, don't leave it behind on this device
+  useEffect(() => {
+    if (authLoading) return undefined;
+    if (!isAuthenticated) {
+      if (hadServerCartRef.current) cartSync.reset();
+      hadServerCartRef.current = false;
+      return undefined;
+    }
+
+    hadServerCartRef.current = true;
+    let cancelled = false;
+    // Only the tab the user logged in from merges; a restored session's local cart is not a guest cart.
+    const isLogin = sessionSourceRef.current === 'login';
+    const guestItems = isLogin ? cartItemsRef.current : [];
+
+    const loadServerCart = async () => {
+      if (guestItems.length) {
+        try {
+          // Same product: quantities are summed (capped by the server)
+          const { cart, merge } = await cartAPI.merge(guestItems);
+          localStorage.setItem('ecommerce_cart', '[]');
+          if (cancelled) return;
+          cartSync.reset(cart);
+          reportGuestMerge('cart', merge.added + merge.updated, showInfo);
+          cart.adjustments.forEach((adjustment) => showWarning(describeAdjustment(adjustment)));
+          return;
+        } catch (error) {
+          // Reason: the guest cart stays in localStorage, so the next login tries again.
+          console.error('[Cart] Could not merge the guest cart:', error);
+          if (!cancelled) showError(`Could not add the items from your previous session. ${error.message}`);
+        }
+      } else if (isLogin) {
+        reportGuestMerge('cart', 0, showInfo);
+      }
+
+      try {
+        // The server re-validates saved lines against current stock on every read
+        const { cart } = await cartAPI.get();
+        if (cancelled) return;
+        cartSync.reset(cart);
+        cart.adjustments.forEach((adjustment) => showWarning(describeAdjustment(adjustment)));
+      } catch (error) {
+        console.error('[Cart] Could not load the server cart:', error);
+        if (!cancelled) showError(`Could not load your saved cart. ${error.message}`);
+      }
+    };
+    loadServerCart();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated, authLoading, cartSync, showInfo, showWarning, showError]);
+
+  // Guests: mirror cart changes to and from other open tabs (last write wins per cart line).
+  // Signed in: the server cart is shared, so other tabs only need to re-read it.
+  useTabSyncedList(cartItems, setCartItems, { topic: 'cart', ready: hydrated && !serverCartEnabled });
+  useEffect(() => {
+    if (!serverCartEnabled) return undefined;
+    return subscribeTabs(SERVER_CART_CHANGED_TOPIC, () => {
+      cartAPI
+        .get()
+        .then(({ cart }) => cartSync.refresh(cart))
+        .catch((error) => console.warn('[Cart] Could not re-read the server cart:', error));
+    });
+  }, [serverCartEnabled, cartSync]);
+
+  // Apply a cart change: optimistic + server call when signed in (rolled back if the server refuses), local for guests.
+  // Resolves to the stock adjustments the change caused (the server reports its own; guests pass `guestAdjustments`).
+  const commitChange = useCallback(
+    async (apply, send, guestAdjustments = []) => {
+      if (!serverCartEnabled) {
+        setCartItems(apply);
+        return guestAdjustments;
+      }
+      const cart = await cartSync.mutate(apply, send);
+      broadcast(SERVER_CART_CHANGED_TOPIC, null);
+      return cart?.adjustments ?? [];
+    },
+    [serverCartEnabled, cartSync],
+  );
+
+  // Units of a product the cart may hold. Guests ask the inventory API (the server checks for signed-in users,
+  // so the product's known stock is enough for the optimistic update).
+  const availableStock = useCallback(
+    async (product) => {
+      if (serverCartEnabled) return product.stock ?? Infinity;
+      const stock = await inventoryAPI.getStock([product.id]);
+      return stock[String(product.id)] ?? product.stock ?? Infinity;
+    },
+    [serverCartEnabled],
+  );
+
+  // Broadcast cart changes on the shell event bus (remotes subscribe via `shellApi.v1.events`)
+  useEffect(() => {
+    publish(SHELL_EVENTS.CART_CHANGED, {
+      items: cartItems,
+      itemCount: cartItems.reduce((count, item) => count + item.quantity, 0),
+      subtotal: cartBreakdown.subtotal,
+      discountTotal: cartBreakdown.discountTotal,
+      total: cartBreakdown.total,
+    });
+  }, [cartItems, cartBreakdown]);
 
   // Add item to cart with quantity management - implements fail/success pattern
-  const addToCart = async (product, quantity = 1) => {
+  // Reason: memoized (with `removeFromCart` and `getCartItem`), so the wishlist API built on them stays memoized too.
+  const addToCart = useCallback(async (product, quantity = 1) => {
     // Check if fail mode is enabled from navbar checkbox
     const failModeEnabled = attemptTracker.getFailMode();
     
@@ -59,30 +297,56 @@ export const CartProvider = ({ children }) => {
         localStorage.setItem('ecommerce_quota_test', largePayload);
     }
     
+    // Check stock before adding: sold out is refused, more than available is clamped
+    const available = await availableStock(product);
+    if (available <= 0) {
+      showError(`${product.title} is out of stock.`);
+      return false;
+    }
+    const existingQuantity = cartItemsRef.current.find(item => item.id === product.id)?.quantity ?? 0;
+    const requested = existingQuantity + quantity;
+    const guestAdjustments = requested > available
+      ? [{ id: product.id, title: product.title, requested, quantity: available, available }]
+      : [];
+
     // Success - add item to cart (only reaches here if fail mode is disabled)
-    setCartItems(prevItems => {
+    const addLine = (prevItems) => {
       const existingItem = prevItems.find(item => item.id === product.id);
       
       if (existingItem) {
         // Update quantity if item already exists
         return prevItems.map(item =>
           item.id === product.id
-            ? { ...item, quantity: item.quantity + quantity }
+            ? { ...item, quantity: Math.min(item.quantity + quantity, available) }
             : item
         );
       } else {
         // Add new item to cart
-        return [...prevItems, { ...product, quantity }];
+        return [...prevItems, { ...product, quantity: Math.min(quantity, available) }];
       }
-    });
+    };
+
+    let adjustments;
+    try {
+      adjustments = await commitChange(addLine, () => cartAPI.addItem(product, quantity), guestAdjustments);
+    } catch (error) {
+      showError(error.message || `Failed to add ${product.title} to cart. Please try again.`);
+      return false;
+    }
     
+    if (adjustments.length) {
+      adjustments.forEach((adjustment) => showWarning(describeAdjustment(adjustment)));
+      return true;
+    }
+
     // Show success message only if we reach here (fail mode is disabled)
-    showSuccess(`${product.title} added to cart successfully!`);
+    showSuccess(`${product.title} added to cart successfully!`, { actions: [{ label: 'View cart', to: '/cart' }] });
     return true; // Indicate success
-  };
+  }, [availableStock, commitChange, showError, showWarning, showSuccess]);
 
   // Remove item from cart completely - implements fail/success pattern
-  const removeFromCart = async (productId) => {
+  // `notify: false` skips the success message (callers that report the outcome themselves, e.g. save for later)
+  const removeFromCart = useCallback(async (productId, { notify = true } = {}) => {
     // Check if fail mode is enabled from navbar checkbox
     const failModeEnabled = attemptTracker.getFailMode();
     
@@ -98,14 +362,30 @@ export const CartProvider = ({ children }) => {
       new Array(-1);
     }
     
-    setCartItems(prevItems => {
-      const newItems = prevItems.filter(item => item.id !== productId);
-      return newItems;
-    });
+    const removedLine = cartItemsRef.current.find(item => item.id === productId);
+    try {
+      await commitChange(
+        (prevItems) => prevItems.filter(item => item.id !== productId),
+        () => cartAPI.removeItem(productId),
+      );
+    } catch (error) {
+      showError(error.message || 'Failed to remove item from cart. Please try again.');
+      return false;
+    }
     
     // Show success message only if we reach here (fail mode is disabled)
-    showSuccess(`Item removed from cart successfully!`);
-  };
+    if (notify) {
+      const undo = removedLine && {
+        label: 'Undo',
+        onClick: () => {
+          const { quantity, ...product } = removedLine;
+          void addToCart(product, quantity);
+        },
+      };
+      showSuccess(`Item removed from cart successfully!`, { actions: undo ? [undo] : [] });
+    }
+    return true;
+  }, [addToCart, commitChange, showError, showSuccess]);
 
   // Update item quantity - implements fail/success pattern
   const updateQuantity = async (productId, quantity) => {
@@ -130,12 +410,36 @@ export const CartProvider = ({ children }) => {
       return;
     }
     
-    setCartItems(prevItems => {
-      const newItems = prevItems.map(item =>
-        item.id === productId ? { ...item, quantity } : item
+    const item = cartItemsRef.current.find(line => line.id === productId);
+    const available = item ? await availableStock(item) : Infinity;
+    if (available <= 0) {
+      // Sold out since it was added: drop the line instead of updating it
+      try {
+        await commitChange(
+          (prevItems) => prevItems.filter(line => line.id !== productId),
+          () => cartAPI.removeItem(productId),
+        );
+        showWarning(describeAdjustment({ title: item.title, quantity: 0, available: 0 }));
+      } catch (error) {
+        showError(error.message || 'Failed to update quantity. Please try again.');
+      }
+      return;
+    }
+    const nextQuantity = Math.min(quantity, available);
+    const guestAdjustments = nextQuantity < quantity
+      ? [{ id: productId, title: item.title, requested: quantity, quantity: nextQuantity, available }]
+      : [];
+
+    try {
+      const adjustments = await commitChange(
+        (prevItems) => prevItems.map(line => (line.id === productId ? { ...line, quantity: nextQuantity } : line)),
+        () => cartAPI.updateItem(productId, quantity),
+        guestAdjustments,
       );
-      return newItems;
-    });
+      adjustments.forEach((adjustment) => showWarning(describeAdjustment(adjustment)));
+    } catch (error) {
+      showError(error.message || 'Failed to update quantity. Please try again.');
+    }
   };
 
   // Clear entire cart - implements fail/success pattern
@@ -156,17 +460,64 @@ export const CartProvider = ({ children }) => {
     }
     
     // Success - clear cart (only reaches here if fail mode is disabled)
-    setCartItems([]);
+    try {
+      await commitChange(() => [], () => cartAPI.clear());
+    } catch (error) {
+      showError(error.message || 'Failed to clear cart. Please try again.');
+      return;
+    }
     
     // Show success message only if we reach here (fail mode is disabled)
     showSuccess(`Cart cleared successfully!`);
   };
 
-  // Calculate cart totals
-  const getCartTotal = () => {
-    return cartItems.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
+  // Enter a coupon code; resolves to true if it was accepted (it may still not lower this cart yet)
+  const applyCoupon = async (code) => {
+    const normalized = code.trim().toUpperCase();
+    if (!normalized) return false;
+    if (coupons.some((coupon) => coupon.code === normalized)) {
+      showInfo(`${normalized} is already applied.`);
+      return true;
+    }
+
+    let coupon;
+    try {
+      ({ promotion: coupon } = await promotionsAPI.getCoupon(normalized));
+    } catch (error) {
+      showError(error.message || `Could not apply ${normalized}. Please try again.`);
+      return false;
+    }
+
+    const nextCoupons = [...coupons.filter((c) => c.code !== coupon.code), coupon];
+    setCoupons(nextCoupons);
+    const notApplied = priceCart(cartItemsRef.current, [...automaticPromotions, ...nextCoupons]).notApplied.find(
+      (promotion) => promotion.id === coupon.id,
+    );
+    if (notApplied) showWarning(describeNotApplied(notApplied, formatPrice));
+    else showSuccess(`Coupon ${coupon.code} applied: ${coupon.label}.`);
+    return true;
+  };
+
+  const removeCoupon = (code) => {
+    const normalized = code.trim().toUpperCase();
+    uncheckedCodesRef.current = uncheckedCodesRef.current.filter((c) => c !== normalized);
+    setCoupons((prev) => prev.filter((coupon) => coupon.code !== normalized));
+  };
+
+  // Calculate cart totals: after promotions (before tax and shipping)
+  const getCartTotal = () => cartBreakdown.total;
+
+  // Before promotions
+  const getCartSubtotal = () => cartBreakdown.subtotal;
+
+  // Per-line subtotal/discounts/total plus the applied and not-applied promotions (see `priceCart`)
+  const getCartBreakdown = () => cartBreakdown;
+
+  // Cart total + shipping + tax for a destination (`{ country, region? }`) and shipping method id (see `orderQuote.js`).
+  // Rejects with a `QuoteError` (unsupported country, unknown method) or an `ApiError` if the rates can't be loaded.
+  const getOrderQuote = async (address, shippingMethod) => {
+    const rates = await loadRates();
+    return computeQuote({ breakdown: cartBreakdown, address, shippingMethod, rates });
   };
 
   // Get total number of items in cart
@@ -180,9 +531,9 @@ export const CartProvider = ({ children }) => {
   };
 
   // Get cart item by ID
-  const getCartItem = (productId) => {
+  const getCartItem = useCallback((productId) => {
     return cartItems.find(item => item.id === productId);
-  };
+  }, [cartItems]);
 
   // Context value object
   const value = {
@@ -193,6 +544,12 @@ export const CartProvider = ({ children }) => {
     updateQuantity,
     clearCart,
     getCartTotal,
+    getCartSubtotal,
+    getCartBreakdown,
+    getOrderQuote,
+    coupons: coupons.map(({ code, label }) => ({ code, label })),
+    applyCoupon,
+    removeCoupon,
     getCartItemCount,
     isCartEmpty,
     getCartItem,
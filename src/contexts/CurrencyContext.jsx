@@ -0,0 +1,80 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { publish, SHELL_EVENTS } from '../events/eventBus';
+import { BASE_CURRENCY, convertMinor, formatMoney, fromMinor, toMinor } from '../pricing/money';
+import { loadRates } from '../pricing/rates';
+
+// Display currency the user picked in the Navbar
+const CURRENCY_STORAGE_KEY = 'shophub:currency:v1';
+
+// Create currency context: which currency prices are shown in, and how to format them for the user's locale
+const CurrencyContext = createContext();
+
+// Custom hook to use currency context
+// eslint-disable-next-line react-refresh/only-export-components
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+  return context;
+};
+
+// Currency provider component
+// Note: display only. Catalog prices, promotions, quotes and charges stay in BASE_CURRENCY; converted amounts
+// are shown with the rates from the pricing tables.
+export const CurrencyProvider = ({ children }) => {
+  const [selectedCurrency, setSelectedCurrency] = useState(
+    () => localStorage.getItem(CURRENCY_STORAGE_KEY) ?? BASE_CURRENCY,
+  );
+  const [exchangeRates, setExchangeRates] = useState({});
+  const locale = typeof navigator !== 'undefined' ? navigator.language : undefined;
+
+  useEffect(() => {
+    loadRates()
+      .then((rates) => setExchangeRates(rates.exchangeRates ?? {}))
+      .catch((error) => console.warn('[Currency] Exchange rates unavailable; showing prices in', BASE_CURRENCY, error));
+  }, []);
+
+  const currencies = useMemo(() => [BASE_CURRENCY, ...Object.keys(exchangeRates)], [exchangeRates]);
+  // Reason: a saved currency whose rate isn't (yet) known falls back to the base, instead of showing wrong amounts.
+  const currency = currencies.includes(selectedCurrency) ? selectedCurrency : BASE_CURRENCY;
+
+  // Tell remotes (and the event log) which currency prices are shown in
+  useEffect(() => {
+    publish(SHELL_EVENTS.CURRENCY_CHANGED, { currency, locale });
+  }, [currency, locale]);
+
+  const setCurrency = (code) => {
+    if (!currencies.includes(code)) {
+      console.warn(`[Currency] Unsupported currency "${code}"; expected one of ${currencies.join(', ')}`);
+      return;
+    }
+    localStorage.setItem(CURRENCY_STORAGE_KEY, code);
+    setSelectedCurrency(code);
+  };
+
+  // Base-currency amount (e.g. a product price) → amount in the display currency, rounded to its minor unit
+  const convertPrice = (amount) =>
+    fromMinor(convertMinor(toMinor(amount), BASE_CURRENCY, currency, exchangeRates), currency);
+
+  // Base-currency amount → display string, e.g. `109.95` → "€101.15" / "101,15 €" depending on the locale
+  const formatPrice = (amount) =>
+    formatMoney(convertMinor(toMinor(amount), BASE_CURRENCY, currency, exchangeRates), currency, locale);
+
+  // Context value object
+  const value = {
+    baseCurrency: BASE_CURRENCY,
+    currency,
+    currencies,
+    locale,
+    setCurrency,
+    convertPrice,
+    formatPrice,
+  };
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
@@ -1,7 +1,17 @@
-import React, { createContext, useContext, useState } from 'react';
-import { Snackbar, Alert, Box } from '@mui/material';
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+
+import { subscribe, SHELL_EVENTS } from '../events/eventBus';
+import { historyKeyFor, MAX_HISTORY, readHistory, toHistoryEntry, writeHistory } from '../utils/notificationStorage';
+import { createId } from '../utils/versionedStorage';
+
+// Auto-close duration in milliseconds; toasts with actions stay longer so there is time to click them
+const DEFAULT_DURATION = 4000;
+const DEFAULT_ACTION_DURATION = 8000;
+// Toasts shown at once; later ones wait in the queue
+const MAX_VISIBLE_TOASTS = 3;
 
 // Create snackbar context for managing global notifications
+// Note: the name predates the notification center; it is both the toast queue and the bell's history.
 const SnackbarContext = createContext();
 
 // Custom hook to use snackbar context
@@ -13,118 +23,193 @@ export const useSnackbar = () => {
   return context;
 };
 
-// Snackbar provider component
+// `showX(message, 6000)` (duration) or `showX(message, { duration, actions })`
+function normalizeOptions(options) {
+  return typeof options === 'number' ? { duration: options } : options ?? {};
+}
+
+// Reason: callers sometimes pass the caught error itself; show its message rather than "[object Object]".
+function messageText(message) {
+  return message instanceof Error ? message.message : String(message ?? '');
+}
+
+/**
+ * Snackbar provider component
+ *
+ * Reason:
+ * - There used to be a single snackbar, and each `showX` call replaced it, so messages from quick cart actions
+ *   were lost.
+ *
+ * Behaviour:
+ * - Toasts queue: up to `MAX_VISIBLE_TOASTS` are stacked at once (`NotificationToasts` renders them), each closes
+ *   after its own duration (`duration: null` = until closed). The same message while it is still showing adds "×2"
+ *   instead of another toast.
+ * - Actions: `{ label, onClick }` (e.g. "Undo") or `{ label, to }` (e.g. "View cart", a shell path).
+ * - Every notification also goes to the history behind the Navbar bell, stored per guest / account with its read
+ *   state. The owner comes from `auth:changed` (this provider sits outside `AuthProvider`); notifications shown
+ *   before the session is known are added to whoever it turns out to be.
+ */
 export const SnackbarProvider = ({ children }) => {
-  const [snackbar, setSnackbar] = useState({
-    open: false,
-    message: '',
-    severity: 'info', // 'error', 'warning', 'info', 'success'
-    duration: 4000, // Auto-close duration in milliseconds
-  });
-
-  // Show success message
-  const showSuccess = (message, duration = 4000) => {
-    setSnackbar({
-      open: true,
-      message,
-      severity: 'success',
-      duration,
-    });
-  };
-
-  // Show error message
-  const showError = (message, duration = 4000) => {
-    setSnackbar({
-      open: true,
-      message,
-      severity: 'error',
-      duration,
-    });
-  };
-
-  // Show warning message
-  const showWarning = (message, duration = 4000) => {
-    setSnackbar({
-      open: true,
-      message,
-      severity: 'warning',
-      duration,
-    });
-  };
-
-  // Show info message
-  const showInfo = (message, duration = 4000) => {
-    setSnackbar({
-      open: true,
-      message,
-      severity: 'info',
-      duration,
+  // Queue; the first MAX_VISIBLE_TOASTS are on screen: { id, severity, message, duration, actions, count }
+  const [toasts, setToasts] = useState([]);
+  const [history, setHistory] = useState([]);
+  // User id owning the history (null = guest); undefined until the session is known
+  const [owner, setOwner] = useState(undefined);
+  const ownerRef = useRef(undefined);
+  // History kept while the session is unknown; merged into the owner's stored history once it is
+  const pendingHistoryRef = useRef([]);
+  const toastsRef = useRef(toasts);
+  toastsRef.current = toasts;
+  // id -> { count, timer } for toasts on screen
+  const timersRef = useRef(new Map());
+
+  // Apply `update` to the stored history (not state), so entries written by another tab aren't overwritten
+  const updateHistory = useCallback((update) => {
+    const userId = ownerRef.current;
+    if (userId === undefined) {
+      pendingHistoryRef.current = update(pendingHistoryRef.current).slice(0, MAX_HISTORY);
+      setHistory(pendingHistoryRef.current);
+      return;
+    }
+    const next = update(readHistory(userId)).slice(0, MAX_HISTORY);
+    writeHistory(userId, next);
+    setHistory(next);
+  }, []);
+
+  // Follow the signed-in user (replayed, so the current session is picked up on mount)
+  useEffect(
+    () =>
+      subscribe(SHELL_EVENTS.AUTH_CHANGED, ({ user } = {}) => {
+        const userId = user?.id ?? null;
+        const previous = ownerRef.current;
+        if (userId === previous) return;
+        ownerRef.current = userId;
+        setOwner(userId);
+        // Reason: merged here, not in a state updater; StrictMode runs updaters twice, which would write twice.
+        const pending = pendingHistoryRef.current;
+        pendingHistoryRef.current = [];
+        const stored = readHistory(userId);
+        if (previous !== undefined || !pending.length) {
+          setHistory(stored);
+          return;
+        }
+        const next = [...pending, ...stored].slice(0, MAX_HISTORY);
+        writeHistory(userId, next);
+        setHistory(next);
+      }),
+    [],
+  );
+
+  // Another tab added notifications or read them
+  useEffect(() => {
+    if (owner === undefined) return undefined;
+    const key = historyKeyFor(owner);
+    const onStorage = (event) => {
+      if (event.key === key) setHistory(readHistory(owner));
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, [owner]);
+
+  const dismiss = useCallback((id) => {
+    clearTimeout(timersRef.current.get(id)?.timer);
+    timersRef.current.delete(id);
+    setToasts((prev) => prev.filter((toast) => toast.id !== id));
+  }, []);
+
+  // Start (or restart, when a repeat bumped the count) the timer of every toast on screen
+  useEffect(() => {
+    const timers = timersRef.current;
+    toasts.slice(0, MAX_VISIBLE_TOASTS).forEach((toast) => {
+      if (timers.get(toast.id)?.count === toast.count) return;
+      clearTimeout(timers.get(toast.id)?.timer);
+      const timer = toast.duration ? setTimeout(() => dismiss(toast.id), toast.duration) : null;
+      timers.set(toast.id, { count: toast.count, timer });
     });
-  };
-
-  // Close snackbar
-  const closeSnackbar = () => {
-    setSnackbar(prev => ({ ...prev, open: false }));
-  };
-
-  // Context value object
-  const value = {
-    showSuccess,
-    showError,
-    showWarning,
-    showInfo,
-    closeSnackbar,
-  };
-
-  return (
-    <SnackbarContext.Provider value={value}>
-      {children}
-      
-      {/* Global Snackbar */}
-      <Snackbar
-        open={snackbar.open}
-        autoHideDuration={snackbar.duration}
-        onClose={closeSnackbar}
-        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
-        sx={{
-          '& .MuiSnackbar-root': {
-            zIndex: 9999,
-          },
-        }}
-      >
-        <Alert
-          onClose={closeSnackbar}
-          severity={snackbar.severity}
-          variant="filled"
-          sx={{
-            width: '100%',
-            borderRadius: 2,
-            fontWeight: 500,
-            '& .MuiAlert-message': {
-              fontSize: '0.9rem',
-            },
-            // Custom styling for different severities
-            '&.MuiAlert-standardError': {
-              background: 'linear-gradient(135deg, #d32f2f 0%, #c62828 100%)',
-              color: '#ffffff',
-            },
-            '&.MuiAlert-standardSuccess': {
-              background: 'linear-gradient(135deg, #2e7d32 0%, #1b5e20 100%)',
-              color: '#ffffff',
-            },
-            '&.MuiAlert-standardWarning': {
-              background: 'linear-gradient(135deg, #ed6c02 0%, #e65100 100%)',
-              color: '#ffffff',
-            },
-            '&.MuiAlert-standardInfo': {
-              background: 'linear-gradient(135deg, #0288d1 0%, #01579b 100%)',
-              color: '#ffffff',
-            },
-          }}
-        >
-          {snackbar.message}
-        </Alert>
-      </Snackbar>
-    </SnackbarContext.Provider>
+  }, [toasts, dismiss]);
+
+  useEffect(() => {
+    const timers = timersRef.current;
+    return () => timers.forEach(({ timer }) => clearTimeout(timer));
+  }, []);
+
+  /**
+   * Show a toast and add it to the history.
+   *
+   * @param {{ severity?: 'success'|'error'|'warning'|'info', message: string, duration?: number|null,
+   *   actions?: Array<{ label: string, onClick?: Function, to?: string }> }} notification
+   * @returns {string} id (for `dismiss`)
+   */
+  const notify = useCallback(
+    ({ severity = 'info', message, duration, actions = [] }) => {
+      const text = messageText(message);
+      const repeat = !actions.length
+        ? toastsRef.current
+            .slice(0, MAX_VISIBLE_TOASTS)
+            .find((toast) => toast.severity === severity && toast.message === text && !toast.actions.length)
+        : null;
+
+      const id = repeat?.id ?? createId('notification');
+      if (repeat) {
+        setToasts((prev) => prev.map((toast) => (toast.id === id ? { ...toast, count: toast.count + 1 } : toast)));
+      } else {
+        const toast = {
+          id,
+          severity,
+          message: text,
+          duration: duration === undefined ? (actions.length ? DEFAULT_ACTION_DURATION : DEFAULT_DURATION) : duration,
+          actions,
+          count: 1,
+        };
+        setToasts((prev) => [...prev, toast]);
+      }
+
+      // Note: a repeat shares the toast but still gets its own history entry.
+      const entry = toHistoryEntry({
+        id: repeat ? createId('notification') : id,
+        severity,
+        message: text,
+        createdAt: new Date().toISOString(),
+        actions,
+      });
+      updateHistory((prev) => [entry, ...prev]);
+      return id;
+    },
+    [updateHistory],
   );
+
+  // Reason: kept apart from `value` so they stay stable while toasts come and go; providers list them as deps.
+  const shows = useMemo(() => {
+    const show = (severity) => (message, options) => notify({ ...normalizeOptions(options), severity, message });
+    return {
+      showSuccess: show('success'),
+      showError: show('error'),
+      showWarning: show('warning'),
+      showInfo: show('info'),
+    };
+  }, [notify]);
+
+  const value = useMemo(() => {
+    return {
+      // Show success / error / warning / info message
+      ...shows,
+      notify,
+      dismiss,
+      // Close every toast on screen (the history keeps them)
+      closeSnackbar: () => toastsRef.current.slice(0, MAX_VISIBLE_TOASTS).forEach((toast) => dismiss(toast.id)),
+      toasts: toasts.slice(0, MAX_VISIBLE_TOASTS),
+      queuedCount: Math.max(0, toasts.length - MAX_VISIBLE_TOASTS),
+      history,
+      unreadCount: history.filter((entry) => !entry.read).length,
+      markRead: (ids) => {
+        const match = ids ? new Set(ids) : null;
+        updateHistory((prev) =>
+          prev.map((entry) => (!match || match.has(entry.id) ? { ...entry, read: true } : entry)),
+        );
+      },
+      clearHistory: () => updateHistory(() => []),
+    };
+  }, [shows, notify, dismiss, toasts, history, updateHistory]);
+
+  return <SnackbarContext.Provider value={value}>{children}</SnackbarContext.Provider>;
 };
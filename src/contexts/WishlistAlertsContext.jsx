@@ -0,0 +1,191 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+
+import { useAuth } from './AuthContext.jsx';
+import { useCurrency } from './CurrencyContext.jsx';
+import { useSnackbar } from './SnackbarContext.jsx';
+import { useWishlist } from './WishlistContext.jsx';
+import { publish, SHELL_EVENTS } from '../events/eventBus.js';
+import { productAPI } from '../services/api.js';
+import {
+  alertsKeyFor,
+  describeAlert,
+  detectAlerts,
+  emptyAlertState,
+  MAX_ALERTS,
+  readAlertState,
+  writeAlertState,
+} from '../utils/wishlistAlerts.js';
+
+// How often wishlisted products are re-fetched (the check also runs on load and when the tab becomes visible).
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Price-drop and back-in-stock alerts for wishlisted products.
+ *
+ * Reason:
+ * - Wishlist entries keep the price from when they were added, and nothing compared it with the catalog, so users
+ *   missed the discounts they were waiting for.
+ *
+ * Design:
+ * - Every `CHECK_INTERVAL_MS` the shell re-fetches each wishlisted product (`productAPI.getProduct`) and compares
+ *   it with what it saw last time (`utils/wishlistAlerts.js`): price drops, the entry's `targetPrice` being reached,
+ *   and restocks raise an alert. Alerts are listed in the Navbar (`WishlistAlertsMenu`) and published as
+ *   `wishlist:alert`.
+ * - State is stored per guest / account. Open tabs share it through storage: a tab skips the check if another one
+ *   ran it within the interval, and picks up that tab's alerts from the `storage` event.
+ */
+
+const WishlistAlertsContext = createContext(null);
+
+export function WishlistAlertsProvider({ children }) {
+  const { user, loading: authLoading } = useAuth();
+  const { wishlistItems, loading: wishlistLoading } = useWishlist();
+  const { showInfo } = useSnackbar();
+  const { formatPrice } = useCurrency();
+  const [state, setState] = useState(emptyAlertState);
+  const [checking, setChecking] = useState(false);
+  const userId = user?.id ?? null;
+  const ready = !authLoading && !wishlistLoading;
+
+  // Reason: the interval and async checks read the latest values, not the ones from when they were scheduled.
+  const latestRef = useRef({ userId, wishlistItems, showInfo, formatPrice });
+  latestRef.current = { userId, wishlistItems, showInfo, formatPrice };
+  const checkingRef = useRef(false);
+
+  // Load the guest or account alerts (again on login/logout).
+  useEffect(() => {
+    if (!ready) return;
+    setState(readAlertState(userId));
+  }, [userId, ready]);
+
+  // Another tab checked prices or read alerts.
+  useEffect(() => {
+    const key = alertsKeyFor(userId);
+    const onStorage = (event) => {
+      if (event.key === key) setState(readAlertState(userId));
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, [userId]);
+
+  const save = useCallback((forUserId, update) => {
+    // Reason: start from storage, not state, so a write from another tab isn't overwritten.
+    const next = update(readAlertState(forUserId));
+    writeAlertState(forUserId, next);
+    if (forUserId === latestRef.current.userId) setState(next);
+    return next;
+  }, []);
+
+  // Re-fetch wishlisted products and raise alerts. `force` ignores the interval (e.g. a "check now" button).
+  const checkPrices = useCallback(
+    async ({ force = false } = {}) => {
+      const { userId: forUserId, wishlistItems: items } = latestRef.current;
+      if (checkingRef.current || !items.length) return [];
+      const stored = readAlertState(forUserId);
+      if (!force && stored.checkedAt && Date.now() - stored.checkedAt < CHECK_INTERVAL_MS) return [];
+
+      checkingRef.current = true;
+      setChecking(true);
+      try {
+        const watch = {};
+        const found = [];
+        // Reason: one request at a time; wishlists are small and this runs in the background.
+        for (const item of items) {
+          try {
+            const product = await productAPI.getProduct(item.id);
+            const result = detectAlerts(item, stored.watch[item.id], product);
+            watch[item.id] = result.watch;
+            found.push(...result.alerts);
+          } catch (error) {
+            console.warn(`[WishlistAlerts] Could not check product ${item.id}; trying again next time.`, error);
+          }
+        }
+        // The user logged in or out meanwhile: these results belong to the other wishlist.
+        if (forUserId !== latestRef.current.userId) return [];
+
+        const listedIds = new Set(latestRef.current.wishlistItems.map((p) => String(p.id)));
+        save(forUserId, (current) => ({
+          ...current,
+          checkedAt: Date.now(),
+          // Note: drop products that left the wishlist, so re-adding one later starts from its new snapshot.
+          watch: Object.fromEntries(
+            Object.entries({ ...current.watch, ...watch }).filter(([id]) => listedIds.has(id)),
+          ),
+          alerts: [...found, ...current.alerts].slice(0, MAX_ALERTS),
+        }));
+        found.forEach((alert) => publish(SHELL_EVENTS.WISHLIST_ALERT, alert));
+        // Tell the user once per check; the Navbar list keeps the details.
+        if (found.length === 1) {
+          const { showInfo: notify, formatPrice: format } = latestRef.current;
+          notify(describeAlert(found[0], format), {
+            actions: [{ label: 'View', to: `/product/${found[0].productId}` }],
+          });
+        } else if (found.length) {
+          latestRef.current.showInfo(`${found.length} new wishlist alerts.`, 6000);
+        }
+        return found;
+      } finally {
+        checkingRef.current = false;
+        setChecking(false);
+      }
+    },
+    [save],
+  );
+
+  // Check on load, then on an interval while the tab is visible (and right away when it becomes visible).
+  useEffect(() => {
+    if (!ready) return undefined;
+    const run = () => {
+      if (document.visibilityState === 'visible') void checkPrices();
+    };
+    run();
+    const timer = setInterval(run, CHECK_INTERVAL_MS);
+    document.addEventListener('visibilitychange', run);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', run);
+    };
+  }, [ready, userId, checkPrices]);
+
+  const api = useMemo(() => {
+    const markAlertsRead = (ids) => {
+      const match = ids ? new Set(ids) : null;
+      save(userId, (current) => ({
+        ...current,
+        alerts: current.alerts.map((a) => (!match || match.has(a.id) ? { ...a, read: true } : a)),
+      }));
+    };
+
+    const dismissAlert = (id) => {
+      save(userId, (current) => ({ ...current, alerts: current.alerts.filter((a) => a.id !== id) }));
+    };
+
+    const clearAlerts = () => {
+      save(userId, (current) => ({ ...current, alerts: [] }));
+    };
+
+    // What the last check saw for a product: `{ price, inStock, checkedAt }`, or null before the first check.
+    const getPriceStatus = (productId) => state.watch[productId] ?? null;
+
+    return {
+      alerts: state.alerts,
+      unreadCount: state.alerts.filter((a) => !a.read).length,
+      lastCheckedAt: state.checkedAt,
+      checking,
+      checkPrices,
+      markAlertsRead,
+      dismissAlert,
+      clearAlerts,
+      getPriceStatus,
+    };
+  }, [state, checking, userId, save, checkPrices]);
+
+  return <WishlistAlertsContext.Provider value={api}>{children}</WishlistAlertsContext.Provider>;
+}
+
+// eslint-disable-next-line react-refresh/only-export-components
+export function useWishlistAlerts() {
+  const ctx = useContext(WishlistAlertsContext);
+  if (!ctx) throw new Error('useWishlistAlerts must be used inside <WishlistAlertsProvider>');
+  return ctx;
+}
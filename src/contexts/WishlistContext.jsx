@@ -1,4 +1,25 @@
-import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from 'react';
+
+import { useAuth } from './AuthContext.jsx';
+import { useCart } from './CartContext.jsx';
+import { useSnackbar } from './SnackbarContext.jsx';
+import { publish, SHELL_EVENTS } from '../events/eventBus.js';
+import { wishlistSharesAPI } from '../services/api.js';
+import { useTabSyncedList } from '../sync/useTabSyncedList.js';
+import { reportGuestMerge } from '../utils/guestMergeSummary.js';
+import { createId } from '../utils/versionedStorage.js';
+import {
+  createList,
+  DEFAULT_LIST_ID,
+  MAX_LIST_NAME_LENGTH,
+  mergeLists,
+  readLists,
+  removeLists,
+  SAVED_FOR_LATER_LIST_ID,
+  savedForLaterList,
+  storageKeyFor,
+  writeLists,
+} from '../utils/wishlistStorage.js';
 
 /**
  * Wishlist state owned by the shell.
@@ -6,69 +27,299 @@ import React, { createContext, useContext, useEffect, useMemo, useState } from '
  * Reason:
  * - Multiple MFEs (catalog, wishlist page, etc.) need to interact with a single wishlist.
  * - Storing it in the shell avoids cross-remote state coupling while keeping MFEs stateless via props.
+ *
+ * Lists: users keep several named lists ("Birthday", "Home"); the first one is the default list, and "Saved for
+ * later" holds lines parked from the cart. `wishlistItems` is every listed product once (what the heart icons and
+ * the Navbar badge reflect). An entry may carry a `targetPrice`: price alerts (`WishlistAlertsContext.jsx`) report
+ * when the product reaches it.
+ *
+ * Sharing: a signed-in user can publish a snapshot of a list as a read-only link (`/wishlist/shared/<token>`);
+ * publishing again refreshes the same link, and revoking makes it 404. The list keeps `share: { token, url }`.
+ *
+ * Storage (schema v2, see `utils/wishlistStorage.js`): one set of lists for guests and one per account on this
+ * device; v1 single lists are migrated on first read. Logging in merges the guest lists into the account's.
  */
 
 const WishlistContext = createContext(null);
 
-const STORAGE_KEY = 'shophub:wishlist:v1';
+// Product snapshot kept in a list (cart-only fields dropped).
+function toListItem(product) {
+  const item = { ...product };
+  delete item.quantity;
+  delete item.stock;
+  delete item.addedAt;
+  return item;
+}
 
-function safeJsonParse(value, fallback) {
-  try {
-    return value ? JSON.parse(value) : fallback;
-  } catch {
-    return fallback;
-  }
+function sharedWishlistUrl(token) {
+  return `${window.location.origin}/wishlist/shared/${encodeURIComponent(token)}`;
 }
 
 export function WishlistProvider({ children }) {
-  const [wishlistItems, setWishlistItems] = useState([]);
+  const [lists, setLists] = useState([]);
   const [loading, setLoading] = useState(true);
+  const { user, isAuthenticated, loading: authLoading, sessionSource } = useAuth();
+  const { addToCart, removeFromCart, getCartItem } = useCart();
+  const { showInfo, showSuccess, showError } = useSnackbar();
+  // Storage key of the list in state; null while (re)loading.
+  const [storageKey, setStorageKey] = useState(null);
+  const userId = user?.id ?? null;
+  // Reason: read when the load effect runs; a later change of source alone must not merge again.
+  const sessionSourceRef = useRef(sessionSource);
+  sessionSourceRef.current = sessionSource;
 
-  // Load initial wishlist from localStorage once.
+  // Load the guest or account lists (again on login/logout); on login, merge the guest lists into the account's.
   useEffect(() => {
-    const saved = safeJsonParse(localStorage.getItem(STORAGE_KEY), []);
-    // Reason: normalize to array (defensive against storage tampering).
-    setWishlistItems(Array.isArray(saved) ? saved : []);
+    if (authLoading) return;
+    let nextLists = readLists(userId);
+
+    // Only the tab the user logged in from merges (other tabs pick the result up from storage).
+    if (userId && sessionSourceRef.current === 'login') {
+      const merged = mergeLists(nextLists, readLists(null));
+      nextLists = merged.lists;
+      writeLists(storageKeyFor(userId), nextLists);
+      removeLists(null);
+      reportGuestMerge('wishlist', merged.addedCount, showInfo);
+    }
+
+    setLists(nextLists);
+    setStorageKey(storageKeyFor(userId));
     setLoading(false);
-  }, []);
+  }, [userId, authLoading, showInfo]);
 
-  // Persist wishlist on changes.
+  // Persist lists on changes.
+  useEffect(() => {
+    if (loading || !storageKey) return;
+    writeLists(storageKey, lists);
+  }, [lists, loading, storageKey]);
+
+  // Mirror changes to and from other open tabs (last write wins per list).
+  // Note: one topic per storage key, so a guest tab and a signed-in tab never mix lists during a login/logout.
+  useTabSyncedList(lists, setLists, {
+    topic: `wishlist:${storageKey}`,
+    ready: !loading && !!storageKey && storageKey === storageKeyFor(userId),
+  });
+
+  // Every listed product once, most recently added list entries first within each list.
+  const wishlistItems = useMemo(() => {
+    const seen = new Set();
+    return lists.flatMap((list) => list.items).filter((item) => !seen.has(item.id) && seen.add(item.id));
+  }, [lists]);
+
+  // Broadcast wishlist changes on the shell event bus (skip the empty pre-load state).
   useEffect(() => {
     if (loading) return;
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(wishlistItems));
-    } catch {
-      // Ignore storage quota / privacy mode errors in dev; wishlist remains in-memory for session.
-    }
-  }, [wishlistItems, loading]);
+    publish(SHELL_EVENTS.WISHLIST_CHANGED, {
+      items: wishlistItems,
+      count: wishlistItems.length,
+      lists: lists.map(({ id, name, items }) => ({ id, name, count: items.length })),
+    });
+  }, [wishlistItems, lists, loading]);
 
   const api = useMemo(() => {
-    const isInWishlist = (productId) => wishlistItems.some((p) => p?.id === productId);
+    const updateList = (listId, update) =>
+      setLists((prev) => prev.map((list) => (list.id === listId ? { ...list, items: update(list.items) } : list)));
+
+    const listContains = (listId, productId) =>
+      lists.find((list) => list.id === listId)?.items.some((p) => p.id === productId) ?? false;
+
+    const isInWishlist = (productId, listId) =>
+      listId ? listContains(listId, productId) : wishlistItems.some((p) => p?.id === productId);
 
-    const addToWishlist = (product) => {
+    const addToWishlist = (product, listId = DEFAULT_LIST_ID) => {
       if (!product?.id) return;
-      setWishlistItems((prev) => {
-        if (prev.some((p) => p?.id === product.id)) return prev;
-        return [product, ...prev];
+      setLists((prev) => {
+        // "Saved for later" is created on first use.
+        const withList =
+          listId === SAVED_FOR_LATER_LIST_ID && !prev.some((list) => list.id === listId)
+            ? [...prev, savedForLaterList()]
+            : prev;
+        return withList.map((list) => {
+          if (list.id !== listId || list.items.some((p) => p.id === product.id)) return list;
+          return { ...list, items: [toListItem(product), ...list.items] };
+        });
       });
     };
 
-    const removeFromWishlist = (productId) => {
-      setWishlistItems((prev) => prev.filter((p) => p?.id !== productId));
+    // Without `listId`, removes the product from every list (the heart icon toggles "listed anywhere").
+    const removeFromWishlist = (productId, listId) => {
+      setLists((prev) =>
+        prev.map((list) =>
+          !listId || list.id === listId ? { ...list, items: list.items.filter((p) => p.id !== productId) } : list,
+        ),
+      );
+    };
+
+    const clearWishlist = (listId) => {
+      setLists((prev) => prev.map((list) => (!listId || list.id === listId ? { ...list, items: [] } : list)));
+    };
+
+    // Returns an error message, or null if `name` can be used for a list (other than `exceptListId`).
+    const validateListName = (name, exceptListId) => {
+      const trimmed = typeof name === 'string' ? name.trim() : '';
+      if (!trimmed) return 'Please enter a list name';
+      if (trimmed.length > MAX_LIST_NAME_LENGTH) return `List names can be at most ${MAX_LIST_NAME_LENGTH} characters`;
+      const taken = lists.some((list) => list.id !== exceptListId && list.name.toLowerCase() === trimmed.toLowerCase());
+      return taken ? `You already have a list called "${trimmed}"` : null;
     };
 
-    const clearWishlist = () => setWishlistItems([]);
+    // Returns the new list's id, or null (with an error message) if the name is invalid.
+    const createWishlist = (name) => {
+      const error = validateListName(name);
+      if (error) {
+        showError(error);
+        return null;
+      }
+      const list = createList(createId('list'), name.trim());
+      setLists((prev) => [...prev, list]);
+      return list.id;
+    };
+
+    const renameWishlist = (listId, name) => {
+      const error = validateListName(name, listId);
+      if (error) {
+        showError(error);
+        return false;
+      }
+      setLists((prev) => prev.map((list) => (list.id === listId ? { ...list, name: name.trim() } : list)));
+      return true;
+    };
+
+    // The default list can't be deleted (new items need somewhere to go); a deleted list's items are dropped.
+    const deleteWishlist = (listId) => {
+      if (listId === DEFAULT_LIST_ID) return false;
+      setLists((prev) => prev.filter((list) => list.id !== listId));
+      return true;
+    };
+
+    const moveToList = (productId, fromListId, toListId) => {
+      const item = lists.find((list) => list.id === fromListId)?.items.find((p) => p.id === productId);
+      if (!item || fromListId === toListId) return;
+      updateList(fromListId, (items) => items.filter((p) => p.id !== productId));
+      updateList(toListId, (items) => (items.some((p) => p.id === productId) ? items : [item, ...items]));
+    };
+
+    // Target price for price alerts, on every list entry of the product; `null` clears it.
+    const setTargetPrice = (productId, price) => {
+      if (price !== null && !(typeof price === 'number' && price > 0)) {
+        showError('Please enter a target price above zero.');
+        return false;
+      }
+      if (!wishlistItems.some((p) => p.id === productId)) return false;
+      setLists((prev) =>
+        prev.map((list) =>
+          list.items.some((p) => p.id === productId)
+            ? {
+                ...list,
+                items: list.items.map((p) => {
+                  if (p.id !== productId) return p;
+                  const item = { ...p, targetPrice: price };
+                  if (price === null) delete item.targetPrice;
+                  return item;
+                }),
+              }
+            : list,
+        ),
+      );
+      return true;
+    };
+
+    // Wishlist → cart; the product leaves the list only if the cart accepted it (stock, fail mode).
+    const moveToCart = async (productId, listId = DEFAULT_LIST_ID) => {
+      const item = lists.find((list) => list.id === listId)?.items.find((p) => p.id === productId);
+      if (!item) return false;
+      const { savedQuantity = 1, ...product } = item;
+      delete product.targetPrice;
+      const added = await addToCart(product, savedQuantity);
+      if (added) updateList(listId, (items) => items.filter((p) => p.id !== productId));
+      return added;
+    };
+
+    // Cart → "Saved for later": parks the line (with its quantity) and takes it out of the cart.
+    const saveForLater = async (productId) => {
+      const line = getCartItem(productId);
+      if (!line) return false;
+      addToWishlist({ ...line, savedQuantity: line.quantity }, SAVED_FOR_LATER_LIST_ID);
+      let removed = false;
+      try {
+        removed = await removeFromCart(productId, { notify: false });
+      } finally {
+        // Reason: a line the cart kept must not show up in two places.
+        if (!removed) removeFromWishlist(productId, SAVED_FOR_LATER_LIST_ID);
+      }
+      if (removed) showSuccess(`${line.title} saved for later.`);
+      return removed;
+    };
+
+    const setShare = (listId, share) =>
+      setLists((prev) => prev.map((list) => (list.id === listId ? { ...list, share } : list)));
+
+    // Publish (or refresh) a read-only snapshot of a list; resolves to the link, or null if it failed.
+    const shareWishlist = async (listId) => {
+      const list = lists.find((l) => l.id === listId);
+      if (!list) return null;
+      if (!isAuthenticated) {
+        showError('Please sign in to share a wishlist.');
+        return null;
+      }
+      try {
+        let result;
+        if (list.share?.token) {
+          result = await wishlistSharesAPI.update(list.share.token, list.name, list.items).catch((error) => {
+            // Revoked elsewhere (e.g. another device): publish a new link instead
+            if (error.status === 404) return wishlistSharesAPI.publish(list.name, list.items);
+            throw error;
+          });
+        } else {
+          result = await wishlistSharesAPI.publish(list.name, list.items);
+        }
+        const { token, updatedAt } = result.share;
+        const share = { token, url: sharedWishlistUrl(token), updatedAt };
+        setShare(listId, share);
+        return share.url;
+      } catch (error) {
+        showError(error.message || 'Could not share this list. Please try again.');
+        return null;
+      }
+    };
+
+    const revokeWishlistShare = async (listId) => {
+      const token = lists.find((l) => l.id === listId)?.share?.token;
+      if (!token) return true;
+      try {
+        await wishlistSharesAPI.revoke(token);
+      } catch (error) {
+        // Already gone on the server: nothing left to revoke
+        if (error.status !== 404) {
+          showError(error.message || 'Could not revoke the link. Please try again.');
+          return false;
+        }
+      }
+      setShare(listId, undefined);
+      showSuccess('The share link no longer works.');
+      return true;
+    };
 
     return {
       loading,
+      lists,
       wishlistItems,
       wishlistCount: wishlistItems.length,
       isInWishlist,
       addToWishlist,
       removeFromWishlist,
       clearWishlist,
+      createWishlist,
+      renameWishlist,
+      deleteWishlist,
+      moveToList,
+      moveToCart,
+      saveForLater,
+      setTargetPrice,
+      shareWishlist,
+      revokeWishlistShare,
     };
-  }, [wishlistItems, loading]);
+  }, [lists, wishlistItems, loading, isAuthenticated, addToCart, removeFromCart, getCartItem, showError, showSuccess]);
 
   return <WishlistContext.Provider value={api}>{children}</WishlistContext.Provider>;
 }
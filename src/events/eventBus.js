@@ -0,0 +1,132 @@
+/**
+ * Shell-owned pub/sub event bus for shell ↔ remote and remote ↔ remote messages.
+ *
+ * Reason:
+ * - Remotes could only talk to the shell through callback props, so catalog couldn't ask the Navbar to search
+ *   and checkout couldn't tell account that an order was placed.
+ *
+ * Behaviour:
+ * - Event types are namespaced `<namespace>:<event>` (e.g. `cart:changed`); subscribers may use `<namespace>:*`.
+ * - The last payload per type is retained and replayed to new subscribers (opt out with `{ replay: false }`),
+ *   so a remote that mounts late still sees the current cart/auth state.
+ * - Every publish is appended to a bounded debug log (shown on `/debug/events`).
+ *
+ * Remotes reach it through `shellApi.v1.events`.
+ */
+
+/**
+ * Known events and their payloads. Unknown (but well-formed) types are allowed for remote-to-remote messages,
+ * they just aren't documented here.
+ *
+ * @typedef {{ items: Array<Object>, itemCount: number, subtotal: number, discountTotal: number,
+ *   total: number }} CartChangedPayload
+ * @typedef {{ items: Array<Object>, count: number }} WishlistChangedPayload
+ * @typedef {{ user: Object|null, isAuthenticated: boolean }} AuthChangedPayload
+ * @typedef {{ query: string }} SearchRequestedPayload
+ * @typedef {{ orderId: string, total?: number, items?: Array<Object> }} OrderPlacedPayload
+ * @typedef {{ currency: string, locale: string }} CurrencyChangedPayload
+ * @typedef {{ id: string, type: 'price_drop'|'target_price'|'back_in_stock', productId: number|string,
+ *   title: string, price: number, previousPrice?: number, targetPrice?: number }} WishlistAlertPayload
+ */
+export const SHELL_EVENTS = {
+  CART_CHANGED: 'cart:changed',
+  WISHLIST_CHANGED: 'wishlist:changed',
+  AUTH_CHANGED: 'auth:changed',
+  SEARCH_REQUESTED: 'search:requested',
+  ORDER_PLACED: 'order:placed',
+  CURRENCY_CHANGED: 'currency:changed',
+  WISHLIST_ALERT: 'wishlist:alert',
+};
+
+const EVENT_TYPE_PATTERN = /^[a-z][a-zA-Z0-9-]*(:[a-zA-Z0-9-]+)+$/;
+const MAX_LOG_ENTRIES = 200;
+
+const handlers = new Map(); // type or `ns:*` -> Set<handler>
+const lastEvents = new Map(); // type -> event
+// Reason: replaced (not mutated) on every change so `useSyncExternalStore` sees a new snapshot.
+let log = [];
+const logListeners = new Set();
+let nextId = 1;
+
+function assertEventType(type) {
+  if (typeof type !== 'string' || !EVENT_TYPE_PATTERN.test(type)) {
+    throw new Error(`[shell][events] Invalid event type "${type}". Use "<namespace>:<event>", e.g. "cart:changed".`);
+  }
+}
+
+function namespaceOf(type) {
+  return type.split(':')[0];
+}
+
+function matches(pattern, type) {
+  return pattern === type || (pattern.endsWith(':*') && namespaceOf(type) === pattern.slice(0, -2));
+}
+
+function deliver(handler, event) {
+  try {
+    handler(event.payload, event);
+  } catch (error) {
+    // Reason: one broken subscriber (often a remote) must not stop delivery to the others.
+    console.error(`[shell][events] Subscriber for "${event.type}" threw`, error);
+  }
+}
+
+/**
+ * @param {string} type      e.g. `search:requested`
+ * @param {any} payload
+ * @param {{ source?: string }} [options]  who published (`shell`, `catalog`, ...), for the debug log.
+ */
+export function publish(type, payload, { source = 'shell' } = {}) {
+  assertEventType(type);
+  const event = { id: nextId++, type, payload, source, at: new Date().toISOString() };
+
+  lastEvents.set(type, event);
+  log = [...log.slice(-(MAX_LOG_ENTRIES - 1)), event];
+  logListeners.forEach((listener) => listener());
+
+  handlers.forEach((set, pattern) => {
+    if (matches(pattern, type)) [...set].forEach((handler) => deliver(handler, event));
+  });
+
+  return event;
+}
+
+/**
+ * @param {string} pattern  exact type or `<namespace>:*`
+ * @param {(payload: any, event: Object) => void} handler
+ * @param {{ replay?: boolean }} [options]  replay the last matching event(s) immediately (default: true).
+ * @returns {() => void} unsubscribe
+ */
+export function subscribe(pattern, handler, { replay = true } = {}) {
+  assertEventType(pattern.endsWith(':*') ? `${pattern.slice(0, -2)}:any` : pattern);
+  if (!handlers.has(pattern)) handlers.set(pattern, new Set());
+  handlers.get(pattern).add(handler);
+
+  if (replay) {
+    lastEvents.forEach((event, type) => {
+      if (matches(pattern, type)) deliver(handler, event);
+    });
+  }
+
+  return () => {
+    handlers.get(pattern)?.delete(handler);
+  };
+}
+
+export function getLastEvent(type) {
+  return lastEvents.get(type) ?? null;
+}
+
+export function getEventLog() {
+  return log;
+}
+
+export function clearEventLog() {
+  log = [];
+  logListeners.forEach((listener) => listener());
+}
+
+export function subscribeToEventLog(listener) {
+  logListeners.add(listener);
+  return () => logListeners.delete(listener);
+}
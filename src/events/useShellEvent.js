@@ -0,0 +1,21 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+
+import { getEventLog, subscribe, subscribeToEventLog } from './eventBus.js';
+
+/**
+ * Subscribe a component to a shell event for its lifetime.
+ * The handler may change between renders without resubscribing (and without re-triggering replay).
+ */
+export function useShellEvent(pattern, handler, { replay = true } = {}) {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => subscribe(pattern, (payload, event) => handlerRef.current(payload, event), { replay }), [pattern, replay]);
+}
+
+export function useEventLog() {
+  return useSyncExternalStore(subscribeToEventLog, getEventLog);
+}
@@ -0,0 +1,96 @@
+import React from 'react';
+
+import { setRemoteLoadStatus } from './remoteLoadStatus.js';
+import { registerExposedModule } from './remoteRegistry.js';
+import { checkRemoteShared } from './sharedReport.js';
+import { checkRemoteContract } from '../shellApi/contract.js';
+
+/**
+ * `React.lazy` for remote modules, with retry + exponential backoff.
+ *
+ * Reason:
+ * - A flaky CDN response for `remoteEntry.js` (or one of the remote's chunks) used to reject the lazy import
+ *   permanently, so users had to hard-refresh.
+ * - Each attempt calls the importer again; webpack retries the remote because the registry's container proxy
+ *   and `output.strictModuleExceptionHandling` keep failures out of its caches.
+ * - `React.lazy` caches a rejected promise forever, so after the final failure we swap in a fresh lazy component.
+ *   The next render (e.g. the error boundary's "Try again") starts a new round of attempts.
+ *
+ * Usage (the importer must stay a literal `import()` so webpack can resolve it):
+ *   const Products = lazyRemote('catalog', 'Products', () => import('catalog/Products'));
+ */
+
+const DEFAULT_OPTIONS = {
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+};
+
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  // Reason: jitter keeps every open tab from hitting a recovering CDN at the same instant.
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Call `importer` until it resolves or the retry budget runs out; reports progress per remote module.
+ */
+export async function importWithRetry(importer, { remote, module, ...overrides } = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const maxAttempts = options.retries + 1;
+
+  for (let attempt = 1; ; attempt += 1) {
+    if (attempt === 1) setRemoteLoadStatus(remote, module, { state: 'loading', attempt, maxAttempts });
+
+    try {
+      const loaded = await importer();
+      // Reason: the share scope is initialized by now; warn about (or, in strict mode, block) version mismatches.
+      checkRemoteShared(remote);
+      // Reason: refuse to render a remote built against a shell API version we don't provide.
+      checkRemoteContract(remote, module, loaded);
+      setRemoteLoadStatus(remote, module, { state: 'loaded', attempt, maxAttempts });
+      return loaded;
+    } catch (error) {
+      const message = String(error?.message ?? error);
+
+      if (attempt >= maxAttempts || error?.retryable === false) {
+        setRemoteLoadStatus(remote, module, { state: 'failed', attempt, maxAttempts, error: message });
+        throw error;
+      }
+
+      const delayMs = backoffDelay(attempt, options);
+      console.warn(`[shell][lazyRemote] ${remote}/${module} load failed (attempt ${attempt}/${maxAttempts}); retrying in ${delayMs}ms`, error);
+      setRemoteLoadStatus(remote, module, { state: 'retrying', attempt, maxAttempts, delayMs, error: message });
+      await wait(delayMs);
+    }
+  }
+}
+
+export function lazyRemote(remote, module, importer, options) {
+  let Current;
+
+  // Reason: lets diagnostics (`/debug/health`) probe every module the shell depends on.
+  registerExposedModule(remote, module);
+
+  const createLazy = () =>
+    React.lazy(() =>
+      importWithRetry(importer, { remote, module, ...options }).catch((error) => {
+        // Evict the rejected lazy so a later render retries instead of rethrowing the cached error.
+        Current = createLazy();
+        throw error;
+      }),
+    );
+
+  Current = createLazy();
+
+  function RemoteModule(props) {
+    return React.createElement(Current, props);
+  }
+  RemoteModule.displayName = `Remote(${remote}/${module})`;
+
+  return RemoteModule;
+}
@@ -0,0 +1,162 @@
+import {
+  getKnownExposedModules,
+  getRemoteEntry,
+  getRemoteNames,
+  getRemoteRegistrySnapshot,
+  initRemoteRegistry,
+  loadContainer,
+  probeRemoteModule,
+} from './remoteRegistry.js';
+import { TRACKED_SHARED_PACKAGES, isFromContainer, readShareScope } from './shareScope.js';
+import { buildSharedReport, getRemoteSharedViolations } from './sharedReport.js';
+import { getRemoteContracts } from '../shellApi/contract.js';
+import { getRouteRegistrySnapshot } from '../routing/routeRegistry.js';
+
+/**
+ * Remote health probes for the `/debug/health` page.
+ *
+ * For each remote in the federation config (build-time names + manifest):
+ * - `remoteEntry.js` reachability and latency (a `no-cors` fetch, so cross-origin CDNs work without CORS headers).
+ * - Container load time and whether it registered a container.
+ * - Each known exposed module (`container.get`, not executed).
+ * - Shared-dependency versions the remote provided vs. the version actually in use, plus singleton violations.
+ * - The shell API contract version each loaded module declared.
+ */
+
+const PROBE_TIMEOUT_MS = 8000;
+
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+function elapsed(start) {
+  return Math.round(now() - start);
+}
+
+function errorMessage(error) {
+  return String(error?.message ?? error);
+}
+
+function withTimeout(promise, ms, label) {
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+async function probeEntry(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  const start = now();
+  try {
+    const response = await fetch(url, { mode: 'no-cors', cache: 'no-store', signal: controller.signal });
+    // Reason: opaque (cross-origin) responses hide the status; reaching here still proves the host answered.
+    const httpStatus = response.type === 'opaque' ? null : response.status;
+    const reachable = response.type === 'opaque' || response.ok;
+    return { reachable, httpStatus, latencyMs: elapsed(start), error: reachable ? null : `HTTP ${response.status}` };
+  } catch (error) {
+    const message = error?.name === 'AbortError' ? `Timed out after ${PROBE_TIMEOUT_MS}ms` : errorMessage(error);
+    return { reachable: false, httpStatus: null, latencyMs: elapsed(start), error: message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function describeShared(remoteName, shareScope) {
+  return Object.fromEntries(
+    TRACKED_SHARED_PACKAGES.map((pkg) => {
+      const versions = shareScope[pkg] ?? [];
+      const provided = versions.filter((v) => isFromContainer(v.from, remoteName)).map((v) => v.version);
+      const inUse = versions.find((v) => v.loaded) ?? null;
+      return [pkg, { provided, inUse: inUse?.version ?? null, inUseFrom: inUse?.from ?? null }];
+    }),
+  );
+}
+
+function summarizeStatus(result) {
+  if (!result.entry.reachable || !result.container.loaded) return 'down';
+  if (result.modules.some((m) => !m.ok) || result.sharedViolations.length) return 'degraded';
+  if (result.contracts.some((c) => !c.resolved)) return 'degraded';
+  return 'ok';
+}
+
+export async function probeRemote(name) {
+  await initRemoteRegistry();
+  const entry = getRemoteEntry(name);
+  const url = entry?.url ?? null;
+
+  const result = {
+    name,
+    url,
+    source: entry?.source ?? null,
+    checkedAt: new Date().toISOString(),
+    entry: { reachable: false, httpStatus: null, latencyMs: null, error: url ? null : 'No URL configured' },
+    container: { loaded: false, loadMs: null, error: null },
+    modules: [],
+    shared: {},
+    sharedViolations: [],
+    contracts: [],
+    status: 'down',
+  };
+
+  if (!url) return result;
+
+  result.entry = await probeEntry(url);
+
+  const containerStart = now();
+  try {
+    await withTimeout(loadContainer(name), PROBE_TIMEOUT_MS, 'Container load');
+    result.container = { loaded: true, loadMs: elapsed(containerStart), error: null };
+  } catch (error) {
+    result.container = { loaded: false, loadMs: elapsed(containerStart), error: errorMessage(error) };
+  }
+
+  if (result.container.loaded) {
+    result.modules = await Promise.all(
+      getKnownExposedModules(name).map(async (module) => {
+        const start = now();
+        try {
+          await withTimeout(probeRemoteModule(name, module), PROBE_TIMEOUT_MS, `Module ${module}`);
+          return { module, ok: true, ms: elapsed(start), error: null };
+        } catch (error) {
+          return { module, ok: false, ms: elapsed(start), error: errorMessage(error) };
+        }
+      }),
+    );
+  }
+
+  result.shared = describeShared(name, readShareScope());
+  result.sharedViolations = getRemoteSharedViolations(name);
+  result.contracts = getRemoteContracts(name);
+  result.status = summarizeStatus(result);
+  return result;
+}
+
+/**
+ * Probe every remote in parallel; `onResult` fires as each one finishes so the UI can update live.
+ */
+export async function probeAllRemotes({ onResult } = {}) {
+  await initRemoteRegistry();
+  return Promise.all(
+    getRemoteNames().map(async (name) => {
+      const result = await probeRemote(name);
+      onResult?.(result);
+      return result;
+    }),
+  );
+}
+
+export function buildHealthReport(results) {
+  const registry = getRemoteRegistrySnapshot();
+  return {
+    generatedAt: new Date().toISOString(),
+    page: typeof window !== 'undefined' ? window.location.href : null,
+    userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+    env: registry.env,
+    manifest: { url: registry.manifestUrl, status: registry.manifestStatus, error: registry.manifestError },
+    shared: buildSharedReport(),
+    routes: getRouteRegistrySnapshot(),
+    remotes: results,
+  };
+}
@@ -0,0 +1,55 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Per-module load status (keyed `<remote>/<module>`), written by `lazyRemote` while it retries and read by
+ * loaders/diagnostics.
+ *
+ * Shape: `{ remote, module, state, attempt, maxAttempts, delayMs?, error?, updatedAt }`,
+ * with `state` one of 'loading' | 'retrying' | 'loaded' | 'failed'.
+ *
+ * Reason: a non-retryable failure of one module (e.g. the shell API contract check on `catalog/ProductDetail`) must not
+ * mark the rest of its container as failed.
+ */
+
+const statuses = new Map();
+// Reason: `useSyncExternalStore` needs a stable snapshot, so each remote's module list is rebuilt only when it changes.
+const statusesByRemote = new Map();
+const listeners = new Set();
+
+const NO_STATUSES = [];
+
+function statusKey(remote, module) {
+  return `${remote}/${module}`;
+}
+
+export function setRemoteLoadStatus(remote, module, status) {
+  statuses.set(statusKey(remote, module), { ...status, remote, module, updatedAt: Date.now() });
+  statusesByRemote.set(remote, [...statuses.values()].filter((entry) => entry.remote === remote));
+  listeners.forEach((listener) => listener());
+}
+
+export function getRemoteLoadStatus(remote, module) {
+  return statuses.get(statusKey(remote, module)) ?? null;
+}
+
+// Every module status reported for `remote`, in first-load order.
+export function getRemoteLoadStatuses(remote) {
+  return statusesByRemote.get(remote) ?? NO_STATUSES;
+}
+
+export function getAllRemoteLoadStatuses() {
+  return Object.fromEntries(statuses);
+}
+
+export function subscribeRemoteLoadStatus(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useRemoteLoadStatus(remote, module) {
+  return useSyncExternalStore(subscribeRemoteLoadStatus, () => getRemoteLoadStatus(remote, module));
+}
+
+export function useRemoteLoadStatuses(remote) {
+  return useSyncExternalStore(subscribeRemoteLoadStatus, () => getRemoteLoadStatuses(remote));
+}
@@ -0,0 +1,296 @@
+/* global __SHOPHUB_DEFAULT_REMOTES__, __SHOPHUB_REMOTE_MANIFEST_URL__, __SHOPHUB_ENV__, __webpack_init_sharing__, __webpack_share_scopes__ */
+
+import { readJson } from '../utils/versionedStorage.js';
+
+/**
+ * Runtime remote registry.
+ *
+ * Purpose:
+ * - Resolve each remote's `remoteEntry.js` URL at startup from a JSON manifest instead of baking it into the build.
+ * - Lets a remote be repointed (e.g. promoted to staging) by editing the manifest, without rebuilding the shell.
+ *
+ * How it fits with webpack:
+ * - `webpack.config.cjs` still declares every remote *name* so `import('catalog/Products')` keeps working,
+ *   but each remote is a `promise` external that calls `window.__SHOPHUB_FEDERATION__.getContainerProxy(name)`.
+ * - The proxy defers to `loadContainer` on every `init`/`get`, so a failed `remoteEntry.js` load is retried on
+ *   the next import instead of webpack caching the rejected external forever (see `federation/lazyRemote.js`).
+ * - `main.jsx` awaits `initRemoteRegistry()` (only the manifest fetch) before importing `bootstrap.jsx`, so URLs are
+ *   known before first render.
+ *
+ * Resolution order (later wins):
+ * 1. Build-time defaults (`SHOPHUB_*_REMOTE_URL` / `SHOPHUB_REMOTES`), injected by DefinePlugin.
+ * 2. Manifest `remotes`.
+ * 3. Manifest `environments[<env>]`.
+ * 4. Local overrides in localStorage (`shophub:remote-overrides`), for dev/QA only.
+ *
+ * Environment:
+ * - Defaults to the build's `SHOPHUB_ENV` (`production` / `development`).
+ * - `?remotesEnv=staging` switches environment and persists it; `?remotesEnv=` clears it.
+ */
+
+const MANIFEST_URL = __SHOPHUB_REMOTE_MANIFEST_URL__;
+const BUILD_ENV = __SHOPHUB_ENV__;
+const ENV_STORAGE_KEY = 'shophub:remotes-env';
+const OVERRIDES_STORAGE_KEY = 'shophub:remote-overrides';
+const MANIFEST_TIMEOUT_MS = 5000;
+
+const state = {
+  env: BUILD_ENV,
+  manifestUrl: MANIFEST_URL,
+  manifestStatus: 'idle', // 'idle' | 'loaded' | 'failed'
+  manifestError: null,
+  manifest: null,
+  // remoteName -> { name, url, source, ...extra manifest fields }
+  remotes: {},
+};
+
+let initPromise = null;
+const containerPromises = new Map();
+const containerProxies = new Map();
+const initializedContainers = new WeakSet();
+// remoteName -> Set of exposed module names the shell imports (registered by `lazyRemote`).
+const exposedModules = new Map();
+
+function resolveUrl(url, base) {
+  try {
+    return new URL(url, base).toString();
+  } catch {
+    return url;
+  }
+}
+
+// Reason: manifest entries may be a bare URL string or an object carrying extra metadata.
+function normalizeEntry(value, base) {
+  if (typeof value === 'string') return { url: resolveUrl(value, base) };
+  if (value && typeof value === 'object' && typeof value.url === 'string') {
+    return { ...value, url: resolveUrl(value.url, base) };
+  }
+  return null;
+}
+
+function mergeRemotes(target, source, sourceName, base) {
+  if (!source || typeof source !== 'object') return;
+  for (const [name, value] of Object.entries(source)) {
+    const entry = normalizeEntry(value, base);
+    if (!entry) continue;
+    target[name] = { ...target[name], ...entry, name, source: sourceName };
+  }
+}
+
+function resolveEnv() {
+  try {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('remotesEnv')) {
+      const requested = params.get('remotesEnv');
+      if (requested) localStorage.setItem(ENV_STORAGE_KEY, requested);
+      else localStorage.removeItem(ENV_STORAGE_KEY);
+    }
+    return localStorage.getItem(ENV_STORAGE_KEY) || BUILD_ENV;
+  } catch {
+    // Ignore storage / privacy mode errors; fall back to the build environment.
+    return BUILD_ENV;
+  }
+}
+
+async function fetchManifest(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), MANIFEST_TIMEOUT_MS);
+  try {
+    // Reason: the manifest is the whole point of runtime repointing; never serve a stale copy.
+    const response = await fetch(url, { cache: 'no-store', signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function loadScript(url) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = url;
+    script.async = true;
+    script.dataset.shophubRemote = 'true';
+    script.onload = () => resolve();
+    script.onerror = () => {
+      // Reason: remove the failed tag so a later retry injects a fresh one.
+      script.remove();
+      reject(new Error(`Loading script failed: ${url}`));
+    };
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Fetch the manifest and resolve the remote table. Safe to call multiple times.
+ * Never rejects: if the manifest is unreachable the build-time defaults are used.
+ */
+export function initRemoteRegistry() {
+  if (initPromise) return initPromise;
+
+  initPromise = (async () => {
+    const remotes = {};
+    const pageUrl = window.location.href;
+    mergeRemotes(remotes, __SHOPHUB_DEFAULT_REMOTES__, 'build', pageUrl);
+
+    state.env = resolveEnv();
+
+    try {
+      const manifestUrl = resolveUrl(MANIFEST_URL, pageUrl);
+      const manifest = await fetchManifest(manifestUrl);
+      mergeRemotes(remotes, manifest?.remotes, 'manifest', manifestUrl);
+      mergeRemotes(remotes, manifest?.environments?.[state.env], `manifest:${state.env}`, manifestUrl);
+      state.manifest = manifest;
+      state.manifestStatus = 'loaded';
+    } catch (error) {
+      state.manifestStatus = 'failed';
+      state.manifestError = String(error?.message ?? error);
+      console.warn('[shophub-shell] Remote manifest unavailable; using build-time remote URLs.', error);
+    }
+
+    mergeRemotes(remotes, readJson(OVERRIDES_STORAGE_KEY), 'override', pageUrl);
+
+    state.remotes = remotes;
+    return getRemoteRegistrySnapshot();
+  })();
+
+  return initPromise;
+}
+
+/**
+ * Load (once) the `remoteEntry.js` for a remote and return its container.
+ * Used by the webpack `promise` externals and by `loadRemoteModule`.
+ */
+export function loadContainer(name) {
+  if (containerPromises.has(name)) return containerPromises.get(name);
+
+  const promise = initRemoteRegistry().then(async () => {
+    const entry = state.remotes[name];
+    if (!entry?.url) {
+      throw new Error(`[shophub-shell] Unknown remote "${name}": not present in the remote manifest.`);
+    }
+    if (!window[name]) {
+      await loadScript(entry.url);
+    }
+    const container = window[name];
+    if (!container || typeof container.get !== 'function') {
+      throw new Error(`[shophub-shell] Remote "${name}" loaded from ${entry.url} but did not register a container.`);
+    }
+    return container;
+  });
+
+  // Reason: don't cache failures; the next import attempt should try the network again.
+  promise.catch(() => containerPromises.delete(name));
+  containerPromises.set(name, promise);
+  return promise;
+}
+
+async function initContainerOnce(container, shareScope) {
+  if (initializedContainers.has(container)) return;
+  try {
+    await container.init(shareScope);
+  } catch {
+    // Reason: the container may already be initialized with this share scope (static import vs loadRemoteModule).
+  }
+  initializedContainers.add(container);
+}
+
+/**
+ * Stand-in container handed to webpack for a build-time remote name.
+ *
+ * Reason: webpack evaluates a `promise` external once and caches its result, so it must never reject.
+ * The proxy always resolves and only touches the network inside `init`/`get`, where failures are retryable.
+ */
+export function getContainerProxy(name) {
+  if (!containerProxies.has(name)) {
+    let shareScope = null;
+
+    const ready = async () => {
+      const container = await loadContainer(name);
+      if (shareScope) await initContainerOnce(container, shareScope);
+      return container;
+    };
+
+    containerProxies.set(name, {
+      init: (scope) => {
+        shareScope = scope;
+        return ready();
+      },
+      get: async (exposedModule) => (await ready()).get(exposedModule),
+    });
+  }
+  return Promise.resolve(containerProxies.get(name));
+}
+
+async function getInitializedContainer(name) {
+  const container = await loadContainer(name);
+  await __webpack_init_sharing__('default');
+  await initContainerOnce(container, __webpack_share_scopes__.default);
+  return container;
+}
+
+function toExposedRequest(exposedModule) {
+  return exposedModule.startsWith('./') ? exposedModule : `./${exposedModule}`;
+}
+
+/**
+ * Load an exposed module from a remote that may not be declared in `webpack.config.cjs`
+ * (e.g. a remote that only exists in the manifest).
+ */
+export async function loadRemoteModule(name, exposedModule) {
+  const container = await getInitializedContainer(name);
+  const factory = await container.get(toExposedRequest(exposedModule));
+  return factory();
+}
+
+/**
+ * Check that a remote exposes a module (downloads its chunks) without executing it.
+ * Used by the `/debug/health` page.
+ */
+export async function probeRemoteModule(name, exposedModule) {
+  const container = await getInitializedContainer(name);
+  await container.get(toExposedRequest(exposedModule));
+  return true;
+}
+
+export function registerExposedModule(name, exposedModule) {
+  if (!exposedModules.has(name)) exposedModules.set(name, new Set());
+  exposedModules.get(name).add(exposedModule);
+}
+
+/**
+ * Modules known for a remote: those the shell imports plus any listed under `exposes` in the manifest.
+ */
+export function getKnownExposedModules(name) {
+  const fromManifest = Array.isArray(state.remotes[name]?.exposes) ? state.remotes[name].exposes : [];
+  return [...new Set([...(exposedModules.get(name) ?? []), ...fromManifest])];
+}
+
+export function getRemoteNames() {
+  return Object.keys(state.remotes);
+}
+
+export function getManifest() {
+  return state.manifest;
+}
+
+export function getRemoteEntry(name) {
+  return state.remotes[name] ?? null;
+}
+
+export function getRemoteRegistrySnapshot() {
+  return {
+    env: state.env,
+    manifestUrl: state.manifestUrl,
+    manifestStatus: state.manifestStatus,
+    manifestError: state.manifestError,
+    remotes: Object.values(state.remotes).map((r) => ({ ...r })),
+  };
+}
+
+// Reason: webpack `promise` externals are plain expressions evaluated at import time; expose the loader globally.
+if (typeof window !== 'undefined') {
+  window.__SHOPHUB_FEDERATION__ = { loadContainer, getContainerProxy, loadRemoteModule, getRemoteRegistrySnapshot };
+}
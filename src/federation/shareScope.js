@@ -0,0 +1,37 @@
+/* global __webpack_share_scopes__, __SHOPHUB_SHARED_CONFIG__ */
+
+/**
+ * Read-only view of webpack's Module Federation share scope.
+ *
+ * Shape of the raw scope: `{ [pkg]: { [version]: { get, from, eager, loaded } } }`
+ * - `from`: `uniqueName` of the container that provided that version.
+ * - `loaded`: set once a consumer actually used that version (for singletons, the winner).
+ */
+
+// The shell's `shared` block from `webpack.config.cjs` (injected by DefinePlugin).
+export const SHARED_CONFIG = __SHOPHUB_SHARED_CONFIG__;
+
+export const TRACKED_SHARED_PACKAGES = Object.keys(SHARED_CONFIG);
+
+export function readShareScope(scopeName = 'default') {
+  const scope = typeof __webpack_share_scopes__ !== 'undefined' ? __webpack_share_scopes__[scopeName] : undefined;
+  if (!scope) return {};
+
+  return Object.fromEntries(
+    Object.entries(scope).map(([pkg, versions]) => [
+      pkg,
+      Object.entries(versions ?? {}).map(([version, info]) => ({
+        version,
+        from: info?.from ?? null,
+        eager: Boolean(info?.eager),
+        loaded: Boolean(info?.loaded),
+      })),
+    ]),
+  );
+}
+
+// Reason: remotes usually use `shophub-<name>` or `<name>` as their webpack `uniqueName`.
+export function isFromContainer(from, remoteName) {
+  if (!from) return false;
+  return from === remoteName || from === `shophub-${remoteName}` || from.endsWith(`-${remoteName}`);
+}
@@ -0,0 +1,161 @@
+/* global __SHOPHUB_STRICT_SHARED__ */
+
+import { getManifest, getRemoteEntry } from './remoteRegistry.js';
+import { SHARED_CONFIG, isFromContainer, readShareScope } from './shareScope.js';
+import { compareVersions, satisfies } from '../utils/semver.js';
+
+/**
+ * Shared-dependency negotiation report.
+ *
+ * Reason:
+ * - webpack only prints "Unsatisfied version" warnings to the console when a remote ships an incompatible
+ *   singleton and silently falls back; nothing structured tells us which remote did it.
+ * - This inspects the share scope after init and reports, per shared package: the shell's required range,
+ *   every version provided (and by which container), and which one won.
+ *
+ * Strict mode (`SHOPHUB_STRICT_SHARED=true` at build time, or `"strictShared": true` in the remote manifest):
+ * - `lazyRemote` refuses to render a remote that violates a singleton's required version; the route shows
+ *   the "remote unavailable" fallback instead.
+ *
+ * Remotes can declare their own needs in the manifest: `"catalog": { "url": "...", "requiredShared": { "react": "^19.0.0" } }`.
+ */
+
+export class SharedVersionMismatchError extends Error {
+  constructor(remote, violations) {
+    super(
+      `Remote "${remote}" violates shared singleton requirements: ${violations
+        .map((v) => `${v.pkg}@${v.version ?? 'none'} (requires ${v.requiredVersion}, required by ${v.requiredBy})`)
+        .join('; ')}`,
+    );
+    this.name = 'SharedVersionMismatchError';
+    this.remote = remote;
+    this.violations = violations;
+    // Reason: negotiated versions won't change on retry; `importWithRetry` fails fast on this.
+    this.retryable = false;
+  }
+}
+
+const warnedRemotes = new Set();
+let reportLogged = false;
+
+export function isStrictSharedMode() {
+  const fromManifest = getManifest()?.strictShared;
+  return typeof fromManifest === 'boolean' ? fromManifest : __SHOPHUB_STRICT_SHARED__;
+}
+
+function describePackage(pkg, config, versions) {
+  const annotated = versions
+    .map((v) => ({ ...v, satisfiesRequired: satisfies(v.version, config.requiredVersion) }))
+    .sort((a, b) => compareVersions(b.version, a.version));
+  const winner = annotated.find((v) => v.loaded) ?? null;
+
+  let status = 'ok';
+  if (!annotated.length) status = 'not-registered';
+  else if (!winner) status = 'not-loaded';
+  else if (!winner.satisfiesRequired) status = 'mismatch';
+  else if (annotated.some((v) => !v.satisfiesRequired)) status = 'incompatible-provider';
+
+  return {
+    pkg,
+    singleton: Boolean(config.singleton),
+    requiredVersion: config.requiredVersion ?? null,
+    winner: winner ? { version: winner.version, from: winner.from } : null,
+    versions: annotated,
+    status,
+  };
+}
+
+export function buildSharedReport() {
+  const scope = readShareScope();
+  return {
+    generatedAt: new Date().toISOString(),
+    strict: isStrictSharedMode(),
+    packages: Object.entries(SHARED_CONFIG).map(([pkg, config]) => describePackage(pkg, config, scope[pkg] ?? [])),
+  };
+}
+
+/**
+ * Singleton violations attributable to one remote:
+ * - it provided a version outside the shell's required range, or
+ * - the version in use doesn't satisfy the remote's own `requiredShared` (from the manifest).
+ */
+export function getRemoteSharedViolations(remote) {
+  const scope = readShareScope();
+  const requiredByRemote = getRemoteEntry(remote)?.requiredShared ?? {};
+  const violations = [];
+
+  for (const [pkg, config] of Object.entries(SHARED_CONFIG)) {
+    if (!config.singleton) continue;
+    const versions = scope[pkg] ?? [];
+    const inUse = versions.find((v) => v.loaded) ?? null;
+
+    versions
+      .filter((v) => isFromContainer(v.from, remote) && !satisfies(v.version, config.requiredVersion))
+      .forEach((v) => {
+        violations.push({
+          pkg,
+          version: v.version,
+          requiredVersion: config.requiredVersion,
+          requiredBy: 'shell',
+          inUse: inUse?.version ?? null,
+        });
+      });
+
+    const remoteRange = requiredByRemote[pkg];
+    if (remoteRange && inUse && !satisfies(inUse.version, remoteRange)) {
+      violations.push({
+        pkg,
+        version: inUse.version,
+        requiredVersion: remoteRange,
+        requiredBy: remote,
+        inUse: inUse.version,
+      });
+    }
+  }
+
+  return violations;
+}
+
+export function logSharedReport(report = buildSharedReport()) {
+  console.groupCollapsed(`[shell][shared] Share scope negotiation (strict: ${report.strict})`);
+  console.table(
+    report.packages.map((p) => ({
+      package: p.pkg,
+      required: p.requiredVersion,
+      inUse: p.winner?.version ?? '—',
+      wonBy: p.winner?.from ?? '—',
+      provided: p.versions.map((v) => `${v.version}@${v.from}`).join(', '),
+      status: p.status,
+    })),
+  );
+  console.groupEnd();
+}
+
+/**
+ * Called by `lazyRemote` once a remote module has loaded.
+ * Warns once per remote about violations; in strict mode throws `SharedVersionMismatchError`.
+ */
+export function checkRemoteShared(remote) {
+  if (!reportLogged) {
+    reportLogged = true;
+    logSharedReport();
+  }
+
+  const violations = getRemoteSharedViolations(remote);
+  if (!violations.length) return;
+
+  const strict = isStrictSharedMode();
+  if (!warnedRemotes.has(remote)) {
+    warnedRemotes.add(remote);
+    console.warn(`[shell][shared] ${remote} violates shared singleton requirements (strict: ${strict})`, violations);
+    if (window.zipy) {
+      try {
+        window.zipy.logMessage?.('Shared singleton version mismatch', { remote, strict, violations });
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  if (strict) throw new SharedVersionMismatchError(remote, violations);
+}
@@ -1,4 +1,13 @@
+import { initRemoteRegistry } from './federation/remoteRegistry.js';
+import { initRouteRegistry } from './routing/routeRegistry.js';
+
+// Resolve remote URLs from the runtime manifest before anything imports a remote.
+// Reason: `initRemoteRegistry` never rejects (falls back to build-time URLs), so bootstrap always runs.
+// Routes contributed by remotes load in the background: the shell table renders right away and `App.jsx` picks up
+// the merged table through `subscribeRoutes` (`initRouteRegistry` never rejects either; it falls back per remote).
 // Keep bootstrap in a separate module.
 // Reason: recommended pattern with Module Federation to avoid initialization order issues.
-import('./bootstrap.jsx');
-
+initRemoteRegistry().then(() => {
+  initRouteRegistry();
+  return import('./bootstrap.jsx');
+});
@@ -0,0 +1,57 @@
+/**
+ * Shell navigation entries (the Navbar renders desktop and mobile menus from these).
+ *
+ * Item shape:
+ * - `id`       unique key.
+ * - `section`  one of `NAV_SECTIONS`; `group` groups items inside a section (rendered as "Group → Label").
+ * - `to`       path to navigate to, or `action`: a Navbar action id (failure drills, logout).
+ * - `icon`     optional icon id (see `NAV_ICONS` in `Navbar.jsx`).
+ *
+ * Gating (all optional, all must pass):
+ * - `auth`   'authenticated' | 'anonymous'.
+ * - `roles`  visible if the user has any of these roles.
+ * - `require` permission(s) the user must have (same check as `<ProtectedRoute require>`).
+ * - `flag`   feature flag that must be on (`utils/featureFlags.js`).
+ *
+ * Remotes add entries through the `nav` field of their route manifest (see `src/routing/README.md`).
+ */
+
+import { PERMISSIONS } from '../utils/permissions.js';
+
+export const NAV_SECTIONS = {
+  PRIMARY: 'primary',
+  REMOTES: 'remotes',
+  DIAGNOSTICS: 'diagnostics',
+  USER: 'user',
+};
+
+export const SHELL_NAV_ITEMS = [
+  { id: 'shop', section: NAV_SECTIONS.PRIMARY, label: 'SHOP', to: '/products' },
+  { id: 'collections', section: NAV_SECTIONS.PRIMARY, label: 'COLLECTIONS', to: '/collections' },
+  { id: 'about', section: NAV_SECTIONS.PRIMARY, label: 'ABOUT', to: '/about' },
+
+  { id: 'auth-login', section: NAV_SECTIONS.REMOTES, group: 'Auth', label: 'Login', to: '/login' },
+  { id: 'auth-signup', section: NAV_SECTIONS.REMOTES, group: 'Auth', label: 'Sign up', to: '/signup' },
+  { id: 'catalog-products', section: NAV_SECTIONS.REMOTES, group: 'Catalog', label: 'Products', to: '/products' },
+  { id: 'catalog-collections', section: NAV_SECTIONS.REMOTES, group: 'Catalog', label: 'Collections', to: '/collections' },
+  { id: 'catalog-about', section: NAV_SECTIONS.REMOTES, group: 'Catalog', label: 'About', to: '/about' },
+  { id: 'checkout-cart', section: NAV_SECTIONS.REMOTES, group: 'Checkout', label: 'Cart', to: '/cart' },
+  { id: 'checkout-checkout', section: NAV_SECTIONS.REMOTES, group: 'Checkout', label: 'Checkout', to: '/checkout' },
+  { id: 'wishlist-wishlist', section: NAV_SECTIONS.REMOTES, group: 'Wishlist', label: 'Wishlist', to: '/wishlist' },
+  { id: 'account-profile', section: NAV_SECTIONS.REMOTES, group: 'Account', label: 'Profile', to: '/account' },
+  { id: 'account-addresses', section: NAV_SECTIONS.REMOTES, group: 'Account', label: 'Addresses', to: '/account/addresses' },
+
+  { id: 'debug-remotes', section: NAV_SECTIONS.DIAGNOSTICS, group: 'Shell', label: 'Remote Showcase', to: '/debug/remotes', flag: 'diagnostics', require: PERMISSIONS.DIAGNOSTICS },
+  { id: 'debug-health', section: NAV_SECTIONS.DIAGNOSTICS, group: 'Shell', label: 'Remote Health', to: '/debug/health', flag: 'diagnostics', require: PERMISSIONS.DIAGNOSTICS },
+  { id: 'debug-events', section: NAV_SECTIONS.DIAGNOSTICS, group: 'Shell', label: 'Event Log', to: '/debug/events', flag: 'diagnostics', require: PERMISSIONS.DIAGNOSTICS },
+  // Reason: labels read like normal actions on purpose; these reproduce real federation/network failures, so they are
+  // gated like the debug pages.
+  { id: 'drill-missing-export', section: NAV_SECTIONS.DIAGNOSTICS, label: 'Remote module import', action: 'mfMismatchedExport', flag: 'failureDrills', require: PERMISSIONS.DIAGNOSTICS },
+  { id: 'drill-share-scope', section: NAV_SECTIONS.DIAGNOSTICS, label: 'Remote init', action: 'mfShareScopeMismatch', flag: 'failureDrills', require: PERMISSIONS.DIAGNOSTICS },
+  { id: 'drill-chunk-load', section: NAV_SECTIONS.DIAGNOSTICS, label: 'Open offers', action: 'chunkLoadFailure', flag: 'failureDrills', require: PERMISSIONS.DIAGNOSTICS },
+  { id: 'drill-abort-race', section: NAV_SECTIONS.DIAGNOSTICS, label: 'Refresh prices', action: 'abortRace', flag: 'failureDrills', require: PERMISSIONS.DIAGNOSTICS },
+  { id: 'drill-network', section: NAV_SECTIONS.DIAGNOSTICS, label: 'Sync account', action: 'networkFailure', flag: 'failureDrills', require: PERMISSIONS.DIAGNOSTICS },
+
+  { id: 'user-account', section: NAV_SECTIONS.USER, label: 'My Account', to: '/account', icon: 'person', auth: 'authenticated' },
+  { id: 'user-logout', section: NAV_SECTIONS.USER, label: 'Sign Out', action: 'logout', icon: 'logout', auth: 'authenticated' },
+];
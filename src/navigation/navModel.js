@@ -0,0 +1,76 @@
+import { useMemo, useSyncExternalStore } from 'react';
+
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { getRoutes, subscribeRoutes } from '../routing/routeRegistry.js';
+import { isFeatureEnabled } from '../utils/featureFlags.js';
+import { hasPermission } from '../utils/permissions.js';
+import { NAV_SECTIONS, SHELL_NAV_ITEMS } from './navItems.js';
+
+/**
+ * Navigation model: shell entries + entries remotes declare in their route manifests, filtered for the
+ * current user. Desktop and mobile menus both render from `useNavModel()`.
+ */
+
+const SECTION_IDS = Object.values(NAV_SECTIONS);
+
+function titleCase(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+// Route manifest `nav: { label, section?, group?, roles?, flag? }` → nav item.
+function contributedNavItems(routes) {
+  return routes
+    .filter((route) => route.source !== 'shell' && route.nav)
+    // Reason: a path with params (`/orders/:id`) has no single target to link to.
+    .filter((route) => !route.path.includes(':'))
+    .map((route) => ({
+      id: `${route.remote}:${route.path}`,
+      section: SECTION_IDS.includes(route.nav.section) ? route.nav.section : NAV_SECTIONS.REMOTES,
+      group: route.nav.group ?? titleCase(route.remote),
+      label: route.nav.label,
+      to: route.path,
+      roles: Array.isArray(route.nav.roles) ? route.nav.roles : undefined,
+      require: route.require,
+      flag: typeof route.nav.flag === 'string' ? route.nav.flag : undefined,
+    }));
+}
+
+export function isNavItemVisible(item, { isAuthenticated, user, isEnabled = isFeatureEnabled }) {
+  if (item.auth === 'authenticated' && !isAuthenticated) return false;
+  if (item.auth === 'anonymous' && isAuthenticated) return false;
+  if (item.roles?.length && !item.roles.some((role) => user?.roles?.includes(role))) return false;
+  if (item.require && !hasPermission(user, item.require)) return false;
+  if (item.flag && !isEnabled(item.flag)) return false;
+  return true;
+}
+
+/**
+ * @returns {Record<string, Array<{ group: string|null, items: Array<Object> }>>} groups per section, in
+ *   first-seen order (so a remote's entries land next to the shell's entries for the same group).
+ */
+export function buildNavModel({ routes = getRoutes(), items = [...SHELL_NAV_ITEMS, ...contributedNavItems(routes)], ...context }) {
+  const model = Object.fromEntries(SECTION_IDS.map((section) => [section, []]));
+  const seen = new Set();
+
+  for (const item of items) {
+    if (seen.has(item.id) || !isNavItemVisible(item, context)) continue;
+    seen.add(item.id);
+
+    const groups = model[item.section] ?? model[NAV_SECTIONS.REMOTES];
+    const group = item.group ?? null;
+    let bucket = groups.find((g) => g.group === group);
+    if (!bucket) {
+      bucket = { group, items: [] };
+      groups.push(bucket);
+    }
+    bucket.items.push(item);
+  }
+
+  return model;
+}
+
+export function useNavModel() {
+  const { isAuthenticated, user } = useAuth();
+  const routes = useSyncExternalStore(subscribeRoutes, getRoutes);
+  return useMemo(() => buildNavModel({ routes, isAuthenticated, user }), [routes, isAuthenticated, user]);
+}
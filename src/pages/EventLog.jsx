@@ -0,0 +1,117 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Container,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { DeleteSweep as ClearIcon } from '@mui/icons-material';
+
+import { clearEventLog } from '../events/eventBus.js';
+import { useEventLog } from '../events/useShellEvent.js';
+
+/**
+ * EventLog
+ *
+ * Purpose:
+ * - Debug view of the shell event bus (`events/eventBus.js`): every publish, newest first, with its source.
+ * - Filter matches the event type or the source, so "catalog" or "cart:" narrows the list quickly.
+ */
+
+function formatPayload(payload) {
+  try {
+    return JSON.stringify(payload);
+  } catch {
+    return String(payload);
+  }
+}
+
+export default function EventLog() {
+  const log = useEventLog();
+  const [filter, setFilter] = useState('');
+
+  const rows = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    const filtered = needle
+      ? log.filter((e) => e.type.toLowerCase().includes(needle) || e.source.toLowerCase().includes(needle))
+      : log;
+    return [...filtered].reverse();
+  }, [log, filter]);
+
+  return (
+    <Box sx={{ minHeight: '100vh', background: '#fafafa', py: 4 }}>
+      <Container maxWidth="xl">
+        <Box sx={{ mb: 3, display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'flex-end', justifyContent: 'space-between' }}>
+          <Box>
+            <Typography variant="h4" sx={{ fontWeight: 950 }}>
+              Event Log
+            </Typography>
+            <Typography color="text.secondary">
+              {log.length} event{log.length === 1 ? '' : 's'} published on the shell event bus
+            </Typography>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+            <TextField
+              size="small"
+              label="Filter by type or source"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+            />
+            <Button variant="outlined" startIcon={<ClearIcon />} onClick={clearEventLog} disabled={!log.length}>
+              Clear
+            </Button>
+          </Box>
+        </Box>
+
+        <Paper elevation={0} sx={{ borderRadius: 3, border: '1px solid rgba(0,0,0,0.06)', overflowX: 'auto' }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Time</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell>Source</TableCell>
+                <TableCell>Payload</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map((event) => (
+                <TableRow key={event.id}>
+                  <TableCell sx={{ whiteSpace: 'nowrap', fontFamily: 'monospace' }}>
+                    {new Date(event.at).toLocaleTimeString()}
+                  </TableCell>
+                  <TableCell>
+                    <Chip size="small" variant="outlined" label={event.type} sx={{ fontFamily: 'monospace' }} />
+                  </TableCell>
+                  <TableCell>{event.source}</TableCell>
+                  <TableCell
+                    sx={{ fontFamily: 'monospace', fontSize: 12, maxWidth: 640, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                    title={formatPayload(event.payload)}
+                  >
+                    {formatPayload(event.payload)}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {!rows.length && (
+                <TableRow>
+                  <TableCell colSpan={4}>
+                    <Typography variant="body2" color="text.secondary">
+                      {log.length ? 'No events match the filter.' : 'No events published yet.'}
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </Paper>
+      </Container>
+    </Box>
+  );
+}
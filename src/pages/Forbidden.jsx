@@ -0,0 +1,38 @@
+import React from 'react';
+import { Box, Button, Container, Paper, Typography } from '@mui/material';
+import { LockOutlined as LockOutlinedIcon } from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+
+/**
+ * Forbidden
+ *
+ * Purpose:
+ * - Shown by `ProtectedRoute` when a signed-in user lacks the permission a route requires (`require`).
+ * - Reason: redirecting to /login would loop (the user is already signed in), and a 404 would hide that the page
+ *   exists for other roles.
+ */
+export default function Forbidden() {
+  const navigate = useNavigate();
+
+  return (
+    <Container maxWidth="sm">
+      <Box sx={{ minHeight: '60vh', display: 'flex', flexDirection: 'column', justifyContent: 'center', py: 6 }}>
+        <Paper
+          elevation={0}
+          sx={{ p: { xs: 3, md: 5 }, borderRadius: 3, border: '1px solid rgba(0,0,0,0.08)', textAlign: 'center' }}
+        >
+          <LockOutlinedIcon sx={{ fontSize: 48, color: 'text.secondary', mb: 2 }} />
+          <Typography variant="h5" sx={{ fontWeight: 800, mb: 1 }}>
+            You don&apos;t have access to this page
+          </Typography>
+          <Typography color="text.secondary" sx={{ mb: 3 }}>
+            Your account doesn&apos;t have the permissions this page needs. If you think it should, contact support.
+          </Typography>
+          <Button variant="contained" onClick={() => navigate('/products')} sx={{ textTransform: 'none' }}>
+            Back to shop
+          </Button>
+        </Paper>
+      </Box>
+    </Container>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react';
+import { Box, Button, Container, Paper, Typography } from '@mui/material';
+import { SearchOff as SearchOffIcon } from '@mui/icons-material';
+import { useLocation, useNavigate } from 'react-router-dom';
+
+import FullPageLoader from '../components/FullPageLoader.jsx';
+import RemoteUnavailable from '../components/RemoteUnavailable.jsx';
+import {
+  findUnavailableRouteOwner,
+  getRoutes,
+  isRouteRegistryReady,
+  reloadRemoteRoutes,
+  subscribeRoutes,
+} from '../routing/routeRegistry.js';
+import { suggestRoutes } from '../routing/routeSuggestions.js';
+import { reportNotFound } from '../utils/routeTelemetry.js';
+
+/**
+ * NotFound
+ *
+ * Purpose:
+ * - Catch-all route: unknown URLs used to render an empty main area under the Navbar.
+ * - If the path likely belongs to a remote whose route manifest failed to load, show "remote unavailable"
+ *   (with a retry that reloads that remote's routes) instead of a misleading 404.
+ * - Every hit is reported (`page_not_found`) with campaign params, so broken links are visible.
+ * - Shows a loader while contributed routes are still loading: the path may be a remote page that isn't merged yet.
+ */
+export default function NotFound() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [retrying, setRetrying] = useState(false);
+  const reportedKeyRef = useRef(null);
+  const ready = useSyncExternalStore(subscribeRoutes, isRouteRegistryReady);
+  const routes = useSyncExternalStore(subscribeRoutes, getRoutes);
+
+  const owner = findUnavailableRouteOwner(location.pathname);
+  const ownerRemote = owner?.remote ?? null;
+  const suggestions = useMemo(() => suggestRoutes(location.pathname, routes), [location.pathname, routes]);
+
+  // Reason: report once per navigation (location.key), not on every re-render, and only once routes are known.
+  useEffect(() => {
+    if (!ready || reportedKeyRef.current === location.key) return;
+    reportedKeyRef.current = location.key;
+    reportNotFound({
+      pathname: location.pathname,
+      search: location.search,
+      reason: ownerRemote ? 'remote-routes-unavailable' : 'unknown-route',
+      remote: ownerRemote,
+    });
+  }, [location.key, location.pathname, location.search, ownerRemote, ready]);
+
+  if (!ready) return <FullPageLoader />;
+
+  if (owner) {
+    const retry = async () => {
+      if (retrying) return;
+      setRetrying(true);
+      try {
+        // On success the route table updates and the router renders the real page in place of this one.
+        await reloadRemoteRoutes(owner.remote);
+      } finally {
+        setRetrying(false);
+      }
+    };
+
+    return <RemoteUnavailable remote={owner.remote} module="routes" error={owner.error} onRetry={retry} />;
+  }
+
+  return (
+    <Container maxWidth="sm">
+      <Box sx={{ minHeight: '60vh', display: 'flex', flexDirection: 'column', justifyContent: 'center', py: 6 }}>
+        <Paper
+          elevation={0}
+          sx={{ p: { xs: 3, md: 5 }, borderRadius: 3, border: '1px solid rgba(0,0,0,0.08)', textAlign: 'center' }}
+        >
+          <SearchOffIcon sx={{ fontSize: 48, color: 'text.secondary', mb: 2 }} />
+          <Typography variant="h5" sx={{ fontWeight: 800, mb: 1 }}>
+            We couldn&apos;t find that page
+          </Typography>
+          <Typography color="text.secondary" sx={{ mb: 3, wordBreak: 'break-all' }}>
+            <Box component="span" sx={{ fontFamily: 'monospace' }}>
+              {location.pathname}
+            </Box>{' '}
+            doesn&apos;t exist or has moved.
+          </Typography>
+
+          {!!suggestions.length && (
+            <Box sx={{ mb: 3 }}>
+              <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1 }}>
+                Did you mean
+              </Typography>
+              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1, alignItems: 'center' }}>
+                {suggestions.map((path) => (
+                  <Button
+                    key={path}
+                    size="small"
+                    onClick={() => navigate(`${path}${location.search}`)}
+                    sx={{ textTransform: 'none', fontFamily: 'monospace' }}
+                  >
+                    {path}
+                  </Button>
+                ))}
+              </Box>
+            </Box>
+          )}
+
+          <Button variant="contained" onClick={() => navigate('/products')} sx={{ textTransform: 'none' }}>
+            Back to shop
+          </Button>
+        </Paper>
+      </Box>
+    </Container>
+  );
+}
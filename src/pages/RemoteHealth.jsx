@@ -0,0 +1,421 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Container,
+  Divider,
+  FormControlLabel,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon,
+  ContentCopy as CopyIcon,
+  Download as DownloadIcon,
+} from '@mui/icons-material';
+
+import { useSnackbar } from '../contexts/SnackbarContext.jsx';
+import { buildHealthReport, probeAllRemotes } from '../federation/remoteHealth.js';
+import { buildSharedReport } from '../federation/sharedReport.js';
+import { getRemoteNames, getRemoteRegistrySnapshot } from '../federation/remoteRegistry.js';
+import { useRemoteLoadStatuses } from '../federation/remoteLoadStatus.js';
+import { getRouteRegistrySnapshot } from '../routing/routeRegistry.js';
+
+/**
+ * RemoteHealth
+ *
+ * Purpose:
+ * - On-call dashboard for every remote in the federation config (build-time names + runtime manifest).
+ * - Shows `remoteEntry.js` reachability/latency, container load time, exposed modules and negotiated
+ *   shared-dependency versions (see `federation/sharedReport.js`); re-probes live and exports the report as JSON
+ *   for incident notes.
+ */
+
+const LIVE_INTERVAL_MS = 15000;
+
+const STATUS_COLORS = {
+  ok: 'success',
+  degraded: 'warning',
+  down: 'error',
+  probing: 'default',
+};
+
+const SHARED_STATUS_COLORS = {
+  ok: 'success',
+  'incompatible-provider': 'warning',
+  mismatch: 'error',
+  'not-loaded': 'default',
+  'not-registered': 'default',
+};
+
+const ROUTE_STATUS_COLORS = {
+  loaded: 'success',
+  'not-exposed': 'default',
+  failed: 'error',
+};
+
+function formatMs(ms) {
+  return typeof ms === 'number' ? `${ms} ms` : '—';
+}
+
+// e.g. "2 loaded · 1 failed" across the remote's modules, or "idle" before any of them was requested.
+function summarizeLoadStatuses(runtime) {
+  if (!runtime.length) return 'idle';
+  const counts = {};
+  runtime.forEach(({ state }) => {
+    counts[state] = (counts[state] ?? 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([state, count]) => `${count} ${state}`)
+    .join(' · ');
+}
+
+function RemoteCard({ name, result }) {
+  const runtime = useRemoteLoadStatuses(name);
+  const status = result?.status ?? 'probing';
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{ p: { xs: 2, md: 3 }, borderRadius: 3, border: '1px solid rgba(0,0,0,0.06)', background: '#fff' }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2, mb: 1 }}>
+        <Typography variant="h6" sx={{ fontWeight: 900 }}>
+          {name}
+        </Typography>
+        <Chip size="small" label={status.toUpperCase()} color={STATUS_COLORS[status] ?? 'default'} />
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+        {result?.url ?? getRemoteRegistrySnapshot().remotes.find((r) => r.name === name)?.url ?? 'No URL configured'}
+      </Typography>
+      {result?.source && (
+        <Typography variant="caption" color="text.secondary">
+          source: {result.source}
+        </Typography>
+      )}
+
+      <Divider sx={{ my: 2 }} />
+
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 2, mb: 2 }}>
+        <Box>
+          <Typography variant="caption" color="text.secondary">
+            remoteEntry.js
+          </Typography>
+          <Typography sx={{ fontWeight: 700 }}>
+            {result ? (result.entry.reachable ? formatMs(result.entry.latencyMs) : 'unreachable') : '…'}
+          </Typography>
+        </Box>
+        <Box>
+          <Typography variant="caption" color="text.secondary">
+            Container load
+          </Typography>
+          <Typography sx={{ fontWeight: 700 }}>
+            {result ? (result.container.loaded ? formatMs(result.container.loadMs) : 'failed') : '…'}
+          </Typography>
+        </Box>
+        <Box>
+          <Typography variant="caption" color="text.secondary">
+            In-app loader
+          </Typography>
+          <Tooltip
+            title={runtime
+              .map((m) => `${m.module}: ${m.state} (${m.attempt}/${m.maxAttempts})${m.error ? ` – ${m.error}` : ''}`)
+              .join('\n')}
+            slotProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}
+          >
+            <Typography sx={{ fontWeight: 700 }}>{summarizeLoadStatuses(runtime)}</Typography>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      {(result?.entry.error || result?.container.error) && (
+        <Typography variant="body2" color="error" sx={{ fontFamily: 'monospace', mb: 2 }}>
+          {result.entry.error || result.container.error}
+        </Typography>
+      )}
+
+      <Typography variant="subtitle2" sx={{ fontWeight: 800, mb: 1 }}>
+        Exposed modules
+      </Typography>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+        {(result?.modules ?? []).map((m) => (
+          <Tooltip key={m.module} title={m.ok ? formatMs(m.ms) : m.error}>
+            <Chip
+              size="small"
+              variant="outlined"
+              label={m.module}
+              color={m.ok ? 'success' : 'error'}
+              sx={{ fontFamily: 'monospace' }}
+            />
+          </Tooltip>
+        ))}
+        {result && !result.modules.length && (
+          <Typography variant="body2" color="text.secondary">
+            Not probed
+          </Typography>
+        )}
+      </Box>
+
+      <Typography variant="subtitle2" sx={{ fontWeight: 800, mb: 1 }}>
+        Shared dependencies
+      </Typography>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Package</TableCell>
+            <TableCell>Provided by {name}</TableCell>
+            <TableCell>In use</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {Object.entries(result?.shared ?? {}).map(([pkg, info]) => (
+            <TableRow key={pkg}>
+              <TableCell sx={{ fontFamily: 'monospace' }}>{pkg}</TableCell>
+              <TableCell sx={{ fontFamily: 'monospace' }}>{info.provided.join(', ') || '—'}</TableCell>
+              <TableCell sx={{ fontFamily: 'monospace' }}>
+                {info.inUse ? `${info.inUse} (${info.inUseFrom})` : 'not loaded yet'}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      {!!result?.contracts?.length && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2" sx={{ fontWeight: 800, mb: 1 }}>
+            Shell API contract
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {result.contracts.map((c) => (
+              <Chip
+                key={c.module}
+                size="small"
+                variant="outlined"
+                color={c.resolved ? (c.declared ? 'success' : 'default') : 'error'}
+                label={`${c.module}: ${c.declared ?? 'undeclared'} → ${c.resolved ?? 'unsupported'}`}
+                sx={{ fontFamily: 'monospace' }}
+              />
+            ))}
+          </Box>
+        </Box>
+      )}
+
+      {!!result?.sharedViolations?.length && (
+        <Box sx={{ mt: 2 }}>
+          {result.sharedViolations.map((v) => (
+            <Typography key={`${v.pkg}-${v.requiredBy}`} variant="body2" color="error" sx={{ fontFamily: 'monospace' }}>
+              {v.pkg}@{v.version} violates {v.requiredVersion} (required by {v.requiredBy})
+            </Typography>
+          ))}
+        </Box>
+      )}
+    </Paper>
+  );
+}
+
+function SharedNegotiationPanel({ report }) {
+  return (
+    <Paper
+      elevation={0}
+      sx={{ p: { xs: 2, md: 3 }, mb: 3, borderRadius: 3, border: '1px solid rgba(0,0,0,0.06)', background: '#fff' }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="h6" sx={{ fontWeight: 900 }}>
+          Shared dependency negotiation
+        </Typography>
+        <Chip size="small" variant="outlined" label={report.strict ? 'STRICT' : 'WARN ONLY'} />
+      </Box>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Package</TableCell>
+            <TableCell>Required (shell)</TableCell>
+            <TableCell>In use</TableCell>
+            <TableCell>Won by</TableCell>
+            <TableCell>Provided</TableCell>
+            <TableCell>Status</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {report.packages.map((p) => (
+            <TableRow key={p.pkg}>
+              <TableCell sx={{ fontFamily: 'monospace' }}>{p.pkg}</TableCell>
+              <TableCell sx={{ fontFamily: 'monospace' }}>{p.requiredVersion ?? '—'}</TableCell>
+              <TableCell sx={{ fontFamily: 'monospace' }}>{p.winner?.version ?? '—'}</TableCell>
+              <TableCell sx={{ fontFamily: 'monospace' }}>{p.winner?.from ?? '—'}</TableCell>
+              <TableCell sx={{ fontFamily: 'monospace' }}>
+                {p.versions.map((v) => `${v.version}@${v.from}${v.satisfiesRequired ? '' : ' ✗'}`).join(', ') || '—'}
+              </TableCell>
+              <TableCell>
+                <Chip size="small" label={p.status} color={SHARED_STATUS_COLORS[p.status] ?? 'default'} />
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Paper>
+  );
+}
+
+// Route manifests are read once at startup (`main.jsx`), so this panel is static until the next page load.
+function RouteRegistryPanel({ snapshot }) {
+  return (
+    <Paper
+      elevation={0}
+      sx={{ p: { xs: 2, md: 3 }, mb: 3, borderRadius: 3, border: '1px solid rgba(0,0,0,0.06)', background: '#fff' }}
+    >
+      <Typography variant="h6" sx={{ fontWeight: 900, mb: 1 }}>
+        Route manifests
+      </Typography>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Remote</TableCell>
+            <TableCell>./routes</TableCell>
+            <TableCell>Routes from</TableCell>
+            <TableCell>Contributed</TableCell>
+            <TableCell>Error</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {snapshot.remotes.map((r) => (
+            <TableRow key={r.remote}>
+              <TableCell sx={{ fontFamily: 'monospace' }}>{r.remote}</TableCell>
+              <TableCell>
+                <Chip size="small" label={r.status} color={ROUTE_STATUS_COLORS[r.status] ?? 'default'} />
+              </TableCell>
+              <TableCell>{r.source ?? '—'}</TableCell>
+              <TableCell sx={{ fontFamily: 'monospace' }}>
+                {snapshot.routes
+                  .filter((route) => route.remote === r.remote && route.source !== 'shell')
+                  .map((route) => route.path)
+                  .join(', ') || '—'}
+              </TableCell>
+              <TableCell sx={{ fontFamily: 'monospace' }}>{r.error ?? '—'}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      {!!snapshot.collisions.length && (
+        <Box sx={{ mt: 2 }}>
+          {snapshot.collisions.map((c, i) => (
+            <Typography key={`${c.path}-${i}`} variant="body2" color="error" sx={{ fontFamily: 'monospace' }}>
+              {c.path ?? '(no path)'} from {c.rejected.remote} ignored: {c.reason}
+            </Typography>
+          ))}
+        </Box>
+      )}
+    </Paper>
+  );
+}
+
+export default function RemoteHealth() {
+  const { showSuccess, showError } = useSnackbar();
+  const [results, setResults] = useState({});
+  const [probing, setProbing] = useState(false);
+  const [live, setLive] = useState(true);
+  const [names, setNames] = useState(() => getRemoteNames());
+  const [sharedReport, setSharedReport] = useState(() => buildSharedReport());
+  const probingRef = useRef(false);
+
+  const runProbe = useCallback(async () => {
+    // Reason: live mode must not stack probes if one round is slower than the interval.
+    if (probingRef.current) return;
+    probingRef.current = true;
+    setProbing(true);
+    try {
+      await probeAllRemotes({
+        onResult: (result) => setResults((prev) => ({ ...prev, [result.name]: result })),
+      });
+      setNames(getRemoteNames());
+      setSharedReport(buildSharedReport());
+    } finally {
+      probingRef.current = false;
+      setProbing(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    void runProbe();
+  }, [runProbe]);
+
+  useEffect(() => {
+    if (!live) return undefined;
+    const id = setInterval(() => void runProbe(), LIVE_INTERVAL_MS);
+    return () => clearInterval(id);
+  }, [live, runProbe]);
+
+  const reportJson = () => JSON.stringify(buildHealthReport(names.map((n) => results[n]).filter(Boolean)), null, 2);
+
+  const copyReport = async () => {
+    try {
+      await navigator.clipboard.writeText(reportJson());
+      showSuccess('Health report copied to clipboard');
+    } catch {
+      showError('Could not access the clipboard. Use "Download JSON" instead.');
+    }
+  };
+
+  const downloadReport = () => {
+    const blob = new Blob([reportJson()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `shophub-remote-health-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const registry = getRemoteRegistrySnapshot();
+
+  return (
+    <Box sx={{ minHeight: '100vh', background: '#fafafa', py: 4 }}>
+      <Container maxWidth="xl">
+        <Box sx={{ mb: 3, display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'flex-end', justifyContent: 'space-between' }}>
+          <Box>
+            <Typography variant="h4" sx={{ fontWeight: 950 }}>
+              Remote Health
+            </Typography>
+            <Typography color="text.secondary">
+              env <b>{registry.env}</b> · manifest {registry.manifestStatus}
+              {registry.manifestError ? ` (${registry.manifestError})` : ''} · {registry.manifestUrl}
+            </Typography>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+            <FormControlLabel
+              control={<Switch checked={live} onChange={(e) => setLive(e.target.checked)} />}
+              label={`Live (${LIVE_INTERVAL_MS / 1000}s)`}
+            />
+            <Button variant="outlined" startIcon={<RefreshIcon />} onClick={() => void runProbe()} disabled={probing}>
+              {probing ? 'Probing…' : 'Probe now'}
+            </Button>
+            <Button variant="outlined" startIcon={<CopyIcon />} onClick={copyReport}>
+              Copy JSON
+            </Button>
+            <Button variant="contained" startIcon={<DownloadIcon />} onClick={downloadReport}>
+              Download JSON
+            </Button>
+          </Box>
+        </Box>
+
+        <SharedNegotiationPanel report={sharedReport} />
+        <RouteRegistryPanel snapshot={getRouteRegistrySnapshot()} />
+
+        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', lg: '1fr 1fr' }, gap: 3 }}>
+          {names.map((name) => (
+            <RemoteCard key={name} name={name} result={results[name]} />
+          ))}
+        </Box>
+      </Container>
+    </Box>
+  );
+}
@@ -1,10 +1,14 @@
 import React, { Suspense } from 'react';
-import { Box, CircularProgress, Container, Divider, Paper, Typography } from '@mui/material';
+import { Box, Container, Divider, Paper, Typography } from '@mui/material';
 
 import { useAuth } from '../contexts/AuthContext.jsx';
 import { useCart } from '../contexts/CartContext.jsx';
 import { useSnackbar } from '../contexts/SnackbarContext.jsx';
 import { useWishlist } from '../contexts/WishlistContext.jsx';
+import RemoteErrorBoundary from '../components/RemoteErrorBoundary.jsx';
+import RemoteLoader from '../components/RemoteLoader.jsx';
+import { lazyRemote } from '../federation/lazyRemote.js';
+import { useShellApi } from '../shellApi/ShellApiContext.jsx';
 
 /**
  * RemoteShowcase
@@ -14,55 +18,14 @@ import { useWishlist } from '../contexts/WishlistContext.jsx';
  * - Useful for validating Module Federation wiring, shared deps, and cross-remote composition.
  *
  * Note:
- * - Each remote is wrapped in an error boundary so one remote crashing doesn't break the whole page.
+ * - Each remote is wrapped in the shell's `RemoteErrorBoundary` (inline variant) so one remote crashing
+ *   doesn't break the whole page.
  */
 
-const RemoteLogin = React.lazy(() => import('auth/Login'));
-const RemoteProducts = React.lazy(() => import('catalog/Products'));
-const RemoteCart = React.lazy(() => import('checkout/Cart'));
-const RemoteAccount = React.lazy(() => import('account/Account'));
-
-function Loader() {
-  return (
-    <Box sx={{ minHeight: 200, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-      <CircularProgress size={28} />
-    </Box>
-  );
-}
-
-class RemoteErrorBoundary extends React.Component {
-  constructor(props) {
-    super(props);
-    this.state = { error: null };
-  }
-
-  static getDerivedStateFromError(error) {
-    return { error };
-  }
-
-  componentDidCatch(error) {
-    // Keep console logging for debugging remote integration issues.
-    // Reason: this page is meant for diagnostics.
-    // eslint-disable-next-line no-console
-    console.error('[RemoteShowcase] Remote crashed:', this.props?.title, error);
-  }
-
-  render() {
-    if (this.state.error) {
-      return (
-        <Paper sx={{ p: 3, border: '1px solid rgba(0,0,0,0.08)' }}>
-          <Typography variant="h6" sx={{ fontWeight: 800, mb: 1 }}>
-            {this.props.title} failed to render
-          </Typography>
-          <Typography variant="body2" color="text.secondary" sx={{ fontFamily: 'monospace' }}>
-            {String(this.state.error?.message ?? this.state.error)}
-          </Typography>
-        </Paper>
-      );
-    }
-    return this.props.children;
-  }
-}
+const RemoteLogin = lazyRemote('auth', 'Login', () => import('auth/Login'));
+const RemoteProducts = lazyRemote('catalog', 'Products', () => import('catalog/Products'));
+const RemoteCart = lazyRemote('checkout', 'Cart', () => import('checkout/Cart'));
+const RemoteAccount = lazyRemote('account', 'Account', () => import('account/Account'));
 
 function Section({ title, children }) {
   return (
@@ -90,6 +53,7 @@ export default function RemoteShowcase() {
   const { cartItems, getCartTotal, removeFromCart, updateQuantity, isCartEmpty, clearCart, addToCart } = useCart();
   const { showError, showSuccess } = useSnackbar();
   const { wishlistItems, addToWishlist, removeFromWishlist, clearWishlist, isInWishlist } = useWishlist();
+  const shellApi = useShellApi();
 
   return (
     <Box sx={{ minHeight: '100vh', background: '#fafafa', py: 4 }}>
@@ -104,26 +68,27 @@ export default function RemoteShowcase() {
         </Box>
 
         <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', lg: '1fr 1fr' }, gap: 3 }}>
-          <RemoteErrorBoundary title="Auth / Login">
+          <RemoteErrorBoundary remote="auth" module="Login" variant="inline">
             <Section title="Auth Remote (Login)">
-              <Suspense fallback={<Loader />}>
-                <RemoteLogin login={login} loading={loading} />
+              <Suspense fallback={<RemoteLoader remote="auth" module="Login" variant="inline" />}>
+                <RemoteLogin shellApi={shellApi} login={login} loading={loading} />
               </Suspense>
             </Section>
           </RemoteErrorBoundary>
 
-          <RemoteErrorBoundary title="Account / My Account">
+          <RemoteErrorBoundary remote="account" module="Account" variant="inline">
             <Section title="Account Remote">
-              <Suspense fallback={<Loader />}>
-                <RemoteAccount />
+              <Suspense fallback={<RemoteLoader remote="account" module="Account" variant="inline" />}>
+                <RemoteAccount shellApi={shellApi} />
               </Suspense>
             </Section>
           </RemoteErrorBoundary>
 
-          <RemoteErrorBoundary title="Catalog / Products">
+          <RemoteErrorBoundary remote="catalog" module="Products" variant="inline">
             <Section title="Catalog Remote (Products)">
-              <Suspense fallback={<Loader />}>
+              <Suspense fallback={<RemoteLoader remote="catalog" module="Products" variant="inline" />}>
                 <RemoteProducts
+                  shellApi={shellApi}
                   addToCart={addToCart}
                   showError={showError}
                   // Wishlist is shell-owned; pass callbacks to let catalog interact with it.
@@ -134,10 +99,11 @@ export default function RemoteShowcase() {
             </Section>
           </RemoteErrorBoundary>
 
-          <RemoteErrorBoundary title="Checkout / Cart">
+          <RemoteErrorBoundary remote="checkout" module="Cart" variant="inline">
             <Section title="Checkout Remote (Cart)">
-              <Suspense fallback={<Loader />}>
+              <Suspense fallback={<RemoteLoader remote="checkout" module="Cart" variant="inline" />}>
                 <RemoteCart
+                  shellApi={shellApi}
                   cartItems={cartItems}
                   removeFromCart={removeFromCart}
                   updateQuantity={updateQuantity}
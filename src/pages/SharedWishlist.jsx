@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import { Box, Button, CircularProgress, Container, Paper, Typography } from '@mui/material';
+import { LinkOff as LinkOffIcon } from '@mui/icons-material';
+import { useNavigate, useParams } from 'react-router-dom';
+
+import { useCart } from '../contexts/CartContext.jsx';
+import { useCurrency } from '../contexts/CurrencyContext.jsx';
+import { wishlistSharesAPI } from '../services/api.js';
+
+/**
+ * SharedWishlist
+ *
+ * Purpose:
+ * - Read-only view of a wishlist someone shared (`/wishlist/shared/:token`); anyone with the link can open it,
+ *   signed in or not, and add its products to their own cart.
+ * - Shows the snapshot from the moment the owner last shared it; a revoked or unknown link shows "no longer
+ *   available" instead of a generic error.
+ * - Shell route (not the wishlist remote): the link must keep working for people whose wishlist remote is down.
+ */
+export default function SharedWishlist() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
+  // { status: 'loading' | 'ready' | 'missing' | 'error', share?, error? }
+  const [state, setState] = useState({ status: 'loading' });
+  const [adding, setAdding] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setState({ status: 'loading' });
+    wishlistSharesAPI
+      .get(token)
+      .then(({ share } = {}) => {
+        if (cancelled) return;
+        // Reason: a malformed answer is shown like a revoked link, not left to crash the render.
+        setState(Array.isArray(share?.items) ? { status: 'ready', share } : { status: 'missing' });
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setState(error.status === 404 ? { status: 'missing' } : { status: 'error', error });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  // Reason: one at a time, so "Add all" can't race single adds against the same cart lines.
+  const add = async (products) => {
+    if (adding) return;
+    setAdding(true);
+    try {
+      for (const product of products) await addToCart(product, 1);
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  if (state.status === 'loading') {
+    return (
+      <Box sx={{ minHeight: '60vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (state.status !== 'ready') {
+    return (
+      <Container maxWidth="sm">
+        <Box sx={{ minHeight: '60vh', display: 'flex', flexDirection: 'column', justifyContent: 'center', py: 6 }}>
+          <Paper
+            elevation={0}
+            sx={{ p: { xs: 3, md: 5 }, borderRadius: 3, border: '1px solid rgba(0,0,0,0.08)', textAlign: 'center' }}
+          >
+            <LinkOffIcon sx={{ fontSize: 48, color: 'text.secondary', mb: 2 }} />
+            <Typography variant="h5" sx={{ fontWeight: 800, mb: 1 }}>
+              {state.status === 'missing' ? 'This wishlist is no longer shared' : 'We couldn’t load this wishlist'}
+            </Typography>
+            <Typography color="text.secondary" sx={{ mb: 3 }}>
+              {state.status === 'missing'
+                ? 'The link was revoked by its owner, or it never existed.'
+                : state.error?.message || 'Please try again in a moment.'}
+            </Typography>
+            <Button variant="contained" onClick={() => navigate('/products')} sx={{ textTransform: 'none' }}>
+              Back to shop
+            </Button>
+          </Paper>
+        </Box>
+      </Container>
+    );
+  }
+
+  const { share } = state;
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'flex-end', justifyContent: 'space-between', gap: 2, mb: 3 }}>
+        <Box>
+          <Typography variant="h4" sx={{ fontWeight: 800 }}>
+            {share.name}
+          </Typography>
+          <Typography color="text.secondary">
+            Shared by {share.ownerName} · updated {new Date(share.updatedAt).toLocaleDateString()}
+          </Typography>
+        </Box>
+        {!!share.items.length && (
+          <Button
+            variant="contained"
+            disabled={adding}
+            onClick={() => add(share.items)}
+            sx={{ textTransform: 'none', flexShrink: 0 }}
+          >
+            Add all to my cart
+          </Button>
+        )}
+      </Box>
+
+      {!share.items.length && <Typography color="text.secondary">This wishlist is empty.</Typography>}
+
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+        {share.items.map((product) => (
+          <Paper
+            key={product.id}
+            elevation={0}
+            sx={{ p: 2, borderRadius: 2, border: '1px solid rgba(0,0,0,0.08)', display: 'flex', gap: 2 }}
+          >
+            <Box
+              component="img"
+              src={product.image}
+              alt={product.title}
+              sx={{ width: 72, height: 72, objectFit: 'contain', flexShrink: 0 }}
+            />
+            <Box sx={{ flex: 1, minWidth: 0 }}>
+              <Typography
+                sx={{ fontWeight: 600, cursor: 'pointer' }}
+                onClick={() => navigate(`/product/${product.id}`)}
+                noWrap
+              >
+                {product.title}
+              </Typography>
+              <Typography color="text.secondary">{formatPrice(product.price)}</Typography>
+            </Box>
+            <Button
+              size="small"
+              variant="outlined"
+              disabled={adding}
+              onClick={() => add([product])}
+              sx={{ textTransform: 'none', alignSelf: 'center', flexShrink: 0 }}
+            >
+              Add to my cart
+            </Button>
+          </Paper>
+        ))}
+      </Box>
+    </Container>
+  );
+}
@@ -0,0 +1,67 @@
+/**
+ * Money: amounts in minor units (cents, or yen for JPY), currency conversion and locale-aware formatting.
+ *
+ * Purpose:
+ * - Prices arrive as USD floats (`productAPI`), and float sums drift (`0.1 + 0.2`); QA saw totals off by a cent.
+ *   Anything that adds or converts amounts works on integers from `toMinor` and turns them back with `fromMinor`.
+ * - Display currency is a user choice (Navbar); catalog prices, promotions and charges stay in `BASE_CURRENCY`.
+ *
+ * Exchange rates come with the pricing rate tables (`services/mock-api/rates.mjs`):
+ * `{ EUR: 0.92, ... }` = units of that currency per 1 `BASE_CURRENCY`.
+ */
+
+export const BASE_CURRENCY = 'USD';
+
+const digitsCache = new Map();
+
+// Minor-unit digits per ISO 4217 code (USD 2, JPY 0, BHD 3), as `Intl` knows them.
+export function minorUnitDigits(currency) {
+  if (!digitsCache.has(currency)) {
+    const { maximumFractionDigits } = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions();
+    digitsCache.set(currency, maximumFractionDigits);
+  }
+  return digitsCache.get(currency);
+}
+
+// Reason: shift the decimal point in the number's string form; `1.005 * 100` is 100.49999999999999 in floats.
+function shiftDecimal(value, digits) {
+  const [mantissa, exponent = '0'] = String(value).split('e');
+  return Number(`${mantissa}e${Number(exponent) + digits}`);
+}
+
+/**
+ * @param {number} amount  major units, e.g. `109.95`
+ * @returns {number} integer minor units, e.g. `10995`
+ */
+export function toMinor(amount, currency = BASE_CURRENCY) {
+  return Math.round(shiftDecimal(amount, minorUnitDigits(currency)));
+}
+
+export function fromMinor(minor, currency = BASE_CURRENCY) {
+  return shiftDecimal(minor, -minorUnitDigits(currency));
+}
+
+/**
+ * @param {number} minor  amount in `from` minor units
+ * @param {Record<string, number>} exchangeRates  per 1 `BASE_CURRENCY` (the base itself may be omitted)
+ * @returns {number} amount in `to` minor units, rounded once at the end
+ */
+export function convertMinor(minor, from, to, exchangeRates) {
+  if (from === to) return minor;
+  const rateOf = (currency) => {
+    const rate = currency === BASE_CURRENCY ? 1 : exchangeRates[currency];
+    if (!(rate > 0)) throw new Error(`[money] No exchange rate for ${currency}`);
+    return rate;
+  };
+  const major = (fromMinor(minor, from) / rateOf(from)) * rateOf(to);
+  return toMinor(major, to);
+}
+
+/**
+ * @param {number} minor
+ * @param {string} currency
+ * @param {string} [locale]  BCP 47 tag; defaults to the browser's
+ */
+export function formatMoney(minor, currency = BASE_CURRENCY, locale = undefined) {
+  return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(fromMinor(minor, currency));
+}
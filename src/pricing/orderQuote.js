@@ -0,0 +1,104 @@
+import { BASE_CURRENCY, fromMinor, toMinor } from './money.js';
+
+/**
+ * Order quote: cart total after promotions + shipping + tax for a destination and shipping method.
+ *
+ * Purpose:
+ * - Checkout only had `getCartTotal`, so there was no shipping or tax anywhere. The quote is computed here from the
+ *   mock API's rate tables (`services/mock-api/rates.mjs`), and checkout shows and charges exactly `quote.total`.
+ *
+ * Rules:
+ * - Shipping: a method's `amount` (or `amountByCountry[country]`); free once the cart total after discounts reaches
+ *   its `freeOver`.
+ * - Tax: the region's rate if listed, else the country's `rate`; charged on the cart total after discounts, plus
+ *   shipping where the country sets `taxShipping`.
+ *
+ * Note: amounts are computed in minor units (`money.js`); there is no fallback rate table, since a guessed tax would
+ * not match the charge. Rate tables are loaded with `loadRates` (`rates.js`).
+ */
+
+export class QuoteError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'QuoteError';
+    this.code = code;
+  }
+}
+
+function shippingOption(method, country, itemsMinor, currency) {
+  const baseMinor = toMinor(method.amountByCountry?.[country] ?? method.amount, currency);
+  const freeOverMinor = method.freeOver == null ? null : toMinor(method.freeOver, currency);
+  const free = freeOverMinor !== null && itemsMinor >= freeOverMinor;
+  return {
+    id: method.id,
+    label: method.label,
+    amount: fromMinor(free ? 0 : baseMinor, currency),
+    estimatedDays: method.estimatedDays ?? null,
+    free,
+    // Spend this much more for free shipping with this method (null: no threshold, or already free)
+    amountToFree: freeOverMinor === null || free ? null : fromMinor(freeOverMinor - itemsMinor, currency),
+  };
+}
+
+/**
+ * @typedef {Object} OrderQuote
+ * @property {string} currency
+ * @property {import('./promotions.js').CartBreakdown['lines']} lines
+ * @property {number} subtotal        items before promotions
+ * @property {number} discountTotal
+ * @property {number} itemsTotal      items after promotions
+ * @property {{ id, label, amount, estimatedDays, free, amountToFree }} shipping   the selected method
+ * @property {Array<{ id, label, amount, estimatedDays, free, amountToFree }>} shippingOptions
+ * @property {{ jurisdiction: string, rate: number, amount: number }} tax   `jurisdiction`: `US-CA`, or `CA` if the
+ *   country rate applies; `rate` in percent
+ * @property {number} total           what is charged
+ */
+
+/**
+ * @param {{ breakdown: import('./promotions.js').CartBreakdown, address: { country: string, region?: string },
+ *   shippingMethod: string, rates: Object }} input
+ * @returns {OrderQuote}
+ * @throws {QuoteError} `address_required`, `unsupported_country`, `unknown_shipping_method`, `currency_mismatch`
+ */
+export function computeQuote({ breakdown, address, shippingMethod, rates }) {
+  // Reason: cart amounts are in BASE_CURRENCY; reading them with another currency's minor units (e.g. JPY's 0
+  // digits) would silently scale the whole quote.
+  if (rates.currency !== BASE_CURRENCY) {
+    throw new QuoteError(`Prices can't be quoted in ${rates.currency} yet.`, 'currency_mismatch');
+  }
+  const country = address?.country?.trim().toUpperCase();
+  const region = address?.region?.trim().toUpperCase() || null;
+  if (!country) throw new QuoteError('Please select a shipping country.', 'address_required');
+  const countryTax = rates.tax[country];
+  if (!rates.shipping.countries.includes(country) || !countryTax) {
+    throw new QuoteError(`We don't ship to ${country} yet.`, 'unsupported_country');
+  }
+
+  const currency = BASE_CURRENCY;
+  const itemsMinor = toMinor(breakdown.total, currency);
+  const shippingOptions = rates.shipping.methods.map((method) => shippingOption(method, country, itemsMinor, currency));
+  const shipping = shippingOptions.find((option) => option.id === shippingMethod);
+  if (!shipping) throw new QuoteError(`Unknown shipping method: ${shippingMethod}`, 'unknown_shipping_method');
+
+  const regionRate = region ? countryTax.regions?.[region] : undefined;
+  const taxRate = regionRate ?? countryTax.rate ?? 0;
+  const shippingMinor = toMinor(shipping.amount, currency);
+  const taxableMinor = itemsMinor + (countryTax.taxShipping ? shippingMinor : 0);
+  const taxMinor = Math.round((taxableMinor * taxRate) / 100);
+
+  return {
+    currency,
+    lines: breakdown.lines,
+    subtotal: breakdown.subtotal,
+    discountTotal: breakdown.discountTotal,
+    itemsTotal: breakdown.total,
+    shipping,
+    shippingOptions,
+    tax: {
+      jurisdiction: regionRate === undefined ? country : `${country}-${region}`,
+      rate: taxRate,
+      amount: fromMinor(taxMinor, currency),
+    },
+    total: fromMinor(itemsMinor + shippingMinor + taxMinor, currency),
+  };
+}
@@ -0,0 +1,175 @@
+import { fromMinor, toMinor } from './money.js';
+
+/**
+ * Promotion engine: prices cart lines with the promotions that apply (automatic ones and entered coupons).
+ *
+ * Purpose:
+ * - `getCartTotal` used to be a plain sum of `price * quantity`; checkout now shows and charges the discounted total,
+ *   with a per-line breakdown it can render.
+ * - Definitions come from the mock API (`services/mock-api/promotions.mjs`); this module only does the math.
+ *
+ * Rules:
+ * - Types: `percentage` (`value` %), `fixed` (`value` off, spread over the eligible lines), `buy_x_get_y` (for every
+ *   `buy` units of a line, the next `get` units are free).
+ * - `appliesTo: { categories?, productIds? }` limits a promotion to matching lines (category discounts); omitted =
+ *   the whole cart. `minSubtotal` is checked against the cart subtotal before any discount.
+ * - Stacking: all stackable promotions combine; a `stackable: false` promotion can't be combined with any other.
+ *   The engine picks whichever gives the larger discount (the combined stackable ones, or the best exclusive one).
+ * - Order: buy-X-get-Y, then percentages, then fixed amounts, each on what is left of the line, so discounts never
+ *   exceed the line total.
+ *
+ * Note: amounts are in the catalog currency (`BASE_CURRENCY`), computed in its minor units (`money.js`) and rounded
+ * once per line and promotion, so the parts add up to the total.
+ */
+
+const TYPE_ORDER = ['buy_x_get_y', 'percentage', 'fixed'];
+
+function isActive(promotion, now) {
+  if (promotion.startsAt && Date.parse(promotion.startsAt) > now) return false;
+  if (promotion.endsAt && Date.parse(promotion.endsAt) <= now) return false;
+  return true;
+}
+
+function appliesToLine(promotion, line) {
+  const { categories, productIds } = promotion.appliesTo ?? {};
+  if (categories?.length && !categories.includes(line.category)) return false;
+  if (productIds?.length && !productIds.map(String).includes(String(line.id))) return false;
+  return true;
+}
+
+// Discount (cents) per eligible line for one promotion, given what is left of each line.
+function lineDiscounts(promotion, lines, remaining) {
+  const eligible = lines.filter((line) => appliesToLine(promotion, line) && remaining.get(line.id) > 0);
+
+  if (promotion.type === 'buy_x_get_y') {
+    return eligible.map((line) => {
+      const freeUnits = Math.floor(line.quantity / (promotion.buy + promotion.get)) * promotion.get;
+      return [line.id, Math.min(freeUnits * line.unitCents, remaining.get(line.id))];
+    });
+  }
+
+  if (promotion.type === 'percentage') {
+    const percent = Math.min(promotion.value, 100);
+    return eligible.map((line) => [line.id, Math.round((remaining.get(line.id) * percent) / 100)]);
+  }
+
+  // fixed: proportional to what is left of each line; the last line takes the rounding remainder
+  const base = eligible.reduce((sum, line) => sum + remaining.get(line.id), 0);
+  const amount = Math.min(toMinor(promotion.value), base);
+  let assigned = 0;
+  return eligible.map((line, index) => {
+    const share =
+      index === eligible.length - 1 ? amount - assigned : Math.floor((amount * remaining.get(line.id)) / base);
+    assigned += share;
+    return [line.id, share];
+  });
+}
+
+// Applies `promotions` in engine order; returns `{ total, byPromotion: Map<id, Map<lineId, cents>> }`.
+function applySet(promotions, lines) {
+  const remaining = new Map(lines.map((line) => [line.id, line.subtotalCents]));
+  const byPromotion = new Map();
+  let total = 0;
+
+  const ordered = [...promotions].sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type));
+  for (const promotion of ordered) {
+    const perLine = new Map();
+    for (const [lineId, cents] of lineDiscounts(promotion, lines, remaining)) {
+      if (cents <= 0) continue;
+      perLine.set(lineId, cents);
+      remaining.set(lineId, remaining.get(lineId) - cents);
+      total += cents;
+    }
+    byPromotion.set(promotion.id, perLine);
+  }
+  return { total, byPromotion };
+}
+
+/**
+ * @typedef {Object} CartBreakdown
+ * @property {Array<{ id, title, quantity, unitPrice: number, subtotal: number, discount: number, total: number,
+ *   discounts: Array<{ promotionId: string, label: string, amount: number }> }>} lines
+ * @property {number} subtotal        before discounts
+ * @property {number} discountTotal
+ * @property {number} total           what checkout charges (before tax and shipping)
+ * @property {Array<{ id: string, code: string|null, label: string, amount: number }>} promotions  applied ones
+ * @property {Array<{ id: string, code: string|null, label: string, reason: 'expired'|'no_eligible_items'|
+ *   'min_subtotal'|'not_combinable', amountNeeded?: number }>} notApplied  `amountNeeded`: spend this much more
+ */
+
+/**
+ * @param {Array<Object>} items  cart lines (`{ id, title, price, quantity, category }`)
+ * @param {Array<Object>} promotions  definitions (automatic + entered coupons)
+ * @returns {CartBreakdown}
+ */
+export function priceCart(items, promotions, { now = Date.now() } = {}) {
+  const lines = items.map((item) => {
+    const unitCents = toMinor(item.price);
+    return { ...item, unitCents, subtotalCents: unitCents * item.quantity };
+  });
+  const subtotalCents = lines.reduce((sum, line) => sum + line.subtotalCents, 0);
+
+  const notApplied = [];
+  const skip = (promotion, reason, extra = {}) =>
+    notApplied.push({ id: promotion.id, code: promotion.code ?? null, label: promotion.label, reason, ...extra });
+
+  const candidates = [];
+  for (const promotion of promotions) {
+    const minCents = toMinor(promotion.minSubtotal ?? 0);
+    if (!isActive(promotion, now)) skip(promotion, 'expired');
+    else if (!lines.some((line) => appliesToLine(promotion, line))) skip(promotion, 'no_eligible_items');
+    else if (subtotalCents < minCents) {
+      skip(promotion, 'min_subtotal', { amountNeeded: fromMinor(minCents - subtotalCents) });
+    } else candidates.push(promotion);
+  }
+
+  // Stacking: the stackable set vs. each exclusive promotion on its own; the larger discount wins (ties: stackable).
+  const stackable = candidates.filter((promotion) => promotion.stackable !== false);
+  let best = { set: stackable, ...applySet(stackable, lines) };
+  for (const exclusive of candidates.filter((promotion) => promotion.stackable === false)) {
+    const result = applySet([exclusive], lines);
+    if (result.total > best.total) best = { set: [exclusive], ...result };
+  }
+  candidates
+    .filter((promotion) => !best.set.includes(promotion))
+    .forEach((promotion) => skip(promotion, 'not_combinable'));
+
+  const applied = best.set.filter((promotion) => best.byPromotion.get(promotion.id).size);
+  // e.g. buy 2 get 1 with only 2 units in the cart
+  best.set
+    .filter((promotion) => !applied.includes(promotion))
+    .forEach((promotion) => skip(promotion, 'no_eligible_items'));
+
+  return {
+    lines: lines.map((line) => {
+      const discounts = applied
+        .filter((promotion) => best.byPromotion.get(promotion.id).has(line.id))
+        .map((promotion) => ({
+          promotionId: promotion.id,
+          label: promotion.label,
+          amount: fromMinor(best.byPromotion.get(promotion.id).get(line.id)),
+        }));
+      const discountCents = discounts.reduce((sum, discount) => sum + toMinor(discount.amount), 0);
+      return {
+        id: line.id,
+        title: line.title,
+        quantity: line.quantity,
+        unitPrice: fromMinor(line.unitCents),
+        subtotal: fromMinor(line.subtotalCents),
+        discount: fromMinor(discountCents),
+        total: fromMinor(line.subtotalCents - discountCents),
+        discounts,
+      };
+    }),
+    subtotal: fromMinor(subtotalCents),
+    discountTotal: fromMinor(best.total),
+    total: fromMinor(subtotalCents - best.total),
+    promotions: applied.map((promotion) => ({
+      id: promotion.id,
+      code: promotion.code ?? null,
+      label: promotion.label,
+      amount: fromMinor([...best.byPromotion.get(promotion.id).values()].reduce((sum, cents) => sum + cents, 0)),
+    })),
+    notApplied,
+  };
+}
@@ -0,0 +1,19 @@
+import { pricingAPI } from '../services/api.js';
+
+// Pricing rate tables (`{ currency, shipping, tax, exchangeRates }`, see `services/mock-api/rates.mjs`).
+// Fetched once per page load and shared by order quotes and currency conversion; a failed fetch is retried next call.
+
+let ratesPromise = null;
+
+export function loadRates() {
+  if (!ratesPromise) {
+    ratesPromise = pricingAPI.getRates().then(
+      ({ rates }) => rates,
+      (error) => {
+        ratesPromise = null;
+        throw error;
+      },
+    );
+  }
+  return ratesPromise;
+}
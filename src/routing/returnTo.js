@@ -0,0 +1,97 @@
+import { matchPath } from 'react-router-dom';
+
+import { getRoutes } from './routeRegistry.js';
+
+/**
+ * Where to send the user after login/signup.
+ *
+ * Purpose:
+ * - `ProtectedRoute` redirects to `/login?returnTo=<path>` (and the same location in router state), so a logged-out
+ *   visit to `/checkout` ends on `/checkout` again instead of `/products`.
+ * - The value is also kept in sessionStorage: the auth remote links between `/login` and `/signup` without the query.
+ *
+ * Note: `returnTo` comes from the URL, so it is untrusted. Only same-origin paths are accepted; anything else
+ * (`https://evil.example`, `//evil.example`, `javascript:`) falls back to the default page.
+ */
+
+export const RETURN_TO_PARAM = 'returnTo';
+export const DEFAULT_RETURN_PATH = '/products';
+
+const STORAGE_KEY = 'shophub:return-to';
+
+function toPath(location) {
+  return `${location.pathname}${location.search ?? ''}${location.hash ?? ''}`;
+}
+
+/**
+ * @param {unknown} value  candidate path, e.g. `/checkout?step=2`
+ * @returns {string|null} the same-origin path (pathname + search + hash), or null if it isn't safe to redirect to.
+ */
+export function sanitizeReturnTo(value, { origin = window.location.origin } = {}) {
+  if (typeof value !== 'string' || !value.startsWith('/')) return null;
+
+  let url;
+  try {
+    url = new URL(value, origin);
+  } catch {
+    return null;
+  }
+  if (url.origin !== origin) return null;
+  // Reason: browsers treat `//host` and `/\host` as protocol-relative URLs to another origin. Checked after
+  // normalizing: `/.//evil.example` only becomes `//evil.example` once dot segments are resolved.
+  const path = toPath(url);
+  if (path.startsWith('//') || path.startsWith('/\\')) return null;
+
+  // Going back to /login or /signup after signing in would just redirect again.
+  const isGuestPage = getRoutes().some(
+    (route) => route.protection === 'guest' && matchPath({ path: route.path, end: true }, url.pathname),
+  );
+  return isGuestPage ? null : path;
+}
+
+/**
+ * Login redirect for a protected page the user couldn't see (`location` = react-router location).
+ */
+export function buildLoginRedirect(location, { reason } = {}) {
+  const returnTo = toPath(location);
+  try {
+    sessionStorage.setItem(STORAGE_KEY, returnTo);
+  } catch {
+    // Ignore storage / privacy mode errors; the query param still carries the path.
+  }
+  return {
+    to: { pathname: '/login', search: `?${new URLSearchParams({ [RETURN_TO_PARAM]: returnTo })}` },
+    state: { from: location, ...(reason ? { reason } : {}) },
+  };
+}
+
+/**
+ * Page to open once the user is signed in: router state, then the `returnTo` query, then the remembered path.
+ */
+export function resolveReturnTo(location) {
+  let remembered = null;
+  try {
+    remembered = sessionStorage.getItem(STORAGE_KEY);
+  } catch {
+    // Ignore storage / privacy mode errors.
+  }
+
+  const candidates = [
+    location.state?.from ? toPath(location.state.from) : null,
+    new URLSearchParams(location.search).get(RETURN_TO_PARAM),
+    remembered,
+  ];
+  for (const candidate of candidates) {
+    const path = sanitizeReturnTo(candidate);
+    if (path) return path;
+  }
+  return DEFAULT_RETURN_PATH;
+}
+
+export function clearReturnTo() {
+  try {
+    sessionStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Ignore storage errors.
+  }
+}
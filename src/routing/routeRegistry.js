@@ -0,0 +1,241 @@
+import { getRemoteEntry, getRemoteNames, loadRemoteModule } from '../federation/remoteRegistry.js';
+import { RESERVED_PATHS, SHELL_ROUTES } from './shellRoutes.js';
+
+/**
+ * Route registry: shell routes + routes contributed by remotes.
+ *
+ * Purpose:
+ * - A remote can add a page (e.g. `account/Orders` at `/account/orders`) by exposing a `./routes` manifest,
+ *   without a shell release. See `src/routing/README.md` for the manifest format.
+ * - `main.jsx` starts `initRouteRegistry()` without waiting for it: the first paint has the shell routes only, and
+ *   `App.jsx` re-renders with the merged table through `subscribeRoutes` (`NotFound` waits for it meanwhile).
+ *
+ * Merge rules:
+ * - Shell routes (`shellRoutes.js`) always win; reserved paths (`/`, `/debug/*`) can't be claimed.
+ * - Remotes are merged in manifest order; the first remote to claim a path keeps it.
+ * - Paths are compared case-insensitively, ignoring a trailing slash and param names (`/p/:id` = `/p/:slug`).
+ * - Every rejected entry is recorded as a collision (`getRouteRegistrySnapshot()`, shown on `/debug/health`).
+ *
+ * Fallback: if a remote's `./routes` can't be loaded (down, slow, not exposed), the `routes` array of its entry
+ * in `remotes.manifest.json` is used instead; with neither, the remote only serves its shell routes.
+ */
+
+const ROUTE_MANIFEST_TIMEOUT_MS = 3000;
+const PROTECTION_LEVELS = ['public', 'protected', 'guest'];
+
+const state = {
+  status: 'idle', // 'idle' | 'ready'
+  routes: [],
+  // Raw per-remote results, kept so one remote can be reloaded and the table re-merged.
+  contributions: [],
+  // remoteName -> { remote, status, source, error, routeCount }
+  remotes: {},
+  collisions: [],
+};
+
+let initPromise = null;
+const listeners = new Set();
+// Reason: `useSyncExternalStore` needs a stable snapshot before `initRouteRegistry()` resolves.
+const SHELL_ONLY_ROUTES = SHELL_ROUTES.map((r) => ({ nav: null, ...r, source: 'shell' }));
+
+function errorMessage(error) {
+  return String(error?.message ?? error);
+}
+
+function withTimeout(promise, ms, label) {
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+function routeKey(path) {
+  const trimmed = path.length > 1 ? path.replace(/\/+$/, '') : path;
+  return trimmed.toLowerCase().replace(/:[^/]+/g, ':');
+}
+
+function isReserved(path) {
+  const key = routeKey(path);
+  return RESERVED_PATHS.some((reserved) =>
+    reserved.endsWith('/*') ? key === reserved.slice(0, -2) || key.startsWith(reserved.slice(0, -1)) : key === reserved,
+  );
+}
+
+function describe(route) {
+  return `${route.remote}/${route.module} (${route.source})`;
+}
+
+// Reason: a remote manifest is untrusted input; one malformed entry must not break the whole table.
+function normalizeRoute(entry, remote, source) {
+  if (!entry || typeof entry !== 'object') return { error: 'entry is not an object' };
+  if (typeof entry.path !== 'string' || !entry.path.startsWith('/')) return { error: 'path must start with "/"' };
+  if (typeof entry.module !== 'string' || !entry.module) return { error: 'module is required' };
+
+  const require = typeof entry.require === 'string' ? [entry.require] : entry.require;
+  if (require !== undefined && (!Array.isArray(require) || !require.every((p) => typeof p === 'string' && p))) {
+    return { error: 'require must be a permission string or an array of them' };
+  }
+
+  // A required permission implies a login.
+  const protection = entry.protection ?? (require ? 'protected' : 'public');
+  if (!PROTECTION_LEVELS.includes(protection)) {
+    return { error: `protection must be one of ${PROTECTION_LEVELS.join(', ')}` };
+  }
+  if (require && protection !== 'protected') return { error: 'require only applies to protected routes' };
+
+  const nav = typeof entry.nav?.label === 'string' ? { ...entry.nav } : null;
+  // Note: `remote` is always the contributing remote; a manifest can't register pages for another remote.
+  return {
+    route: { path: entry.path, remote, module: entry.module.replace(/^\.\//, ''), protection, require, nav, source },
+  };
+}
+
+async function loadContributedRoutes(remote) {
+  const fallback = getRemoteEntry(remote)?.routes;
+
+  try {
+    const loaded = await withTimeout(loadRemoteModule(remote, 'routes'), ROUTE_MANIFEST_TIMEOUT_MS, `${remote}/routes`);
+    const entries = loaded?.default ?? loaded?.routes;
+    if (!Array.isArray(entries)) throw new Error('./routes must export an array (default export or `routes`)');
+    return { status: 'loaded', source: 'remote', entries, error: null };
+  } catch (error) {
+    const notExposed = /does not exist in container/i.test(errorMessage(error));
+    if (!notExposed) {
+      console.warn(`[shell][routes] Route manifest for "${remote}" unavailable; using fallback.`, error);
+    }
+    return {
+      status: notExposed ? 'not-exposed' : 'failed',
+      source: Array.isArray(fallback) ? 'manifest' : null,
+      entries: Array.isArray(fallback) ? fallback : [],
+      error: notExposed ? null : errorMessage(error),
+    };
+  }
+}
+
+function mergeRoutes(contributions) {
+  const routes = [];
+  const taken = new Map(); // routeKey -> route
+  const collisions = [];
+
+  const claim = (route) => {
+    const key = routeKey(route.path);
+    const existing = taken.get(key);
+
+    if (existing) {
+      // Same page declared twice (e.g. a remote re-declaring its shell route): not a conflict.
+      if (existing.remote === route.remote && existing.module === route.module) return false;
+      collisions.push({ path: route.path, kept: existing, rejected: route, reason: `already served by ${describe(existing)}` });
+      return false;
+    }
+    if (route.source !== 'shell' && isReserved(route.path)) {
+      collisions.push({ path: route.path, kept: null, rejected: route, reason: 'reserved by the shell' });
+      return false;
+    }
+
+    taken.set(key, route);
+    routes.push(route);
+    return true;
+  };
+
+  SHELL_ROUTES.forEach((entry) => claim({ nav: null, ...entry, source: 'shell' }));
+
+  const remotes = {};
+  for (const { remote, status, source, entries, error } of contributions) {
+    let routeCount = 0;
+    for (const entry of entries) {
+      const { route, error: invalid } = normalizeRoute(entry, remote, source);
+      if (invalid) {
+        collisions.push({ path: entry?.path ?? null, kept: null, rejected: { remote, source }, reason: `invalid entry: ${invalid}` });
+        continue;
+      }
+      if (claim(route)) routeCount += 1;
+    }
+    remotes[remote] = { remote, status, source, error, routeCount };
+  }
+
+  collisions.forEach((c) => {
+    console.warn(`[shell][routes] Ignored route ${c.path ?? '(no path)'} from ${c.rejected.remote}: ${c.reason}`);
+  });
+
+  return { routes, remotes, collisions };
+}
+
+/**
+ * Load every remote's route manifest (in parallel, time-boxed) and build the merged table.
+ * Never rejects: a remote that fails only loses its contributed routes. Safe to call multiple times.
+ */
+export function initRouteRegistry() {
+  if (initPromise) return initPromise;
+
+  initPromise = (async () => {
+    const names = getRemoteNames();
+    const contributions = await Promise.all(
+      names.map(async (remote) => ({ remote, ...(await loadContributedRoutes(remote)) })),
+    );
+
+    Object.assign(state, mergeRoutes(contributions), { contributions, status: 'ready' });
+    listeners.forEach((listener) => listener());
+    return getRouteRegistrySnapshot();
+  })();
+
+  return initPromise;
+}
+
+/**
+ * Retry one remote's route manifest (e.g. from the "remote route not available" page) and re-merge the table.
+ */
+export async function reloadRemoteRoutes(remote) {
+  await initRouteRegistry();
+  const contribution = { remote, ...(await loadContributedRoutes(remote)) };
+  const contributions = state.contributions.some((c) => c.remote === remote)
+    ? state.contributions.map((c) => (c.remote === remote ? contribution : c))
+    : [...state.contributions, contribution];
+
+  Object.assign(state, mergeRoutes(contributions), { contributions });
+  listeners.forEach((listener) => listener());
+  return state.remotes[remote];
+}
+
+export function subscribeRoutes(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Remote whose route manifest failed and that likely owns `pathname` (same first path segment as one of its
+ * routes, or the remote's own name, e.g. `/account/orders` → account). Null when the path is simply unknown.
+ */
+export function findUnavailableRouteOwner(pathname) {
+  const segment = routeKey(pathname).split('/')[1];
+  if (!segment) return null;
+
+  const firstSegment = (path) => routeKey(path).split('/')[1];
+  const owns = (remote) =>
+    remote.toLowerCase() === segment ||
+    state.routes.some((route) => route.remote === remote && firstSegment(route.path) === segment);
+
+  const failed = Object.values(state.remotes).find((r) => r.status === 'failed' && owns(r.remote));
+  return failed ? { ...failed } : null;
+}
+
+/**
+ * The merged route table (shell routes first). Before `initRouteRegistry()` resolves this is the shell table only.
+ */
+export function getRoutes() {
+  return state.status === 'ready' ? state.routes : SHELL_ONLY_ROUTES;
+}
+
+// False until contributed routes are merged: an unknown path may still belong to a remote.
+export function isRouteRegistryReady() {
+  return state.status === 'ready';
+}
+
+export function getRouteRegistrySnapshot() {
+  return {
+    status: state.status,
+    routes: state.routes.map((r) => ({ ...r })),
+    remotes: Object.values(state.remotes).map((r) => ({ ...r })),
+    collisions: state.collisions.map((c) => ({ ...c })),
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * "Did you mean" suggestions for the not-found page, from the live route table.
+ *
+ * - Static routes are ranked by edit distance to the requested path.
+ * - Param routes (`/product/:id`) are suggested concretely when the segment count matches and the static
+ *   segments are close (`/products/42` → `/product/42`).
+ */
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+function normalize(path) {
+  return (path.length > 1 ? path.replace(/\/+$/, '') : path).toLowerCase();
+}
+
+function toCandidate(route, requested) {
+  if (!route.path.includes(':')) return { path: route.path, distance: editDistance(requested, normalize(route.path)) };
+
+  const want = requested.split('/');
+  const have = route.path.split('/');
+  if (want.length !== have.length) return null;
+
+  let distance = 0;
+  for (let i = 0; i < have.length; i += 1) {
+    if (have[i].startsWith(':')) continue;
+    const segmentDistance = editDistance(want[i], have[i].toLowerCase());
+    // Reason: the param segment matches anything, so each static segment has to be close on its own.
+    if (segmentDistance > Math.max(1, Math.floor(have[i].length / 3))) return null;
+    distance += segmentDistance;
+  }
+  const concrete = have.map((segment, i) => (segment.startsWith(':') ? want[i] : segment));
+  return { path: concrete.join('/'), distance };
+}
+
+/**
+ * @param {string} pathname
+ * @param {Array<{ path: string }>} routes
+ * @returns {string[]} up to `limit` paths, closest first.
+ */
+export function suggestRoutes(pathname, routes, limit = 3) {
+  const requested = normalize(pathname);
+  // Reason: a typo is a few edits; anything further is a different page, not a suggestion.
+  const maxDistance = Math.max(2, Math.floor(requested.length / 3));
+
+  const seen = new Set();
+  return routes
+    .map((route) => toCandidate(route, requested))
+    .filter((c) => c && c.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .filter((c) => !seen.has(c.path) && seen.add(c.path))
+    .slice(0, limit)
+    .map((c) => c.path);
+}
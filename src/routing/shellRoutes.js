@@ -0,0 +1,34 @@
+/**
+ * Routes the shell ships with (one entry per remote page it renders out of the box).
+ *
+ * Purpose:
+ * - Single table for `App.jsx` (what to render) and `routeRegistry.js` (which paths are already taken).
+ * - Plain data on purpose: `main.jsx` reads it before `bootstrap.jsx`, so it must not import React or a remote.
+ *
+ * Entry shape (same as a remote's route manifest entry, see `src/routing/README.md`):
+ * - `path`        react-router path.
+ * - `remote`      remote name; `module` is the exposed module (`catalog/Products` → `module: 'Products'`).
+ * - `protection`  'public' | 'protected' (login required) | 'guest' (logged-out only, e.g. /login).
+ * - `require`     optional permission(s) a protected route needs (see `utils/permissions.js`).
+ */
+export const SHELL_ROUTES = [
+  { path: '/login', remote: 'auth', module: 'Login', protection: 'guest' },
+  { path: '/signup', remote: 'auth', module: 'SignUp', protection: 'guest' },
+
+  { path: '/products', remote: 'catalog', module: 'Products', protection: 'public' },
+  { path: '/product/:id', remote: 'catalog', module: 'ProductDetail', protection: 'public' },
+  { path: '/collections', remote: 'catalog', module: 'Collections', protection: 'public' },
+  { path: '/about', remote: 'catalog', module: 'About', protection: 'public' },
+
+  { path: '/cart', remote: 'checkout', module: 'Cart', protection: 'public' },
+  { path: '/checkout', remote: 'checkout', module: 'Checkout', protection: 'protected' },
+  { path: '/order-confirmation', remote: 'checkout', module: 'OrderConfirmation', protection: 'protected' },
+
+  { path: '/wishlist', remote: 'wishlist', module: 'Wishlist', protection: 'protected' },
+
+  { path: '/account', remote: 'account', module: 'Account', protection: 'protected' },
+  { path: '/account/addresses', remote: 'account', module: 'Addresses', protection: 'protected' },
+];
+
+// Shell-owned pages and prefixes no remote may claim.
+export const RESERVED_PATHS = ['/', '/debug/*', '/wishlist/shared/*'];
@@ -1,4 +1,6 @@
 import attemptTracker from '../utils/attemptTracker';
+import { apiFetch } from './httpClient';
+import { defaultStock } from '../../services/mock-api/defaultStock.mjs';
 
 // Base configuration for API calls
 const API_BASE_URL = 'https://fakestoreapi.com';
@@ -50,6 +52,24 @@ const createFetchRequest = async (endpoint, options = {}) => {
   }
 };
 
+// Inventory API (shell API, see `services/mock-api/inventory.mjs`); public, no login needed.
+export const inventoryAPI = {
+  // Resolves to `{ [productId]: availableUnits }`. When the API can't be reached (e.g. static hosting without the
+  // mock API), falls back to the mock API's own `defaultStock`, so the numbers match either way.
+  async getStock(productIds) {
+    if (!productIds.length) return {};
+    try {
+      const { stock } = await apiFetch(`/api/inventory?ids=${productIds.map(encodeURIComponent).join(',')}`, {
+        auth: false,
+      });
+      return stock;
+    } catch (error) {
+      console.warn('[Inventory] Stock unavailable; using fallback values.', error);
+      return Object.fromEntries(productIds.map((id) => [String(id), defaultStock(id)]));
+    }
+  },
+};
+
 // Product API functions
 export const productAPI = {
   // Fetch all products with optional category filter
@@ -58,6 +78,8 @@ export const productAPI = {
       const endpoint = category ? `/products/category/${category}` : '/products';
       const products = await createFetchRequest(endpoint);
       
+      const stock = await inventoryAPI.getStock(products.map((product) => product.id));
+
       // Transform the data to match our app's structure
       return products.map(product => ({
         id: product.id,
@@ -70,7 +92,7 @@ export const productAPI = {
           rate: product.rating?.rate || 0,
           count: product.rating?.count || 0,
         },
-        stock: Math.floor(Math.random() * 50) + 10, // Generate random stock for demo
+        stock: stock[String(product.id)] ?? 0,
       }));
     } catch {
       throw new Error('Failed to fetch products. Please try again later.');
@@ -91,6 +113,7 @@ export const productAPI = {
   async getProduct(id) {
     try {
       const product = await createFetchRequest(`/products/${id}`);
+      const stock = await inventoryAPI.getStock([product.id]);
       
       // Transform the data to match our app's structure
       return {
@@ -104,7 +127,7 @@ export const productAPI = {
           rate: product.rating?.rate || 0,
           count: product.rating?.count || 0,
         },
-        stock: Math.floor(Math.random() * 50) + 10, // Generate random stock for demo
+        stock: stock[String(product.id)] ?? 0,
       };
     } catch {
       throw new Error('Failed to fetch product details. Please try again later.');
@@ -148,6 +171,111 @@ export const productAPI = {
   },
 };
 
+// Auth API functions (shell API, see `services/mock-api/auth.mjs`)
+// Each session response is `{ user, accessToken, refreshToken, expiresIn, refreshExpiresIn }`.
+export const authAPI = {
+  login(email, password) {
+    return apiFetch('/api/auth/login', { method: 'POST', body: { email, password }, auth: false });
+  },
+
+  signup(name, email, password, confirmPassword) {
+    return apiFetch('/api/auth/signup', { method: 'POST', body: { name, email, password, confirmPassword }, auth: false });
+  },
+
+  // Revokes the refresh token server-side.
+  logout(refreshToken) {
+    return apiFetch('/api/auth/logout', { method: 'POST', body: { refreshToken }, auth: false });
+  },
+
+  me() {
+    return apiFetch('/api/auth/me');
+  },
+};
+
+// Cart API functions (shell API, see `services/mock-api/cart.mjs`); signed-in users only.
+// Each call resolves to `{ cart: { items, itemCount, subtotal, version, updatedAt } }`, the whole server cart.
+export const cartAPI = {
+  get() {
+    return apiFetch('/api/cart');
+  },
+
+  addItem(product, quantity = 1) {
+    const { id, title, price, image, category } = product;
+    return apiFetch('/api/cart/items', { method: 'POST', body: { product: { id, title, price, image, category }, quantity } });
+  },
+
+  updateItem(productId, quantity) {
+    return apiFetch(`/api/cart/items/${encodeURIComponent(productId)}`, { method: 'PUT', body: { quantity } });
+  },
+
+  removeItem(productId) {
+    return apiFetch(`/api/cart/items/${encodeURIComponent(productId)}`, { method: 'DELETE' });
+  },
+
+  clear() {
+    return apiFetch('/api/cart', { method: 'DELETE' });
+  },
+
+  // Guest cart → account cart after login. Also resolves `merge: { added, updated, capped, skipped }`.
+  merge(items) {
+    const lines = items.map(({ id, title, price, image, category, quantity }) => ({
+      product: { id, title, price, image, category },
+      quantity,
+    }));
+    return apiFetch('/api/cart/merge', { method: 'POST', body: { items: lines } });
+  },
+};
+
+// Promotions API (shell API, see `services/mock-api/promotions.mjs`); public, priced by `src/pricing/promotions.js`.
+export const promotionsAPI = {
+  // Automatic promotions currently running: `{ promotions }`
+  list() {
+    return apiFetch('/api/promotions', { auth: false });
+  },
+
+  // Coupon definition for a code: `{ promotion }`; rejects with `invalid_coupon` (404) or `coupon_expired` (410).
+  getCoupon(code) {
+    return apiFetch(`/api/promotions/coupons/${encodeURIComponent(code.trim())}`, { auth: false });
+  },
+};
+
+// Pricing API (shell API, see `services/mock-api/rates.mjs`); public, used by `src/pricing/orderQuote.js`.
+export const pricingAPI = {
+  // Shipping methods and tax rates: `{ rates }`
+  getRates() {
+    return apiFetch('/api/pricing/rates', { auth: false });
+  },
+};
+
+// Shared wishlists (shell API, see `services/mock-api/shares.mjs`). Reading is public; the rest needs a login.
+export const wishlistSharesAPI = {
+  // Snapshot of one list → `{ share: { token, name, itemCount, createdAt, updatedAt } }`
+  publish(name, items) {
+    return apiFetch('/api/wishlist/shares', { method: 'POST', body: { name, items: toShareItems(items) } });
+  },
+
+  // Replace the snapshot behind an existing link (same token)
+  update(token, name, items) {
+    return apiFetch(`/api/wishlist/shares/${encodeURIComponent(token)}`, {
+      method: 'PUT',
+      body: { name, items: toShareItems(items) },
+    });
+  },
+
+  revoke(token) {
+    return apiFetch(`/api/wishlist/shares/${encodeURIComponent(token)}`, { method: 'DELETE' });
+  },
+
+  // Read-only view: `{ share: { token, name, ownerName, items, createdAt, updatedAt } }`; 404 `share_not_found`
+  get(token) {
+    return apiFetch(`/api/wishlist/shares/${encodeURIComponent(token)}`, { auth: false });
+  },
+};
+
+function toShareItems(items) {
+  return items.map(({ id, title, price, image, category }) => ({ id, title, price, image, category }));
+}
+
 // Payment API functions (simulated) - implements fail/success pattern
 export const paymentAPI = {
   // Simulate payment processing with realistic delays
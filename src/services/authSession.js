@@ -0,0 +1,92 @@
+// Token storage for the shell's own API (see `services/mock-api/auth.mjs`).
+// Note: localStorage keeps the session across reloads for this demo; a production deployment would keep the
+// refresh token in an httpOnly cookie instead.
+
+const SESSION_STORAGE_KEY = 'shophub:auth-session';
+
+let session = null;
+const listeners = new Set();
+
+function readStoredSession() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+    return parsed?.accessToken && parsed?.refreshToken ? parsed : null;
+  } catch {
+    // Ignore storage / privacy mode errors and malformed JSON.
+    return null;
+  }
+}
+
+function notify(change) {
+  listeners.forEach((listener) => listener(change));
+}
+
+export function getSession() {
+  if (!session) session = readStoredSession();
+  return session;
+}
+
+/**
+ * Re-read the stored session (another tab may have refreshed it; refresh tokens are single-use).
+ */
+export function reloadSession() {
+  session = readStoredSession();
+  return session;
+}
+
+export function getAccessToken() {
+  return getSession()?.accessToken ?? null;
+}
+
+/**
+ * @param {{ accessToken: string, refreshToken: string, expiresIn: number, refreshExpiresIn?: number }} tokens
+ *   as returned by `/api/auth/login`, `/signup` and `/refresh` (`expiresIn` in seconds).
+ */
+export function setSession({ accessToken, refreshToken, expiresIn, refreshExpiresIn }) {
+  const now = Date.now();
+  session = {
+    accessToken,
+    refreshToken,
+    accessExpiresAt: now + expiresIn * 1000,
+    refreshExpiresAt: refreshExpiresIn ? now + refreshExpiresIn * 1000 : null,
+  };
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  } catch {
+    // Ignore storage errors; the session still lives in memory for this tab.
+  }
+  notify({ type: 'updated', session });
+  return session;
+}
+
+/**
+ * @param {{ reason?: 'logout'|'expired' }} [options]  `expired` = the server refused to refresh the session.
+ */
+export function clearSession({ reason = 'logout' } = {}) {
+  session = null;
+  try {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+  } catch {
+    // Ignore storage errors.
+  }
+  notify({ type: 'cleared', reason });
+}
+
+// Another tab logged in, refreshed the tokens or logged out. Note: `storage` events only fire in the other tabs.
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    // `key === null`: localStorage.clear()
+    if (event.key !== SESSION_STORAGE_KEY && event.key !== null) return;
+    session = readStoredSession();
+    notify(session ? { type: 'updated', session, external: true } : { type: 'cleared', reason: 'external', external: true });
+  });
+}
+
+/**
+ * @param {(change: { type: 'updated'|'cleared', session?: Object, reason?: string, external?: boolean }) => void} listener
+ *   `external: true` for changes made in another tab.
+ */
+export function subscribeSession(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
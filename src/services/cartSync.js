@@ -0,0 +1,88 @@
+// Optimistic cart mutations against the server cart (`cartAPI`, signed-in users only).
+//
+// - Mutations are sent one at a time, in the order they were made.
+// - The UI shows the last cart the server confirmed with every pending mutation re-applied on top, so a change
+//   appears immediately and a response doesn't undo changes that are still in flight.
+// - A rejected mutation is dropped from the pending list: the UI is rebuilt without it (rollback).
+// - Each server response replaces the confirmed cart; the server is the source of truth (prices, quantity caps).
+//   Responses older than the confirmed cart (lower `version`) are ignored.
+//
+// Note: server lines carry a product snapshot only; fields the shell already had (description, rating) are kept.
+
+function withLocalDetails(items, localItems) {
+  return items.map((line) => {
+    const local = localItems.find((item) => String(item.id) === String(line.id));
+    return local ? { ...local, ...line } : line;
+  });
+}
+
+/**
+ * @param {{ onChange: (update: (prevItems: Array<Object>) => Array<Object>) => void }} options
+ *   `onChange` is the cart's React state setter.
+ */
+export function createCartSync({ onChange }) {
+  let confirmed = { items: [], version: -1 };
+  let pending = []; // [{ apply: (items) => items }]
+  let chain = Promise.resolve();
+  // Reason: `reset()` (login, logout) must turn responses to the previous user's requests into no-ops.
+  let generation = 0;
+
+  const emit = () => {
+    const view = pending.reduce((items, op) => op.apply(items), confirmed.items);
+    onChange((prevItems) => withLocalDetails(view, prevItems));
+  };
+
+  const confirm = (cart) => {
+    if (cart.version < confirmed.version) return;
+    confirmed = { items: cart.items, version: cart.version };
+  };
+
+  return {
+    /**
+     * Start over from a server cart (login), or from an empty one (logout). Pending mutations are abandoned.
+     */
+    reset(cart = { items: [], version: -1 }) {
+      generation += 1;
+      confirmed = { items: cart.items, version: cart.version };
+      pending = [];
+      emit();
+    },
+
+    /**
+     * Adopt a newer server cart (e.g. changed in another tab) while keeping pending mutations on top.
+     */
+    refresh(cart) {
+      confirm(cart);
+      emit();
+    },
+
+    /**
+     * @param {(items: Array<Object>) => Array<Object>} apply  the optimistic change (like a state updater)
+     * @param {() => Promise<{ cart: Object }>} send  the API call
+     * @returns {Promise<Object|null>} the server cart (null if a reset made the change moot); rejects with the API
+     *   error once the change has been rolled back.
+     */
+    mutate(apply, send) {
+      const op = { apply };
+      const opGeneration = generation;
+      pending.push(op);
+      emit();
+
+      const run = chain.then(async () => {
+        if (opGeneration !== generation) return null;
+        try {
+          const { cart } = await send();
+          if (opGeneration === generation) confirm(cart);
+          return cart;
+        } finally {
+          if (opGeneration === generation) {
+            pending = pending.filter((p) => p !== op);
+            emit();
+          }
+        }
+      });
+      chain = run.catch(() => {});
+      return run;
+    },
+  };
+}
@@ -0,0 +1,132 @@
+/* global __SHOPHUB_API_BASE_URL__ */
+import { clearSession, getAccessToken, getSession, reloadSession, setSession } from './authSession.js';
+
+// Client for the shell's own API (`/api/...`; the mock API in dev).
+// Reason: one place attaches the bearer token and turns `{ error, message }` responses into `ApiError`s.
+// Third-party APIs (fakestoreapi, ...) keep using `createFetchRequest` in `api.js` and never see the token.
+//
+// Token refresh:
+// - An access token that expires within `REFRESH_SKEW_MS` is refreshed before the call is sent.
+// - Only one refresh runs at a time; calls made meanwhile wait for it instead of failing with the old token.
+// - A call rejected with an expired/invalid token is retried once after a refresh.
+// - If the server refuses the refresh, the session is cleared with reason `expired` (AuthContext logs out).
+
+const API_BASE_URL = __SHOPHUB_API_BASE_URL__;
+const DEFAULT_TIMEOUT_MS = 10000;
+const REFRESH_SKEW_MS = 30000;
+const REFRESHABLE_ERROR_CODES = ['token_expired', 'invalid_token'];
+
+let refreshPromise = null;
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'network_error', requestId = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.requestId = requestId;
+  }
+}
+
+async function request(path, { method = 'GET', body, headers = {}, accessToken = null, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new ApiError('Request timeout. Please try again later.', { code: 'timeout' });
+    }
+    throw new ApiError('Could not reach the server. Please check your connection and try again.');
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  const isJson = (response.headers.get('content-type') || '').includes('application/json');
+  const data = isJson ? await response.json().catch(() => null) : null;
+
+  if (!response.ok) {
+    throw new ApiError(data?.message || `HTTP error! status: ${response.status}`, {
+      status: response.status,
+      code: data?.error ?? 'http_error',
+      requestId: data?.requestId ?? response.headers.get('x-request-id'),
+    });
+  }
+  // Reason: without the mock API, static hosting answers `/api/*` with index.html (200, text/html).
+  if (!isJson && response.status !== 204) {
+    throw new ApiError('The server returned an unexpected response. Please try again later.', {
+      status: response.status,
+      code: 'unexpected_response',
+    });
+  }
+
+  return data;
+}
+
+/**
+ * Exchange the refresh token for a new token pair. Concurrent callers share one request.
+ */
+export function refreshSession() {
+  if (refreshPromise) return refreshPromise;
+
+  const current = getSession();
+  const stored = reloadSession();
+  // Reason: another tab may already have rotated the (single-use) refresh token; use its fresh pair instead.
+  if (stored && stored.refreshToken !== current?.refreshToken && stored.accessExpiresAt - Date.now() > REFRESH_SKEW_MS) {
+    return Promise.resolve(stored);
+  }
+  if (!stored) {
+    return Promise.reject(new ApiError('You are not signed in.', { status: 401, code: 'unauthorized' }));
+  }
+
+  refreshPromise = request('/api/auth/refresh', { method: 'POST', body: { refreshToken: stored.refreshToken } })
+    .then((tokens) => setSession(tokens))
+    .catch((error) => {
+      // Network errors keep the session (the next call retries); a 401 means the session is over.
+      if (error.status === 401) {
+        if (reloadSession()?.refreshToken === stored.refreshToken) clearSession({ reason: 'expired' });
+        else return getSession();
+      }
+      throw error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+}
+
+/**
+ * @param {string} path  e.g. `/api/auth/me`
+ * @param {{ method?: string, body?: any, headers?: Object, auth?: boolean, timeout?: number }} [options]
+ *   `auth: false` skips the bearer token and refresh handling (login/signup/refresh).
+ * @returns {Promise<any>} parsed JSON, or `null` for empty responses (204).
+ */
+export async function apiFetch(path, { auth = true, ...options } = {}) {
+  if (!auth) return request(path, options);
+
+  const session = getSession();
+  if (refreshPromise || (session && session.accessExpiresAt - Date.now() < REFRESH_SKEW_MS)) {
+    // Reason: a failed refresh still lets the call go out; the server's answer decides what the caller sees.
+    await refreshSession().catch(() => {});
+  }
+
+  try {
+    return await request(path, { ...options, accessToken: getAccessToken() });
+  } catch (error) {
+    if (error.status !== 401 || !REFRESHABLE_ERROR_CODES.includes(error.code) || !getSession()) throw error;
+    await refreshSession();
+    return request(path, { ...options, accessToken: getAccessToken() });
+  }
+}
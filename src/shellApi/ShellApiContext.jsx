@@ -0,0 +1,40 @@
+import React, { createContext, useContext } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { useCart } from '../contexts/CartContext.jsx';
+import { useCurrency } from '../contexts/CurrencyContext.jsx';
+import { useSnackbar } from '../contexts/SnackbarContext.jsx';
+import { useWishlist } from '../contexts/WishlistContext.jsx';
+import { useWishlistAlerts } from '../contexts/WishlistAlertsContext.jsx';
+import { createShellApi } from './createShellApi.js';
+
+// Builds the versioned `shellApi` from the shell's contexts; `RemoteRoute` passes it to every remote page.
+const ShellApiContext = createContext(null);
+
+// eslint-disable-next-line react-refresh/only-export-components
+export const useShellApi = () => {
+  const context = useContext(ShellApiContext);
+  if (!context) {
+    throw new Error('useShellApi must be used within a ShellApiProvider');
+  }
+  return context;
+};
+
+// Must render inside <Router> (navigation namespace) and all state providers.
+export const ShellApiProvider = ({ children }) => {
+  const auth = useAuth();
+  const cart = useCart();
+  const currency = useCurrency();
+  const wishlist = useWishlist();
+  const wishlistAlerts = useWishlistAlerts();
+  const snackbar = useSnackbar();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Note: rebuilt on every render, not memoized. Auth, cart and currency hand out a new context value each render, and
+  // the API carries snapshots (`cart.items`, `auth.user`) that must follow them anyway.
+  const shellApi = createShellApi({ auth, cart, wishlist, wishlistAlerts, currency, snackbar, navigate, location });
+
+  return <ShellApiContext.Provider value={shellApi}>{children}</ShellApiContext.Provider>;
+};
@@ -0,0 +1,69 @@
+import { getRemoteEntry } from '../federation/remoteRegistry.js';
+import { satisfies } from '../utils/semver.js';
+
+/**
+ * Host–remote contract versions.
+ *
+ * Remotes declare the shell API range they were built against, either on the exposed module
+ * (`export const shellApiVersion = '^1.0.0'`, or a `shellApiVersion` static on the default export)
+ * or in the remote manifest entry (`"shellApiVersion": "^1.0.0"`). The module wins over the manifest.
+ *
+ * Bump the minor for additive changes (new namespace/method); add a new `vN` key for breaking ones.
+ */
+export const SHELL_API_VERSIONS = {
+  v1: '1.11.0',
+};
+
+export class ShellApiContractError extends Error {
+  constructor(remote, module, declared) {
+    super(
+      `Remote module "${remote}/${module}" expects shell API ${declared}, but the shell provides ${Object.values(
+        SHELL_API_VERSIONS,
+      ).join(', ')}`,
+    );
+    this.name = 'ShellApiContractError';
+    this.remote = remote;
+    this.module = module;
+    this.declared = declared;
+    // Reason: a contract mismatch needs a deploy, not a retry.
+    this.retryable = false;
+  }
+}
+
+// `${remote}/${module}` -> { remote, module, declared, source, resolved }
+const contracts = new Map();
+
+function readDeclaredVersion(remote, loadedModule) {
+  const fromModule = loadedModule?.shellApiVersion ?? loadedModule?.default?.shellApiVersion;
+  if (fromModule) return { declared: String(fromModule), source: 'module' };
+  const fromManifest = getRemoteEntry(remote)?.shellApiVersion;
+  if (fromManifest) return { declared: String(fromManifest), source: 'manifest' };
+  return { declared: null, source: null };
+}
+
+/**
+ * Called by `lazyRemote` after a remote module loads.
+ * Returns the API key (`v1`, ...) the remote should use; throws `ShellApiContractError` on mismatch.
+ */
+export function checkRemoteContract(remote, module, loadedModule) {
+  const key = `${remote}/${module}`;
+  const { declared, source } = readDeclaredVersion(remote, loadedModule);
+
+  if (!declared) {
+    // Reason: remotes predating the contract only know the legacy props + v1; don't break them.
+    if (!contracts.has(key)) console.warn(`[shell][shellApi] ${key} does not declare a shellApiVersion; assuming v1.`);
+    contracts.set(key, { remote, module, declared: null, source: null, resolved: 'v1' });
+    return 'v1';
+  }
+
+  const match = Object.entries(SHELL_API_VERSIONS).find(([, version]) => satisfies(version, declared));
+  contracts.set(key, { remote, module, declared, source, resolved: match?.[0] ?? null });
+
+  if (!match) throw new ShellApiContractError(remote, module, declared);
+  return match[0];
+}
+
+export function getRemoteContracts(remote) {
+  const all = [...contracts.values()];
+  return remote ? all.filter((c) => c.remote === remote) : all;
+}
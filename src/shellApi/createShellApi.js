@@ -0,0 +1,263 @@
+import { SHELL_API_VERSIONS } from './contract.js';
+import { getLastEvent, publish, subscribe } from '../events/eventBus.js';
+import { apiFetch } from '../services/httpClient.js';
+import { formatMoney, fromMinor, toMinor } from '../pricing/money.js';
+
+/**
+ * Host API handed to every remote page as the `shellApi` prop.
+ *
+ * Reason:
+ * - Remote pages used to receive ad-hoc props (`addToCart`, `showError`, `cartItems`...) that differed per route.
+ * - One versioned object lets remotes code against a documented surface and lets the shell evolve it safely.
+ *
+ * Remotes read `props.shellApi.v1.<namespace>`; see `src/shellApi/README.md` for the contract.
+ */
+
+/**
+ * @typedef {Object} ShellCartApiV1
+ * @property {Array<Object>} items                 Cart lines (`{ ...product, quantity }`).
+ * @property {(product: Object, quantity?: number) => Promise<boolean>} add
+ * @property {(productId: number|string) => Promise<void>} remove
+ * @property {(productId: number|string, quantity: number) => Promise<void>} updateQuantity
+ * @property {() => Promise<void>} clear
+ * @property {() => number} getTotal   after promotions (since 1.5.0; was the plain sum of `price * quantity`)
+ * @property {() => number} getSubtotal   before promotions (since 1.5.0)
+ * @property {() => import('../pricing/promotions.js').CartBreakdown} getBreakdown   per-line discounts (since 1.5.0)
+ * @property {(address: { country: string, region?: string }, shippingMethod: string) =>
+ *   Promise<import('../pricing/orderQuote.js').OrderQuote>} getOrderQuote   shipping + tax; show and charge its
+ *   `total` (since 1.6.0)
+ * @property {Array<{ code: string, label: string }>} coupons   entered coupon codes (since 1.5.0)
+ * @property {(code: string) => Promise<boolean>} applyCoupon   shows the outcome as a notification (since 1.5.0)
+ * @property {(code: string) => void} removeCoupon   (since 1.5.0)
+ * @property {() => number} getItemCount
+ * @property {() => boolean} isEmpty
+ * @property {(productId: number|string) => Object|undefined} getItem
+ */
+
+/**
+ * @typedef {Object} ShellWishlistApiV1
+ * @property {Array<Object>} items   every listed product once, across all lists
+ * @property {number} count
+ * @property {Array<{ id: string, name: string, items: Array<Object>, createdAt: string, share?: Object }>} lists
+ *   named lists; the first is the default one, `saved-for-later` holds lines parked from the cart (since 1.8.0);
+ *   `share: { token, url, updatedAt }` while a list is shared (since 1.9.0)
+ * @property {(productId: number|string, listId?: string) => boolean} has   in any list, or in `listId` (1.8.0)
+ * @property {(product: Object, listId?: string) => void} add   to the default list, or `listId` (1.8.0)
+ * @property {(productId: number|string, listId?: string) => void} remove   from every list, or `listId` (1.8.0)
+ * @property {(listId?: string) => void} clear   every list, or `listId` (1.8.0)
+ * @property {(name: string) => string|null} createList   new list id; null (with an error message) if the name is
+ *   empty, too long or taken (since 1.8.0)
+ * @property {(listId: string, name: string) => boolean} renameList   (since 1.8.0)
+ * @property {(listId: string) => boolean} deleteList   false for the default list (since 1.8.0)
+ * @property {(productId: number|string, fromListId: string, toListId: string) => void} moveToList   (since 1.8.0)
+ * @property {(productId: number|string, listId?: string) => Promise<boolean>} moveToCart   leaves the list only
+ *   if the cart accepted it (since 1.8.0)
+ * @property {(productId: number|string) => Promise<boolean>} saveForLater   cart line → "Saved for later"
+ *   (since 1.8.0)
+ * @property {(listId: string) => Promise<string|null>} shareList   read-only link to a snapshot of the list
+ *   (sharing again refreshes it); null if signed out or it failed (since 1.9.0)
+ * @property {(listId: string) => Promise<boolean>} revokeShare   the link stops working (since 1.9.0)
+ * @property {(productId: number|string, price: number|null) => boolean} setTargetPrice   alert when the product
+ *   reaches `price`; stored on its list entries as `targetPrice`, `null` clears it (since 1.10.0)
+ * @property {(productId: number|string) => { price: number, inStock: boolean, checkedAt: number }|null}
+ *   getPriceStatus   current catalog price / stock from the last alert check (since 1.10.0)
+ * @property {Array<Object>} alerts   price-drop, target-price and restock alerts, newest first (since 1.10.0)
+ * @property {number} unreadAlertCount   (since 1.10.0)
+ * @property {(alertIds?: string[]) => void} markAlertsRead   all alerts without ids (since 1.10.0)
+ */
+
+/**
+ * @typedef {Object} ShellAuthApiV1
+ * @property {Object|null} user  `{ id, name, email, roles, permissions, ... }`
+ * @property {boolean} isAuthenticated
+ * @property {boolean} loading
+ * @property {number|null} sessionExpiresAt  epoch ms when the session ends and the user must sign in again
+ *   (since 1.3.0). Warn before long flows such as checkout instead of letting the submit fail.
+ * @property {(permission: string|string[]) => boolean} can  whether the user has the permission(s) (since 1.4.0)
+ * @property {(email: string, password: string) => Promise<Object>} login
+ * @property {(name: string, email: string, password: string, confirmPassword: string) => Promise<Object>} signup
+ * @property {() => Promise<void>} logout
+ */
+
+/**
+ * @typedef {{ label: string, onClick?: () => void, to?: string }} ShellNotificationAction
+ *   `to`: a shell path to open (also kept in the history); `onClick`: on the toast only, e.g. "Undo"
+ */
+
+/**
+ * @typedef {{ duration?: number|null, actions?: ShellNotificationAction[] }} ShellNotificationOptions
+ *   `duration: null` keeps the toast until it is closed
+ */
+
+/**
+ * @typedef {Object} ShellNotificationsApiV1
+ * Toasts queue and stack instead of replacing each other; each one is also kept in the Navbar bell's history.
+ * The second argument is a duration in ms or, since 1.11.0, `{ duration?, actions? }`.
+ * @property {(message: string, options?: number|ShellNotificationOptions) => string} success
+ * @property {(message: string, options?: number|ShellNotificationOptions) => string} error
+ * @property {(message: string, options?: number|ShellNotificationOptions) => string} warning
+ * @property {(message: string, options?: number|ShellNotificationOptions) => string} info
+ * @property {(notification: { severity?: string, message: string, duration?: number|null,
+ *   actions?: ShellNotificationAction[] }) => string} notify   returns the id (since 1.11.0)
+ * @property {(id: string) => void} dismiss   close a toast early (since 1.11.0)
+ * @property {Array<{ id, severity, message, createdAt, read, actions }>} history   newest first (since 1.11.0)
+ * @property {number} unreadCount   (since 1.11.0)
+ */
+
+/**
+ * @typedef {Object} ShellMoneyApiV1   (since 1.7.0)
+ * @property {string} baseCurrency   currency of catalog prices, cart totals and quotes (`USD`)
+ * @property {string} currency       display currency picked in the Navbar
+ * @property {string[]} currencies
+ * @property {string} locale
+ * @property {(code: string) => void} setCurrency
+ * @property {(amount: number) => string} format   base-currency amount → display string in `currency`
+ * @property {(amount: number) => number} convert   base-currency amount → `currency` amount, rounded to its minor unit
+ * @property {(amount: number, currency?: string) => number} toMinor   e.g. `109.95` → `10995`; sum these, not floats
+ * @property {(minor: number, currency?: string) => number} fromMinor
+ * @property {(minor: number, currency: string) => string} formatMinor   format without converting
+ */
+
+/**
+ * @typedef {Object} ShellNavigationApiV1
+ * @property {(to: string|number, options?: { replace?: boolean, state?: any }) => void} navigate
+ * @property {string} pathname
+ * @property {string} search
+ */
+
+/**
+ * @typedef {Object} ShellEventsApiV1   (since 1.1.0)
+ * @property {(type: string, payload?: any, options?: { source?: string }) => Object} publish
+ * @property {(pattern: string, handler: (payload: any, event: Object) => void, options?: { replay?: boolean }) => () => void} subscribe
+ * @property {(type: string) => Object|null} getLast
+ */
+
+/**
+ * @typedef {Object} ShellHttpApiV1   (since 1.2.0)
+ * @property {(path: string, options?: { method?: string, body?: any, headers?: Object }) => Promise<any>} fetch
+ *   Calls the shell's API (`/api/...`) with the user's bearer token; rejects with an `ApiError` (`status`, `code`).
+ */
+
+/**
+ * @typedef {Object} ShellApiV1
+ * @property {string} version
+ * @property {ShellCartApiV1} cart
+ * @property {ShellWishlistApiV1} wishlist
+ * @property {ShellAuthApiV1} auth
+ * @property {ShellNotificationsApiV1} notifications
+ * @property {ShellMoneyApiV1} money
+ * @property {ShellNavigationApiV1} navigation
+ * @property {ShellEventsApiV1} events
+ * @property {ShellHttpApiV1} api
+ */
+
+/**
+ * @typedef {Object} ShellApi
+ * @property {Record<string, string>} versions   e.g. `{ v1: '1.0.0' }`
+ * @property {ShellApiV1} v1
+ */
+
+/**
+ * @returns {ShellApiV1}
+ */
+export function createShellApiV1({ auth, cart, wishlist, wishlistAlerts, currency, snackbar, navigate, location }) {
+  return Object.freeze({
+    version: SHELL_API_VERSIONS.v1,
+    cart: Object.freeze({
+      items: cart.cartItems,
+      add: cart.addToCart,
+      remove: cart.removeFromCart,
+      updateQuantity: cart.updateQuantity,
+      clear: cart.clearCart,
+      getTotal: cart.getCartTotal,
+      getSubtotal: cart.getCartSubtotal,
+      getBreakdown: cart.getCartBreakdown,
+      getOrderQuote: cart.getOrderQuote,
+      coupons: cart.coupons,
+      applyCoupon: cart.applyCoupon,
+      removeCoupon: cart.removeCoupon,
+      getItemCount: cart.getCartItemCount,
+      isEmpty: cart.isCartEmpty,
+      getItem: cart.getCartItem,
+    }),
+    wishlist: Object.freeze({
+      items: wishlist.wishlistItems,
+      count: wishlist.wishlistCount,
+      lists: wishlist.lists,
+      has: wishlist.isInWishlist,
+      add: wishlist.addToWishlist,
+      remove: wishlist.removeFromWishlist,
+      clear: wishlist.clearWishlist,
+      createList: wishlist.createWishlist,
+      renameList: wishlist.renameWishlist,
+      deleteList: wishlist.deleteWishlist,
+      moveToList: wishlist.moveToList,
+      moveToCart: wishlist.moveToCart,
+      saveForLater: wishlist.saveForLater,
+      shareList: wishlist.shareWishlist,
+      revokeShare: wishlist.revokeWishlistShare,
+      setTargetPrice: wishlist.setTargetPrice,
+      getPriceStatus: wishlistAlerts.getPriceStatus,
+      alerts: wishlistAlerts.alerts,
+      unreadAlertCount: wishlistAlerts.unreadCount,
+      markAlertsRead: wishlistAlerts.markAlertsRead,
+    }),
+    auth: Object.freeze({
+      user: auth.user,
+      isAuthenticated: auth.isAuthenticated,
+      loading: auth.loading,
+      sessionExpiresAt: auth.sessionExpiresAt,
+      can: auth.can,
+      login: auth.login,
+      signup: auth.signup,
+      logout: auth.logout,
+    }),
+    notifications: Object.freeze({
+      success: snackbar.showSuccess,
+      error: snackbar.showError,
+      warning: snackbar.showWarning,
+      info: snackbar.showInfo,
+      notify: snackbar.notify,
+      dismiss: snackbar.dismiss,
+      history: snackbar.history,
+      unreadCount: snackbar.unreadCount,
+    }),
+    money: Object.freeze({
+      baseCurrency: currency.baseCurrency,
+      currency: currency.currency,
+      currencies: currency.currencies,
+      locale: currency.locale,
+      setCurrency: currency.setCurrency,
+      format: currency.formatPrice,
+      convert: currency.convertPrice,
+      toMinor,
+      fromMinor,
+      formatMinor: (minor, code) => formatMoney(minor, code, currency.locale),
+    }),
+    navigation: Object.freeze({
+      navigate: (to, options) => navigate(to, options),
+      pathname: location.pathname,
+      search: location.search,
+    }),
+    events: Object.freeze({
+      // Reason: default the source so the debug log tells shell and remote publishes apart.
+      publish: (type, payload, options) => publish(type, payload, { source: 'remote', ...options }),
+      subscribe,
+      getLast: getLastEvent,
+    }),
+    api: Object.freeze({
+      // Reason: remotes never handle tokens themselves; the shell attaches (and later refreshes) them.
+      fetch: (path, options) => apiFetch(path, options),
+    }),
+  });
+}
+
+/**
+ * @returns {ShellApi}
+ */
+export function createShellApi(deps) {
+  return Object.freeze({
+    versions: { ...SHELL_API_VERSIONS },
+    v1: createShellApiV1(deps),
+  });
+}
@@ -0,0 +1,82 @@
+/**
+ * Messages between open tabs of the shell (same origin).
+ *
+ * Purpose:
+ * - Cart and wishlist changes made in one tab show up in the others (see `useTabSyncedList.js`).
+ * - Transport: BroadcastChannel; where it's missing, `storage` events on a scratch key (write, then remove).
+ *
+ * Note: a tab never receives its own messages. The session itself syncs through `storage` events on its
+ * own key (see `services/authSession.js`), since every tab has to re-read the stored tokens anyway.
+ */
+
+const CHANNEL_NAME = 'shophub:tab-sync';
+
+// Identifies this tab in messages; also breaks timestamp ties between tabs deterministically.
+export const TAB_ID =
+  typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : Math.random().toString(36).slice(2);
+
+const handlers = new Map(); // topic -> Set<handler>
+let channel = null;
+let started = false;
+
+function dispatch(message) {
+  if (!message || message.tabId === TAB_ID) return;
+  handlers.get(message.topic)?.forEach((handler) => {
+    try {
+      handler(message.payload, { tabId: message.tabId, sentAt: message.sentAt });
+    } catch (error) {
+      console.error(`[shell][tab-sync] Handler for "${message.topic}" failed:`, error);
+    }
+  });
+}
+
+function ensureTransport() {
+  if (started) return;
+  started = true;
+
+  if (typeof BroadcastChannel === 'function') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => dispatch(event.data);
+    return;
+  }
+
+  window.addEventListener('storage', (event) => {
+    if (event.key !== CHANNEL_NAME || !event.newValue) return;
+    try {
+      dispatch(JSON.parse(event.newValue));
+    } catch {
+      // Ignore malformed messages.
+    }
+  });
+}
+
+/**
+ * Send `payload` (structured-cloneable / JSON) to every other open tab subscribed to `topic`.
+ */
+export function broadcast(topic, payload) {
+  ensureTransport();
+  const message = { topic, payload, tabId: TAB_ID, sentAt: Date.now() };
+
+  if (channel) {
+    channel.postMessage(message);
+    return;
+  }
+  try {
+    localStorage.setItem(CHANNEL_NAME, JSON.stringify(message));
+    localStorage.removeItem(CHANNEL_NAME);
+  } catch {
+    // Ignore storage / privacy mode errors; other tabs catch up on their next reload.
+  }
+}
+
+/**
+ * @param {string} topic
+ * @param {(payload: any, meta: { tabId: string, sentAt: number }) => void} handler
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeTabs(topic, handler) {
+  ensureTransport();
+  if (!handlers.has(topic)) handlers.set(topic, new Set());
+  handlers.get(topic).add(handler);
+  return () => handlers.get(topic)?.delete(handler);
+}
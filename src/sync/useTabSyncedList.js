@@ -0,0 +1,87 @@
+import { useEffect, useRef } from 'react';
+
+import { broadcast, subscribeTabs, TAB_ID } from './tabSync.js';
+
+function isNewer(change, last) {
+  if (!last) return true;
+  return change.at > last.at || (change.at === last.at && change.tabId < last.tabId);
+}
+
+function applyChanges(items, changes, insert) {
+  let next = items;
+  for (const { id, entry } of changes) {
+    const index = next.findIndex((item) => item?.id === id);
+    if (!entry) {
+      if (index !== -1) next = next.filter((_, i) => i !== index);
+    } else if (index !== -1) {
+      next = next.map((item, i) => (i === index ? entry : item));
+    } else {
+      next = insert === 'prepend' ? [entry, ...next] : [...next, entry];
+    }
+  }
+  return next;
+}
+
+/**
+ * Keep a list of `{ id, ... }` entries (cart lines, wishlist items) in sync across open tabs.
+ *
+ * Conflict rule: last write wins per entry. Each local change to an entry (add, update, remove) is broadcast
+ * with a timestamp, and a tab applies a remote change only if it is newer than the last change it saw for that
+ * entry (same timestamp: the lower tab id wins). Changes to different entries never conflict, so adding item A
+ * in one tab while removing item B in another keeps both changes.
+ *
+ * @param {Array<{ id: any }>} items  current list (React state)
+ * @param {(update: (prev: Array<Object>) => Array<Object>) => void} setItems  its state setter
+ * @param {{ topic: string, ready?: boolean, insert?: 'append'|'prepend' }} options
+ *   `ready: false` while the list is loading from storage (or synced some other way), so those changes aren't
+ *   broadcast.
+ *   `insert`: where entries first seen in another tab are added.
+ */
+export function useTabSyncedList(items, setItems, { topic, ready = true, insert = 'append' }) {
+  // id -> serialized entry as last seen (local or applied from another tab); null until the list is ready.
+  const seenRef = useRef(null);
+  // id -> { at, tabId } of the last change applied to that entry.
+  const versionsRef = useRef(new Map());
+
+  useEffect(() => {
+    if (!ready) {
+      // Reason: when syncing resumes, start from that moment's list instead of diffing against an old one.
+      seenRef.current = null;
+      return;
+    }
+    const current = new Map(items.map((item) => [item?.id, JSON.stringify(item)]));
+    const seen = seenRef.current;
+    seenRef.current = current;
+    if (!seen) return;
+
+    const changes = [];
+    items.forEach((item) => {
+      if (seen.get(item?.id) !== current.get(item?.id)) changes.push({ id: item?.id, entry: item });
+    });
+    seen.forEach((_, id) => {
+      if (!current.has(id)) changes.push({ id, entry: null });
+    });
+    if (!changes.length) return;
+
+    const version = { at: Date.now(), tabId: TAB_ID };
+    changes.forEach(({ id }) => versionsRef.current.set(id, version));
+    broadcast(topic, { changes, at: version.at });
+  }, [items, ready, topic]);
+
+  useEffect(
+    () =>
+      subscribeTabs(topic, ({ changes, at }, { tabId }) => {
+        const accepted = (changes ?? []).filter(({ id }) => isNewer({ at, tabId }, versionsRef.current.get(id)));
+        if (!accepted.length) return;
+
+        accepted.forEach(({ id, entry }) => {
+          versionsRef.current.set(id, { at, tabId });
+          // Reason: mark as seen so the effect above doesn't broadcast the change straight back.
+          if (entry) seenRef.current?.set(id, JSON.stringify(entry));
+          else seenRef.current?.delete(id);
+        });
+        setItems((prev) => applyChanges(prev, accepted, insert));
+      }),
+    [topic, setItems, insert],
+  );
+}
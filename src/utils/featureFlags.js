@@ -0,0 +1,34 @@
+import { getManifest } from '../federation/remoteRegistry.js';
+import { readJson } from './versionedStorage.js';
+
+// Runtime feature flags.
+// Resolution order (later wins): defaults below → `features` in `remotes.manifest.json` → localStorage overrides.
+// Reason: flags ship with the manifest, so a menu entry or page can be switched off without a shell release.
+
+const DEFAULT_FLAGS = {
+  // Debug pages (/debug/*) in the Remotes menu.
+  diagnostics: true,
+  // Menu entries that deliberately trigger federation/network failures (observability demos).
+  failureDrills: true,
+};
+
+const OVERRIDES_STORAGE_KEY = 'shophub:feature-flags';
+
+function readOverrides() {
+  const parsed = readJson(OVERRIDES_STORAGE_KEY);
+  return parsed && typeof parsed === 'object' ? parsed : {};
+}
+
+export function getFeatureFlags() {
+  const fromManifest = getManifest()?.features;
+  return {
+    ...DEFAULT_FLAGS,
+    ...(fromManifest && typeof fromManifest === 'object' ? fromManifest : {}),
+    ...readOverrides(),
+  };
+}
+
+// Unknown flags are off.
+export function isFeatureEnabled(flag) {
+  return getFeatureFlags()[flag] === true;
+}
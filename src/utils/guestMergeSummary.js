@@ -0,0 +1,42 @@
+// One "what we brought over" message after login, covering every store that merges guest data
+// (cart, wishlist). Reason: one login is one event; separate messages would queue up as several toasts (and
+// several bell entries) for it.
+
+const SOURCES = ['cart', 'wishlist'];
+// The cart merge waits for the server; don't hold the message back longer than this.
+const MAX_WAIT_MS = 5000;
+
+let reports = {};
+let timerId = null;
+
+function formatSummary({ cart = 0, wishlist = 0 }) {
+  const items = (count) => `${count} ${count === 1 ? 'item' : 'items'}`;
+  const verb = (count) => (count === 1 ? 'was' : 'were');
+  if (cart && wishlist) {
+    return `${items(cart)} from your previous session ${verb(cart)} added to your cart and ${wishlist} to your wishlist.`;
+  }
+  if (cart) return `${items(cart)} from your previous session ${verb(cart)} added to your cart.`;
+  if (wishlist) return `${items(wishlist)} from your previous session ${verb(wishlist)} added to your wishlist.`;
+  return null;
+}
+
+function flush(notify) {
+  clearTimeout(timerId);
+  timerId = null;
+  const message = formatSummary(reports);
+  reports = {};
+  if (message) notify(message);
+}
+
+/**
+ * Report how many guest entries `source` merged after a login (0 is a valid report).
+ * `notify` is called once with the combined message when every source has reported, or after `MAX_WAIT_MS`.
+ */
+export function reportGuestMerge(source, count, notify) {
+  reports[source] = count;
+  if (SOURCES.every((s) => s in reports)) {
+    flush(notify);
+    return;
+  }
+  if (!timerId) timerId = setTimeout(() => flush(notify), MAX_WAIT_MS);
+}
@@ -0,0 +1,41 @@
+/**
+ * Notification history (the Navbar bell): what was shown to the guest / each account on this device, and whether
+ * it was read.
+ *
+ * Storage: `shophub:notifications:v1[:<userId>]` → `{ version: 1, items: [{ id, severity, message, createdAt, read,
+ * actions }] }`, newest first. Only link actions (`{ label, to }`) are kept; callbacks such as "Undo" belong to the
+ * toast that offered them.
+ */
+
+import { readVersioned, userStorageKey, writeVersioned } from './versionedStorage.js';
+
+export const NOTIFICATIONS_SCHEMA_VERSION = 1;
+export const MAX_HISTORY = 100;
+
+const KEY = 'shophub:notifications:v1';
+
+export function historyKeyFor(userId) {
+  return userStorageKey(KEY, userId);
+}
+
+export function readHistory(userId) {
+  const doc = readVersioned(historyKeyFor(userId), NOTIFICATIONS_SCHEMA_VERSION);
+  if (!Array.isArray(doc?.items)) return [];
+  return doc.items.filter((n) => n?.id && typeof n.message === 'string');
+}
+
+export function writeHistory(userId, items) {
+  writeVersioned(historyKeyFor(userId), NOTIFICATIONS_SCHEMA_VERSION, { items: items.slice(0, MAX_HISTORY) });
+}
+
+// History entry for a notification that was just shown.
+export function toHistoryEntry({ id, severity, message, createdAt, actions }) {
+  return {
+    id,
+    severity,
+    message,
+    createdAt,
+    read: false,
+    actions: actions.filter((action) => typeof action.to === 'string').map(({ label, to }) => ({ label, to })),
+  };
+}
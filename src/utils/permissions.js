@@ -0,0 +1,21 @@
+// Role-based access checks.
+// Reason: the auth API owns roles and what they grant (`user.roles`, `user.permissions`; see
+// `services/mock-api/auth.mjs`). The shell only ever checks permissions, so a new role needs no shell release.
+
+// Permissions the shell itself checks. Remotes may check any permission string the API issues.
+export const PERMISSIONS = {
+  ORDERS_READ: 'orders:read',
+  // Internal roles (support, admin): `/debug/*` pages and the fail-mode toggle.
+  DIAGNOSTICS: 'diagnostics:access',
+};
+
+/**
+ * @param {Object|null} user  `useAuth().user`
+ * @param {string|string[]|undefined} required  one permission, or several that are all required; empty = allowed.
+ */
+export function hasPermission(user, required) {
+  const needed = (Array.isArray(required) ? required : [required]).filter(Boolean);
+  if (!needed.length) return true;
+  const granted = Array.isArray(user?.permissions) ? user.permissions : [];
+  return needed.every((permission) => granted.includes(permission));
+}
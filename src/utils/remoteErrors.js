@@ -0,0 +1,34 @@
+// Report remote (microfrontend) failures with enough context to tell which remote/module broke.
+// Reason: a bare "ChunkLoadError" in Zipy doesn't say whether catalog or checkout is down.
+
+export function reportRemoteError({ remote, module, error, componentStack, phase = 'render' }) {
+  const context = {
+    remote,
+    module,
+    phase,
+    message: String(error?.message ?? error),
+    route: typeof window !== 'undefined' ? window.location.pathname : undefined,
+  };
+
+  console.error(`[shell][RemoteError] ${remote}/${module} failed (${phase})`, context, error);
+
+  if (typeof window === 'undefined') return;
+
+  if (window.zipy) {
+    try {
+      window.zipy.logMessage?.('Remote failed', { ...context, componentStack });
+      window.zipy.logException?.(error instanceof Error ? error : new Error(context.message));
+    } catch {
+      // ignore
+    }
+  }
+
+  if (typeof window.gtag === 'function') {
+    window.gtag('event', 'remote_error', {
+      remote,
+      module,
+      phase,
+      route: context.route,
+    });
+  }
+}
@@ -0,0 +1,32 @@
+// Report unknown-route hits so broken links (email campaigns, stale bookmarks) show up in analytics.
+// Reason: without a catch-all route these were silent; the main area just rendered empty.
+
+const CAMPAIGN_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_content'];
+
+export function reportNotFound({ pathname, search = '', reason = 'unknown-route', remote = null }) {
+  const params = new URLSearchParams(search);
+  const campaign = Object.fromEntries(CAMPAIGN_PARAMS.filter((key) => params.has(key)).map((key) => [key, params.get(key)]));
+  const context = {
+    path: pathname,
+    reason,
+    remote,
+    referrer: typeof document !== 'undefined' ? document.referrer || null : null,
+    ...campaign,
+  };
+
+  console.warn(`[shell][NotFound] ${pathname} (${reason})`, context);
+
+  if (typeof window === 'undefined') return;
+
+  if (window.zipy) {
+    try {
+      window.zipy.logMessage?.('Route not found', context);
+    } catch {
+      // ignore
+    }
+  }
+
+  if (typeof window.gtag === 'function') {
+    window.gtag('event', 'page_not_found', context);
+  }
+}
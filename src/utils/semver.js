@@ -0,0 +1,120 @@
+// Minimal semver helpers for runtime shared-dependency checks.
+// Reason: webpack's own semver code is internal to its runtime; this covers the range syntax used in package.json
+// (`^`, `~`, exact, comparison operators, `x`/`*` wildcards, `a - b` hyphen ranges and `||` unions).
+
+function parseVersion(version) {
+  const match = /^v?(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?(?:-([0-9A-Za-z.-]+))?/.exec(String(version ?? '').trim());
+  if (!match) return null;
+  const part = (value) => (value === undefined || value === 'x' || value === '*' ? null : Number(value));
+  return { major: Number(match[1]), minor: part(match[2]), patch: part(match[3]), prerelease: match[4] ?? null };
+}
+
+function compareIdentifiers(a, b) {
+  const aNum = /^\d+$/.test(a);
+  const bNum = /^\d+$/.test(b);
+  if (aNum && bNum) return Number(a) - Number(b);
+  if (aNum) return -1;
+  if (bNum) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+export function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  if (!va || !vb) return 0;
+  for (const key of ['major', 'minor', 'patch']) {
+    const diff = (va[key] ?? 0) - (vb[key] ?? 0);
+    if (diff) return diff;
+  }
+  // A prerelease sorts before its release (1.0.0-beta < 1.0.0).
+  if (va.prerelease && !vb.prerelease) return -1;
+  if (!va.prerelease && vb.prerelease) return 1;
+  if (!va.prerelease && !vb.prerelease) return 0;
+  const pa = va.prerelease.split('.');
+  const pb = vb.prerelease.split('.');
+  for (let i = 0; i < Math.max(pa.length, pb.length); i += 1) {
+    if (pa[i] === undefined) return -1;
+    if (pb[i] === undefined) return 1;
+    const diff = compareIdentifiers(pa[i], pb[i]);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+function upperBound(base, operator) {
+  const { major, minor, patch } = base;
+  if (operator === '~') return minor === null ? `${major + 1}.0.0-0` : `${major}.${minor + 1}.0-0`;
+  // Caret: bump the left-most non-zero component.
+  if (major > 0 || minor === null) return `${major + 1}.0.0-0`;
+  if (minor > 0 || patch === null) return `${major}.${minor + 1}.0-0`;
+  return `${major}.${minor}.${patch + 1}-0`;
+}
+
+function satisfiesComparator(version, comparator) {
+  const match = /^(\^|~|>=|<=|>|<|=)?\s*(.+)$/.exec(comparator.trim());
+  if (!match) return false;
+  const [, operator = '', raw] = match;
+  if (raw === '*' || raw === 'x' || raw === 'latest') return true;
+  const base = parseVersion(raw);
+  if (!base) return false;
+  const lower = `${base.major}.${base.minor ?? 0}.${base.patch ?? 0}${base.prerelease ? `-${base.prerelease}` : ''}`;
+  const cmp = compareVersions(version, lower);
+
+  switch (operator) {
+    case '>=':
+      return cmp >= 0;
+    case '>':
+      return cmp > 0;
+    case '<=':
+      return cmp <= 0;
+    case '<':
+      return cmp < 0;
+    case '^':
+    case '~':
+      return cmp >= 0 && compareVersions(version, upperBound(base, operator)) < 0;
+    default:
+      // Exact or partial (`19`, `19.1`, `19.x`) versions.
+      if (base.minor === null || base.patch === null) {
+        return cmp >= 0 && compareVersions(version, upperBound(base, '~')) < 0;
+      }
+      return cmp === 0;
+  }
+}
+
+const OPERATOR = /^(\^|~|>=|<=|>|<|=)$/;
+
+// Splits one `||` branch into comparators.
+// Reason: `>= 1.2.0` is a single comparator written as two tokens; a lone operator is glued to the version after it
+// (a trailing one stays alone and fails to match). `1.0.0 - 2.0.0` is expanded to `>=1.0.0 <=2.0.0`.
+function comparatorsOf(set) {
+  const tokens = set.trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 3 && tokens[1] === '-') {
+    const upper = parseVersion(tokens[2]);
+    if (!upper) return [tokens[2]];
+    // A partial upper bound covers the whole line: `1 - 2.3` means `<2.4.0`, not `<=2.3.0`.
+    const isPartial = upper.minor === null || upper.patch === null;
+    return [`>=${tokens[0]}`, isPartial ? `<${upperBound(upper, '~')}` : `<=${tokens[2]}`];
+  }
+  const comparators = [];
+  for (let i = 0; i < tokens.length; i += 1) {
+    if (OPERATOR.test(tokens[i]) && i + 1 < tokens.length) {
+      comparators.push(`${tokens[i]}${tokens[i + 1]}`);
+      i += 1;
+    } else {
+      comparators.push(tokens[i]);
+    }
+  }
+  return comparators;
+}
+
+/**
+ * `satisfies('19.1.1', '^19.0.0') === true`. Empty ranges are treated as satisfied; syntax outside the list above
+ * (e.g. a dangling `-` or operator) never matches.
+ */
+export function satisfies(version, range) {
+  if (!range || range === '*') return true;
+  if (!parseVersion(version)) return false;
+  return String(range)
+    .split('||')
+    .some((set) => comparatorsOf(set).every((comparator) => satisfiesComparator(version, comparator)));
+}
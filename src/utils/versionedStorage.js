@@ -0,0 +1,64 @@
+/**
+ * localStorage helpers shared by the documents the shell keeps on this device (per guest / account).
+ *
+ * Purpose:
+ * - Storage can throw (quota, privacy mode, disabled cookies) and hold anything (older schemas, hand edits), so every
+ *   read here returns null instead of throwing, and every write reports failure instead of throwing.
+ * - Versioned documents are stored as `{ version, ...fields }`; a document with another `version` reads as missing,
+ *   and the caller decides whether to migrate or start empty.
+ *
+ * Keys: one per guest (`base`) and per account (`base:<userId>`), see `userStorageKey`.
+ */
+
+function safeJsonParse(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+export function userStorageKey(base, userId) {
+  return userId ? `${base}:${userId}` : base;
+}
+
+// Parsed JSON at `key`, or null if missing, malformed or unreadable.
+export function readJson(key) {
+  try {
+    return safeJsonParse(localStorage.getItem(key), null);
+  } catch {
+    return null;
+  }
+}
+
+// The document at `key` if it has schema `version`, else null.
+export function readVersioned(key, version) {
+  const doc = readJson(key);
+  return doc && typeof doc === 'object' && doc.version === version ? doc : null;
+}
+
+/**
+ * Stores `{ ...fields, version }` at `key`.
+ * @returns {boolean} false if storage refused it; callers keep the data in memory for the session.
+ */
+export function writeVersioned(key, version, fields) {
+  try {
+    localStorage.setItem(key, JSON.stringify({ ...fields, version }));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function removeStored(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    // Ignore storage errors.
+  }
+}
+
+// Id for a record created on this device, e.g. `createId('list')` → `list-lz3k9x1-4f8s1q`.
+export function createId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
@@ -0,0 +1,96 @@
+/**
+ * Wishlist price and stock alerts: what the shell last saw for each wishlisted product, and the alerts it raised.
+ *
+ * Storage (`shophub:wishlist-alerts:v1[:<userId>]`, next to the lists in `wishlistStorage.js`):
+ * `{ version: 1, checkedAt, watch: { [productId]: { price, inStock, checkedAt } }, alerts: [...] }`.
+ *
+ * Alerts fire on changes, not on states: a product that stays cheaper or in stock is reported once. The first
+ * check compares against the price saved with the wishlist entry.
+ */
+
+import { toMinor } from '../pricing/money.js';
+import { createId, readVersioned, userStorageKey, writeVersioned } from './versionedStorage.js';
+
+export const ALERTS_SCHEMA_VERSION = 1;
+export const MAX_ALERTS = 50;
+
+export const ALERT_TYPES = {
+  PRICE_DROP: 'price_drop',
+  TARGET_PRICE: 'target_price',
+  BACK_IN_STOCK: 'back_in_stock',
+};
+
+const KEY = 'shophub:wishlist-alerts:v1';
+
+export function emptyAlertState() {
+  return { version: ALERTS_SCHEMA_VERSION, checkedAt: null, watch: {}, alerts: [] };
+}
+
+export function alertsKeyFor(userId) {
+  return userStorageKey(KEY, userId);
+}
+
+export function readAlertState(userId) {
+  const doc = readVersioned(alertsKeyFor(userId), ALERTS_SCHEMA_VERSION);
+  if (!doc) return emptyAlertState();
+  return {
+    ...emptyAlertState(),
+    checkedAt: typeof doc.checkedAt === 'number' ? doc.checkedAt : null,
+    watch: doc.watch && typeof doc.watch === 'object' ? doc.watch : {},
+    alerts: Array.isArray(doc.alerts) ? doc.alerts.filter((a) => a?.id && a.type) : [],
+  };
+}
+
+export function writeAlertState(userId, { checkedAt, watch, alerts }) {
+  writeVersioned(alertsKeyFor(userId), ALERTS_SCHEMA_VERSION, { checkedAt, watch, alerts });
+}
+
+/**
+ * Compare a wishlisted product with its current catalog data.
+ *
+ * @param {{ id, title, image, price: number, targetPrice?: number }} item  wishlist entry
+ * @param {{ price: number, inStock: boolean }|undefined} seen  what the previous check saw, if any
+ * @param {{ price: number, stock: number }} product  current catalog product (`productAPI.getProduct`)
+ * @returns {{ watch: { price, inStock, checkedAt }, alerts: Array<Object> }}
+ */
+export function detectAlerts(item, seen, product, now = Date.now()) {
+  const previousPrice = seen?.price ?? item.price;
+  // Reason: without an earlier check, assume it was in stock; a product sold out when listed then alerts on restock.
+  const wasInStock = seen?.inStock ?? true;
+  const inStock = product.stock > 0;
+  const price = product.price;
+
+  const alerts = [];
+  const alert = (type, fields) =>
+    alerts.push({
+      id: createId('alert'),
+      type,
+      productId: item.id,
+      title: item.title,
+      image: item.image,
+      createdAt: new Date(now).toISOString(),
+      read: false,
+      ...fields,
+    });
+
+  // Note: amounts compared in minor units, so float noise in a re-fetched price isn't a "drop".
+  const target = item.targetPrice;
+  if (target > 0 && toMinor(price) <= toMinor(target) && toMinor(previousPrice) > toMinor(target)) {
+    alert(ALERT_TYPES.TARGET_PRICE, { previousPrice, price, targetPrice: target });
+  } else if (toMinor(price) < toMinor(previousPrice)) {
+    alert(ALERT_TYPES.PRICE_DROP, { previousPrice, price });
+  }
+  if (!wasInStock && inStock) alert(ALERT_TYPES.BACK_IN_STOCK, { price });
+
+  return { watch: { price, inStock, checkedAt: now }, alerts };
+}
+
+// One-line text for an alert, e.g. "Backpack dropped from $109.95 to $89.95."
+export function describeAlert(alert, formatPrice) {
+  if (alert.type === ALERT_TYPES.TARGET_PRICE) {
+    const target = formatPrice(alert.targetPrice);
+    return `${alert.title} is now ${formatPrice(alert.price)}, at or below your target of ${target}.`;
+  }
+  if (alert.type === ALERT_TYPES.BACK_IN_STOCK) return `${alert.title} is back in stock.`;
+  return `${alert.title} dropped from ${formatPrice(alert.previousPrice)} to ${formatPrice(alert.price)}.`;
+}
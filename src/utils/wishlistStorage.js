@@ -0,0 +1,109 @@
+/**
+ * Wishlist storage (schema v2): named lists per guest / account on this device.
+ *
+ * v1 (`shophub:wishlist:v1[:<userId>]`): one flat array of product snapshots.
+ * v2 (`shophub:wishlist:v2[:<userId>]`): `{ version: 2, lists: [{ id, name, items, createdAt }] }`, where the
+ * first list is the default one (`DEFAULT_LIST_ID`) and "Saved for later" (`SAVED_FOR_LATER_LIST_ID`) holds lines
+ * parked from the cart (`savedQuantity` remembers their quantity).
+ *
+ * Migration: reading a key with no v2 document converts the v1 array (if any) into the default list, writes v2 and
+ * removes v1, so an older shell build in another tab can't keep writing a list this one no longer reads.
+ */
+
+import { readJson, readVersioned, removeStored, userStorageKey, writeVersioned } from './versionedStorage.js';
+
+export const WISHLIST_SCHEMA_VERSION = 2;
+export const DEFAULT_LIST_ID = 'default';
+export const SAVED_FOR_LATER_LIST_ID = 'saved-for-later';
+export const MAX_LIST_NAME_LENGTH = 40;
+
+const V1_KEY = 'shophub:wishlist:v1';
+const V2_KEY = 'shophub:wishlist:v2';
+
+const DEFAULT_LIST_NAME = 'My wishlist';
+const SAVED_FOR_LATER_NAME = 'Saved for later';
+
+// Reason: normalize to an array of products (defensive against storage tampering).
+function sanitizeItems(items) {
+  return Array.isArray(items) ? items.filter((p) => p?.id !== undefined) : [];
+}
+
+export function createList(id, name, items = []) {
+  return { id, name, items, createdAt: new Date().toISOString() };
+}
+
+export function defaultLists() {
+  return [createList(DEFAULT_LIST_ID, DEFAULT_LIST_NAME)];
+}
+
+export function savedForLaterList() {
+  return createList(SAVED_FOR_LATER_LIST_ID, SAVED_FOR_LATER_NAME);
+}
+
+// Valid lists from a stored document; always starts with the default list.
+function sanitizeLists(lists) {
+  const valid = (Array.isArray(lists) ? lists : [])
+    .filter((list) => typeof list?.id === 'string' && typeof list.name === 'string')
+    .map((list) => ({ ...list, items: sanitizeItems(list.items) }));
+  const defaultList = valid.find((list) => list.id === DEFAULT_LIST_ID) ?? defaultLists()[0];
+  return [defaultList, ...valid.filter((list) => list !== defaultList)];
+}
+
+export function storageKeyFor(userId) {
+  return userStorageKey(V2_KEY, userId);
+}
+
+export function writeLists(key, lists) {
+  writeVersioned(key, WISHLIST_SCHEMA_VERSION, { lists });
+}
+
+/**
+ * @returns {Array<{ id: string, name: string, items: Array<Object>, createdAt: string }>} the guest's (null) or
+ *   account's lists, migrating a v1 list first if needed.
+ */
+export function readLists(userId) {
+  const key = storageKeyFor(userId);
+  const doc = readVersioned(key, WISHLIST_SCHEMA_VERSION);
+  if (doc) return sanitizeLists(doc.lists);
+
+  const legacyKey = userStorageKey(V1_KEY, userId);
+  const legacyItems = readJson(legacyKey);
+  const lists = defaultLists();
+  if (legacyItems !== null) {
+    lists[0].items = sanitizeItems(legacyItems);
+    writeLists(key, lists);
+    removeStored(legacyKey);
+  }
+  return lists;
+}
+
+export function removeLists(userId) {
+  removeStored(storageKeyFor(userId));
+}
+
+/**
+ * Guest lists → account lists after login. Lists match by id (default, saved for later) or by name; other guest
+ * lists are added. Within a list, products already there keep the account's entry; guest items go first.
+ *
+ * @returns {{ lists: Array<Object>, addedCount: number }}
+ */
+export function mergeLists(accountLists, guestLists) {
+  let addedCount = 0;
+  const lists = accountLists.map((list) => ({ ...list }));
+
+  for (const guestList of guestLists) {
+    const target = lists.find(
+      (list) => list.id === guestList.id || list.name.toLowerCase() === guestList.name.toLowerCase(),
+    );
+    const added = guestList.items.filter(
+      (g, i) =>
+        !target?.items.some((p) => p.id === g.id) && guestList.items.findIndex((other) => other.id === g.id) === i,
+    );
+    if (!added.length) continue;
+    addedCount += added.length;
+    if (target) target.items = [...added, ...target.items];
+    else lists.push({ ...guestList, items: added });
+  }
+
+  return { lists, addedCount };
+}
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+
+import { createAuthService } from '../services/mock-api/auth.mjs';
+
+const validationFailed = { status: 400, code: 'validation_failed' };
+
+describe('auth service', () => {
+  let dir;
+  let auth;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'shophub-auth-'));
+    auth = createAuthService({ storePath: path.join(dir, 'auth-store.json'), secret: 'test-secret' });
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  test('signs up, logs in and verifies the access token', async () => {
+    const signup = await auth.signup({
+      name: 'Alex Doe',
+      email: 'Alex@Example.com',
+      password: 'secret1',
+      confirmPassword: 'secret1',
+    });
+    assert.equal(signup.user.email, 'alex@example.com');
+    assert.deepEqual(signup.user.roles, ['customer']);
+
+    const login = await auth.login({ email: 'alex@example.com', password: 'secret1' });
+    assert.equal(login.user.id, signup.user.id);
+    const claims = auth.verifyAccessToken(`Bearer ${login.accessToken}`);
+    assert.equal((await auth.getUser(claims.sub)).id, signup.user.id);
+  });
+
+  test('answers wrong passwords and unknown emails the same way', async () => {
+    const invalid = { status: 401, code: 'invalid_credentials' };
+    await assert.rejects(auth.login({ email: 'alex@example.com', password: 'wrong-password' }), invalid);
+    await assert.rejects(auth.login({ email: 'nobody@example.com', password: 'secret1' }), invalid);
+  });
+
+  test('rejects non-string credentials as a validation error, not a crash', async () => {
+    await assert.rejects(auth.login({ email: 'alex@example.com', password: 1234567 }), validationFailed);
+    await assert.rejects(auth.login({ email: 'alex@example.com', password: ['secret1'] }), validationFailed);
+    await assert.rejects(auth.login({ email: { $ne: '' }, password: 'secret1' }), validationFailed);
+    await assert.rejects(
+      auth.signup({ name: 'Sam', email: 'sam@example.com', password: 1234567, confirmPassword: 1234567 }),
+      validationFailed,
+    );
+  });
+
+  test('validates the signup form', async () => {
+    const base = { name: 'Sam Roe', email: 'sam@example.com', password: 'secret1', confirmPassword: 'secret1' };
+    await assert.rejects(auth.signup({ ...base, email: 'not-an-email' }), validationFailed);
+    await assert.rejects(auth.signup({ ...base, password: 'short', confirmPassword: 'short' }), validationFailed);
+    await assert.rejects(auth.signup({ ...base, confirmPassword: 'different' }), validationFailed);
+    await assert.rejects(auth.signup({ ...base, email: 'alex@example.com' }), { status: 409, code: 'email_taken' });
+  });
+});
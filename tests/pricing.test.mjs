@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { DEFAULT_RATES } from '../services/mock-api/rates.mjs';
+import { convertMinor, fromMinor, toMinor } from '../src/pricing/money.js';
+import { computeQuote } from '../src/pricing/orderQuote.js';
+import { priceCart } from '../src/pricing/promotions.js';
+
+const items = [
+  { id: 1, title: 'Backpack', price: 109.95, quantity: 1, category: 'bags' },
+  { id: 2, title: 'T-shirt', price: 22.3, quantity: 3, category: 'clothing' },
+];
+
+describe('money', () => {
+  test('converts to and from minor units without float drift', () => {
+    assert.equal(toMinor(1.005), 101);
+    assert.equal(toMinor(0.1 + 0.2), 30);
+    assert.equal(toMinor(1234, 'JPY'), 1234);
+    assert.equal(fromMinor(10995), 109.95);
+  });
+
+  test('converts between currencies through the base currency', () => {
+    assert.equal(convertMinor(10000, 'USD', 'EUR', { EUR: 0.92 }), 9200);
+    assert.equal(convertMinor(10000, 'USD', 'JPY', { JPY: 151.2 }), 15120);
+    assert.throws(() => convertMinor(100, 'USD', 'GBP', {}), /No exchange rate for GBP/);
+  });
+});
+
+describe('priceCart', () => {
+  test('sums lines without promotions', () => {
+    const breakdown = priceCart(items, []);
+    assert.equal(breakdown.subtotal, 176.85);
+    assert.equal(breakdown.total, 176.85);
+    assert.equal(breakdown.discountTotal, 0);
+  });
+
+  test('applies category, buy-x-get-y and fixed promotions', () => {
+    const promotions = [
+      { id: 'bags10', label: '10% off bags', type: 'percentage', value: 10, appliesTo: { categories: ['bags'] } },
+      { id: 'b2g1', label: 'Buy 2 get 1', type: 'buy_x_get_y', buy: 2, get: 1, appliesTo: { productIds: [2] } },
+      { id: 'five', label: '$5 off', type: 'fixed', value: 5 },
+    ];
+    const breakdown = priceCart(items, promotions);
+    // 10.995 → 11.00 off the backpack, one free T-shirt, then $5 spread over what is left.
+    assert.equal(breakdown.discountTotal, 38.3);
+    assert.equal(breakdown.total, 138.55);
+    const lineTotals = breakdown.lines.reduce((sum, line) => sum + toMinor(line.total), 0);
+    assert.equal(lineTotals, toMinor(breakdown.total));
+  });
+
+  test('keeps the larger of an exclusive promotion and the stackable ones', () => {
+    const promotions = [
+      { id: 'five', label: '$5 off', type: 'fixed', value: 5 },
+      { id: 'half', label: '50% off, alone', type: 'percentage', value: 50, stackable: false },
+    ];
+    const breakdown = priceCart(items, promotions);
+    assert.deepEqual(breakdown.promotions.map((p) => p.id), ['half']);
+    assert.deepEqual(breakdown.notApplied, [{ id: 'five', code: null, label: '$5 off', reason: 'not_combinable' }]);
+  });
+
+  test('reports why a promotion did not apply', () => {
+    const breakdown = priceCart(items, [
+      { id: 'old', label: 'Old', type: 'percentage', value: 10, endsAt: '2000-01-01T00:00:00Z' },
+      { id: 'big', label: 'Big carts', type: 'fixed', value: 20, minSubtotal: 200 },
+    ]);
+    assert.deepEqual(
+      breakdown.notApplied.map(({ id, reason, amountNeeded }) => [id, reason, amountNeeded]),
+      [
+        ['old', 'expired', undefined],
+        ['big', 'min_subtotal', 23.15],
+      ],
+    );
+  });
+});
+
+describe('computeQuote', () => {
+  const breakdown = priceCart(items, []);
+  const address = { country: 'US', region: 'CA' };
+  const defaults = { breakdown, address, shippingMethod: 'standard', rates: DEFAULT_RATES };
+  const quote = (overrides) => computeQuote({ ...defaults, ...overrides });
+
+  test('adds shipping and regional tax', () => {
+    const result = quote();
+    assert.equal(result.shipping.free, true);
+    assert.deepEqual(result.tax, { jurisdiction: 'US-CA', rate: 7.25, amount: 12.82 });
+    assert.equal(result.total, 189.67);
+  });
+
+  test('taxes shipping where the country says so', () => {
+    const result = quote({ address: { country: 'ca', region: 'on' }, shippingMethod: 'express' });
+    assert.equal(result.shipping.amount, 24.99);
+    assert.equal(result.tax.amount, 26.24);
+    assert.equal(result.total, 228.08);
+  });
+
+  test('rejects unsupported destinations and methods', () => {
+    assert.throws(() => quote({ address: {} }), { name: 'QuoteError', code: 'address_required' });
+    assert.throws(() => quote({ address: { country: 'FR' } }), { code: 'unsupported_country' });
+    assert.throws(() => quote({ shippingMethod: 'drone' }), { code: 'unknown_shipping_method' });
+  });
+
+  test('refuses rate tables in a currency other than the catalog one', () => {
+    assert.throws(() => quote({ rates: { ...DEFAULT_RATES, currency: 'JPY' } }), {
+      name: 'QuoteError',
+      code: 'currency_mismatch',
+    });
+  });
+});
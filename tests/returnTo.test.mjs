@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { sanitizeReturnTo } from '../src/routing/returnTo.js';
+
+const origin = 'http://localhost:5173';
+const sanitize = (value) => sanitizeReturnTo(value, { origin });
+
+describe('sanitizeReturnTo', () => {
+  test('keeps same-origin paths with their query and hash', () => {
+    assert.equal(sanitize('/checkout'), '/checkout');
+    assert.equal(sanitize('/checkout?step=2#address'), '/checkout?step=2#address');
+  });
+
+  test('rejects other origins and non-paths', () => {
+    for (const value of ['https://evil.example', 'evil.example', 'javascript:alert(1)', '', null, 42]) {
+      assert.equal(sanitize(value), null, String(value));
+    }
+  });
+
+  test('rejects protocol-relative URLs', () => {
+    assert.equal(sanitize('//evil.example'), null);
+    assert.equal(sanitize('/\\evil.example'), null);
+  });
+
+  test('rejects paths that only become protocol-relative once normalized', () => {
+    for (const value of ['/.//evil.example', '/./\\evil.example', '/a/..//evil.example', '/%2e//evil.example']) {
+      assert.equal(sanitize(value), null, value);
+    }
+  });
+
+  test('rejects guest pages, which would redirect again', () => {
+    assert.equal(sanitize('/login'), null);
+    assert.equal(sanitize('/signup?returnTo=/cart'), null);
+  });
+});
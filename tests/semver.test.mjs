@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { compareVersions, satisfies } from '../src/utils/semver.js';
+
+describe('semver', () => {
+  test('orders prereleases before their release', () => {
+    assert.ok(compareVersions('1.0.0-beta', '1.0.0') < 0);
+    assert.ok(compareVersions('1.0.0-beta.2', '1.0.0-beta.10') < 0);
+    assert.equal(compareVersions('v1.2.3', '1.2.3'), 0);
+  });
+
+  test('handles caret, tilde, partial and wildcard ranges', () => {
+    assert.equal(satisfies('19.1.1', '^19.0.0'), true);
+    assert.equal(satisfies('20.0.0', '^19.0.0'), false);
+    assert.equal(satisfies('0.2.5', '^0.2.0'), true);
+    assert.equal(satisfies('0.3.0', '^0.2.0'), false);
+    assert.equal(satisfies('1.2.9', '~1.2.3'), true);
+    assert.equal(satisfies('1.3.0', '~1.2.3'), false);
+    assert.equal(satisfies('19.4.0', '19.x'), true);
+    assert.equal(satisfies('1.0.0', '*'), true);
+    assert.equal(satisfies('1.2.3', '^1.0.0 || ^2.0.0'), true);
+  });
+
+  test('accepts a space between an operator and its version', () => {
+    assert.equal(satisfies('1.2.3', '>= 1.2.0'), true);
+    assert.equal(satisfies('1.2.3', '>= 1.2.0 < 2'), true);
+    assert.equal(satisfies('2.0.0', '>= 1.2.0 < 2'), false);
+    assert.equal(satisfies('1.2.3', '^ 1.0.0'), true);
+  });
+
+  test('supports hyphen ranges', () => {
+    assert.equal(satisfies('1.5.0', '1.0.0 - 2.0.0'), true);
+    assert.equal(satisfies('2.0.0', '1.0.0 - 2.0.0'), true);
+    assert.equal(satisfies('2.0.1', '1.0.0 - 2.0.0'), false);
+    assert.equal(satisfies('0.9.0', '1.0.0 - 2.0.0'), false);
+    assert.equal(satisfies('2.3.9', '1 - 2.3'), true);
+    assert.equal(satisfies('2.4.0', '1 - 2.3'), false);
+  });
+
+  test('does not match syntax it does not understand', () => {
+    assert.equal(satisfies('1.2.3', '>='), false);
+    assert.equal(satisfies('1.2.3', '1.0.0 -'), false);
+    assert.equal(satisfies('not-a-version', '^1.0.0'), false);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Loaded before every test file (`npm test` → `node --import ./tests/setup.mjs --test`).
+ *
+ * Purpose:
+ * - Shell modules read webpack `DefinePlugin` constants at import time (see `webpack.config.cjs`); define them
+ *   with development values so the pure modules can be imported under plain Node.
+ * - `window`, `localStorage` and `sessionStorage` stand-ins for the few module-level reads; tests that care about
+ *   stored values reset them with `resetStorage()`.
+ */
+
+globalThis.__SHOPHUB_DEFAULT_REMOTES__ = {};
+globalThis.__SHOPHUB_REMOTE_MANIFEST_URL__ = '';
+globalThis.__SHOPHUB_ENV__ = 'test';
+globalThis.__SHOPHUB_SHARED_CONFIG__ = {};
+globalThis.__SHOPHUB_STRICT_SHARED__ = false;
+globalThis.__SHOPHUB_API_BASE_URL__ = '';
+
+class MemoryStorage {
+  #items = new Map();
+
+  getItem(key) {
+    return this.#items.has(key) ? this.#items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+
+  clear() {
+    this.#items.clear();
+  }
+}
+
+globalThis.localStorage = new MemoryStorage();
+globalThis.sessionStorage = new MemoryStorage();
+globalThis.window ??= { location: { origin: 'http://localhost:5173' }, addEventListener() {}, removeEventListener() {} };
+
+export function resetStorage() {
+  globalThis.localStorage.clear();
+  globalThis.sessionStorage.clear();
+}
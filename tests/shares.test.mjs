@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+
+import { createShareService } from '../services/mock-api/shares.mjs';
+
+const alex = { id: 'user-1', name: 'Alex Doe' };
+const sam = { id: 'user-2', name: 'Sam Roe' };
+const items = [{ id: 1, title: 'Backpack', price: 109.95, image: 'https://example.test/1.jpg', category: 'bags' }];
+
+describe('share service', () => {
+  let dir;
+  let shares;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'shophub-shares-'));
+    shares = createShareService({ storePath: path.join(dir, 'share-store.json') });
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  const assertNotFound = (promise) => assert.rejects(promise, { status: 404, code: 'share_not_found' });
+
+  test('publishes a snapshot anyone can read, without the owner id', async () => {
+    const { token, itemCount } = await shares.publish(alex, { name: ' Birthday ', items });
+    assert.equal(itemCount, 1);
+
+    const view = await shares.get(token);
+    assert.equal(view.name, 'Birthday');
+    assert.equal(view.ownerName, 'Alex');
+    assert.deepEqual(view.items.map((p) => p.id), [1]);
+    assert.equal('ownerId' in view, false);
+  });
+
+  test('rejects invalid snapshots', async () => {
+    await assert.rejects(shares.publish(alex, { name: '', items }), { status: 400, code: 'validation_failed' });
+    await assert.rejects(shares.publish(alex, { name: 'List', items: 'x' }), { status: 400 });
+  });
+
+  test('does not resolve prototype keys as tokens', async () => {
+    for (const token of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+      await assertNotFound(shares.get(token));
+      await assertNotFound(shares.revoke(alex.id, token));
+      await assertNotFound(shares.update(alex, token, { name: 'List', items }));
+    }
+  });
+
+  test('only the owner can update or revoke, and a revoked link is gone', async () => {
+    const { token } = await shares.publish(alex, { name: 'Home', items });
+
+    await assertNotFound(shares.revoke(sam.id, token));
+    await assertNotFound(shares.update(sam, token, { name: 'Mine now', items: [] }));
+
+    const updated = await shares.update(alex, token, { name: 'Home', items: [] });
+    assert.equal(updated.token, token);
+    assert.equal(updated.itemCount, 0);
+
+    await shares.revoke(alex.id, token);
+    await assertNotFound(shares.get(token));
+  });
+});
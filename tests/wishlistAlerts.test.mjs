@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+
+import {
+  ALERT_TYPES,
+  alertsKeyFor,
+  detectAlerts,
+  emptyAlertState,
+  readAlertState,
+  writeAlertState,
+} from '../src/utils/wishlistAlerts.js';
+import { resetStorage } from './setup.mjs';
+
+const item = { id: 7, title: 'Backpack', image: 'https://example.test/7.jpg', price: 100 };
+const now = Date.parse('2026-10-19T12:00:00Z');
+const types = (result) => result.alerts.map((alert) => alert.type);
+
+describe('detectAlerts', () => {
+  test('reports a drop against the price saved with the wishlist entry', () => {
+    const result = detectAlerts(item, undefined, { price: 89.95, stock: 3 }, now);
+    assert.deepEqual(types(result), [ALERT_TYPES.PRICE_DROP]);
+    assert.equal(result.alerts[0].previousPrice, 100);
+    assert.deepEqual(result.watch, { price: 89.95, inStock: true, checkedAt: now });
+  });
+
+  test('reports changes once, not states', () => {
+    const seen = { price: 89.95, inStock: true };
+    assert.deepEqual(types(detectAlerts(item, seen, { price: 89.95, stock: 3 }, now)), []);
+    assert.deepEqual(types(detectAlerts(item, seen, { price: 99, stock: 3 }, now)), []);
+  });
+
+  test('ignores float noise in a re-fetched price', () => {
+    assert.deepEqual(types(detectAlerts({ ...item, price: 0.3 }, undefined, { price: 0.1 + 0.2, stock: 1 }, now)), []);
+  });
+
+  test('a target price alert replaces the drop alert, only when the price crosses it', () => {
+    const watched = { ...item, targetPrice: 90 };
+    assert.deepEqual(types(detectAlerts(watched, undefined, { price: 89.95, stock: 1 }, now)), [
+      ALERT_TYPES.TARGET_PRICE,
+    ]);
+    assert.deepEqual(types(detectAlerts(watched, { price: 89.95, inStock: true }, { price: 80, stock: 1 }, now)), [
+      ALERT_TYPES.PRICE_DROP,
+    ]);
+  });
+
+  test('reports a restock after a sold-out check', () => {
+    const soldOut = detectAlerts(item, undefined, { price: 100, stock: 0 }, now);
+    assert.deepEqual(types(soldOut), []);
+    assert.deepEqual(types(detectAlerts(item, soldOut.watch, { price: 100, stock: 2 }, now)), [
+      ALERT_TYPES.BACK_IN_STOCK,
+    ]);
+  });
+
+  test('gives every alert its own id', () => {
+    const seen = { price: 100, inStock: false };
+    const result = detectAlerts({ ...item, targetPrice: 90 }, seen, { price: 85, stock: 1 }, now);
+    const ids = result.alerts.map((alert) => alert.id);
+    assert.equal(ids.length, 2);
+    assert.equal(new Set(ids).size, 2);
+    assert.match(ids[0], /^alert-/);
+  });
+});
+
+describe('alert state storage', () => {
+  beforeEach(resetStorage);
+
+  test('round-trips the stored state', () => {
+    const state = { ...emptyAlertState(), checkedAt: now, watch: { 7: { price: 90, inStock: true, checkedAt: now } } };
+    writeAlertState('user-1', state);
+    assert.deepEqual(readAlertState('user-1'), state);
+    assert.deepEqual(readAlertState(null), emptyAlertState());
+  });
+
+  test('starts empty on a malformed or unknown-version document', () => {
+    localStorage.setItem(alertsKeyFor('user-1'), 'oops');
+    assert.deepEqual(readAlertState('user-1'), emptyAlertState());
+    localStorage.setItem(alertsKeyFor('user-1'), JSON.stringify({ version: 2, alerts: [{ id: 'a', type: 'x' }] }));
+    assert.deepEqual(readAlertState('user-1'), emptyAlertState());
+  });
+});
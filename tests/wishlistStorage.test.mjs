@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+
+import {
+  DEFAULT_LIST_ID,
+  mergeLists,
+  readLists,
+  SAVED_FOR_LATER_LIST_ID,
+  storageKeyFor,
+  writeLists,
+} from '../src/utils/wishlistStorage.js';
+import { resetStorage } from './setup.mjs';
+
+const backpack = { id: 1, title: 'Backpack', price: 109.95 };
+const shirt = { id: 2, title: 'T-shirt', price: 22.3 };
+const jacket = { id: 3, title: 'Jacket', price: 55.99 };
+
+describe('wishlist storage', () => {
+  beforeEach(resetStorage);
+
+  test('starts with an empty default list', () => {
+    const lists = readLists('user-1');
+    assert.deepEqual(lists.map((list) => [list.id, list.items.length]), [[DEFAULT_LIST_ID, 0]]);
+  });
+
+  test('migrates a v1 array into the default list and removes it', () => {
+    localStorage.setItem('shophub:wishlist:v1:user-1', JSON.stringify([backpack, { title: 'no id' }, shirt]));
+
+    const lists = readLists('user-1');
+    assert.deepEqual(lists[0].items.map((p) => p.id), [1, 2]);
+    assert.equal(localStorage.getItem('shophub:wishlist:v1:user-1'), null);
+    assert.equal(JSON.parse(localStorage.getItem(storageKeyFor('user-1'))).version, 2);
+  });
+
+  test('round-trips lists and keeps the default list first', () => {
+    const key = storageKeyFor(null);
+    writeLists(key, [{ id: 'list-a', name: 'Home', items: [shirt] }, { id: DEFAULT_LIST_ID, name: 'Mine', items: [] }]);
+    assert.deepEqual(readLists(null).map((list) => list.id), [DEFAULT_LIST_ID, 'list-a']);
+  });
+
+  test('ignores malformed or unknown-version documents', () => {
+    localStorage.setItem(storageKeyFor(null), '{not json');
+    assert.deepEqual(readLists(null)[0].items, []);
+    localStorage.setItem(storageKeyFor(null), JSON.stringify({ version: 99, lists: [] }));
+    assert.deepEqual(readLists(null).map((list) => list.id), [DEFAULT_LIST_ID]);
+  });
+});
+
+describe('mergeLists', () => {
+  const list = (id, name, items) => ({ id, name, items, createdAt: '2026-01-01T00:00:00.000Z' });
+
+  test('adds guest items the account does not have, guest items first', () => {
+    const account = [list(DEFAULT_LIST_ID, 'My wishlist', [backpack])];
+    const guest = [list(DEFAULT_LIST_ID, 'My wishlist', [shirt, backpack, shirt])];
+
+    const { lists, addedCount } = mergeLists(account, guest);
+    assert.equal(addedCount, 1);
+    assert.deepEqual(lists[0].items.map((p) => p.id), [2, 1]);
+  });
+
+  test('matches lists by id or by name, and appends the others', () => {
+    const account = [list(DEFAULT_LIST_ID, 'My wishlist', []), list('list-a', 'Birthday', [backpack])];
+    const guest = [
+      list(SAVED_FOR_LATER_LIST_ID, 'Saved for later', [jacket]),
+      list('list-guest', 'birthday', [shirt]),
+    ];
+
+    const { lists, addedCount } = mergeLists(account, guest);
+    assert.equal(addedCount, 2);
+    assert.deepEqual(lists.map((l) => [l.id, l.items.map((p) => p.id)]), [
+      [DEFAULT_LIST_ID, []],
+      ['list-a', [2, 1]],
+      [SAVED_FOR_LATER_LIST_ID, [3]],
+    ]);
+  });
+
+  test('does not modify the account lists it was given', () => {
+    const account = [list(DEFAULT_LIST_ID, 'My wishlist', [backpack])];
+    mergeLists(account, [list(DEFAULT_LIST_ID, 'My wishlist', [shirt])]);
+    assert.deepEqual(account[0].items, [backpack]);
+  });
+});
@@ -7,17 +7,24 @@
  *   instead of Vite's `.../assets/remoteEntry.js`.
  *
  * Production note:
- * - Remote URLs are configurable via env vars so the same build can point at deployed remotes:
+ * - Remote URLs are resolved at runtime from a JSON manifest (`public/remotes.manifest.json` by default,
+ *   override with `SHOPHUB_REMOTE_MANIFEST_URL`, e.g. `http://localhost:4000/api/remotes/manifest`).
+ *   See `src/federation/remoteRegistry.js`.
+ * - The env vars below only provide build-time *fallback* URLs, used when the manifest can't be fetched:
  *   - `SHOPHUB_AUTH_REMOTE_URL`
  *   - `SHOPHUB_CATALOG_REMOTE_URL`
  *   - `SHOPHUB_CHECKOUT_REMOTE_URL`
+ * - Remote *names* are still declared here so `import('catalog/Products')` resolves; each one is a
+ *   `promise` external that asks the runtime registry for its container.
  */
 const path = require('node:path');
 
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
 const MiniCssExtractPlugin = require('mini-css-extract-plugin');
-const { ModuleFederationPlugin } = require('webpack').container;
+const webpack = require('webpack');
+
+const { ModuleFederationPlugin } = webpack.container;
 
 const pkg = require('./package.json');
 const deps = pkg.dependencies ?? {};
@@ -91,10 +98,37 @@ module.exports = (_env, argv) => {
     account: accountRemoteUrl,
     ...extraRemotes,
   };
+  // Reason: URLs are resolved at runtime (manifest); the build only fixes which remote names exist.
   const mfRemotes = Object.fromEntries(
-    Object.entries(remoteUrls).map(([remoteName, remoteEntryUrl]) => [remoteName, `${remoteName}@${remoteEntryUrl}`]),
+    Object.keys(remoteUrls).map((remoteName) => [
+      remoteName,
+      `promise window.__SHOPHUB_FEDERATION__.getContainerProxy(${JSON.stringify(remoteName)})`,
+    ]),
   );
 
+  // IMPORTANT: shell owns state; share runtime libs as singletons.
+  // Reason: also injected into the bundle so `src/federation/sharedReport.js` can check negotiated versions.
+  const shared = {
+    react: { singleton: true, eager: true, requiredVersion: deps.react },
+    'react-dom': { singleton: true, eager: true, requiredVersion: deps['react-dom'] },
+    'react-router-dom': { singleton: true, requiredVersion: deps['react-router-dom'] },
+    '@emotion/react': { singleton: true, requiredVersion: deps['@emotion/react'] },
+    '@emotion/styled': { singleton: true, requiredVersion: deps['@emotion/styled'] },
+    '@mui/material': {
+      singleton: true,
+      requiredVersion: deps['@mui/material'],
+      version: getInstalledVersion('@mui/material'),
+    },
+    // NOTE: do not share `@mui/icons-material`.
+    // Reason: keep parity with the previous Vite setup; icons are safe to duplicate.
+  };
+
+  const remoteManifestUrl = process.env.SHOPHUB_REMOTE_MANIFEST_URL ?? '/remotes.manifest.json';
+  const shophubEnv = process.env.SHOPHUB_ENV ?? (isProd ? 'production' : 'development');
+  // Shell API (auth, ...). Empty = same origin; in dev, `/api` is proxied to the mock API below.
+  const apiBaseUrl = process.env.SHOPHUB_API_URL ?? '';
+  const mockApiUrl = process.env.SHOPHUB_MOCK_API_URL ?? 'http://localhost:4000';
+
   return {
     name: 'shophub-shell',
     mode: isProd ? 'production' : 'development',
@@ -109,6 +143,9 @@ module.exports = (_env, argv) => {
       publicPath: 'auto',
       clean: true,
       uniqueName: 'shophub-shell',
+      // Reason: without this, a remote module whose load failed stays cached as `{}` and a retried
+      // `import('catalog/Products')` resolves to an empty module instead of loading again.
+      strictModuleExceptionHandling: true,
     },
     resolve: {
       extensions: ['.js', '.jsx', '.json'],
@@ -135,24 +172,21 @@ module.exports = (_env, argv) => {
       ],
     },
     plugins: [
+      new webpack.DefinePlugin({
+        __SHOPHUB_DEFAULT_REMOTES__: JSON.stringify(remoteUrls),
+        __SHOPHUB_REMOTE_MANIFEST_URL__: JSON.stringify(remoteManifestUrl),
+        __SHOPHUB_ENV__: JSON.stringify(shophubEnv),
+        __SHOPHUB_SHARED_CONFIG__: JSON.stringify(shared),
+        // Strict mode: refuse to render a remote that violates a shared singleton's required version.
+        // The manifest's `strictShared` flag overrides this at runtime.
+        __SHOPHUB_STRICT_SHARED__: JSON.stringify(process.env.SHOPHUB_STRICT_SHARED === 'true'),
+        __SHOPHUB_API_BASE_URL__: JSON.stringify(apiBaseUrl),
+      }),
+
       new ModuleFederationPlugin({
         name: 'shophub-shell',
         remotes: mfRemotes,
-        // IMPORTANT: shell owns state; share runtime libs as singletons.
-        shared: {
-          react: { singleton: true, eager: true, requiredVersion: deps.react },
-          'react-dom': { singleton: true, eager: true, requiredVersion: deps['react-dom'] },
-          'react-router-dom': { singleton: true, requiredVersion: deps['react-router-dom'] },
-          '@emotion/react': { singleton: true, requiredVersion: deps['@emotion/react'] },
-          '@emotion/styled': { singleton: true, requiredVersion: deps['@emotion/styled'] },
-          '@mui/material': {
-            singleton: true,
-            requiredVersion: deps['@mui/material'],
-            version: getInstalledVersion('@mui/material'),
-          },
-          // NOTE: do not share `@mui/icons-material`.
-          // Reason: keep parity with the previous Vite setup; icons are safe to duplicate.
-        },
+        shared,
       }),
 
       new HtmlWebpackPlugin({
@@ -188,6 +222,8 @@ module.exports = (_env, argv) => {
         overlay: true,
       },
       allowedHosts: 'all',
+      // Reason: lets the shell call `/api/...` same-origin in dev (see `services/mock-api`).
+      proxy: [{ context: ['/api'], target: mockApiUrl }],
     },
     performance: {
       hints: false,